@@ -14,6 +14,9 @@ mtc.on('change', () => {
   // Log the time code HH:MM:SS:FF
   console.log(`Position: ${mtc.songPosition} Time: ${mtc.getSMTPEString()}`);
 });
+mtc.on('start', ({ direction }) => console.log(`Running ${direction < 0 ? 'backwards' : 'forwards'}`));
+mtc.on('stop', () => console.log(`Stopped at ${mtc.toSeconds().toFixed(3)}s`));
+mtc.on('locate', () => console.log(`Located to ${mtc.getSMTPEString()}`));
 
 // Connect to a remote session
 session.connect({ address: '127.0.0.1', port: 5004 });
@@ -0,0 +1,24 @@
+// Feeds a capture written by session.startCapture() back into an offline session.
+// Usage: node examples/replay-capture.js capture.pcap [port] [--realtime]
+const fs = require('fs');
+const rtpmidi = require('../index');
+
+const [path, port = '5004'] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+const realtime = process.argv.includes('--realtime');
+
+// rtpmidi.logger.level = 'debug'
+
+// The session is never started, replies are not sent anywhere
+const session = new rtpmidi.Session(Number(port), 'Replay', 'Replay');
+session.offline = true;
+
+session.on('controlMessage', message => console.log('control', message.command, message.ssrc));
+session.on('message', (deltaTime, message) => console.log('message', deltaTime, message));
+session.on('streamAdded', ({ stream }) => console.log('stream added', stream.name, stream.ssrc));
+
+session.replayCapture(fs.readFileSync(path), { port: Number(port), realtime })
+  .then((count) => {
+    console.log(`Replayed ${count} datagrams`);
+    session.streams.slice().forEach(stream => stream.end());
+    rtpmidi.MdnsService.bonjourService.destroy();
+  });
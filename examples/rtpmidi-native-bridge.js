@@ -22,17 +22,12 @@ input.openVirtualPort('My Virtual Midi Input');
 output.openVirtualPort('My Virtual Midi Output');
 
 // Route the messages
-session.on('message', (deltaTime, message) => {
-  // message is a Buffer so we convert it to an array to pass it to the midi output.
-  const commands = Array.prototype.slice.call(message, 0);
-  // console.log('received a network message', commands);
-  output.sendMessage(commands);
-});
-
-input.on('message', (deltaTime, message) => {
-  // console.log('received a local message', message);
-  session.sendMessage(deltaTime, message);
-});
+const { router } = rtpmidi.manager;
+router.addEndpoint('network', session);
+router.addEndpoint('input', input);
+router.addEndpoint('output', output);
+router.connect('network', 'output');
+router.connect('input', 'network');
 
 // Connect to a remote session
 session.connect({ address: '127.0.0.1', port: 5004 });
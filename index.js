@@ -13,6 +13,18 @@ module.exports = {
   ControlMessage: require('./src/ControlMessage'),
   RTPMessage: require('./src/RTPMessage'),
   MTC: require('./src/MTC'),
+  MTCGenerator: require('./src/MTCGenerator'),
+  timecode: require('./src/timecode'),
+  Clock: require('./src/Clock'),
+  Recorder: require('./src/Recorder'),
+  Player: require('./src/Player'),
+  smf: require('./src/smf'),
+  PcapWriter: require('./src/PcapWriter'),
+  pcap: require('./src/pcap'),
+  midiEvents: require('./src/midiEvents'),
+  ControllerAggregator: require('./src/ControllerAggregator'),
+  AccessControl: require('./src/AccessControl'),
+  Router: require('./src/Router'),
   MdnsService: require('./src/mdns'),
   logger: require('./src/logger'),
 };
\ No newline at end of file
@@ -0,0 +1,155 @@
+/**
+ * AccessControl.js - Allow and deny lists for incoming RTP MIDI invitations.
+ *
+ * Peers can be matched by IP address or CIDR range, Bonjour name and SSRC.
+ */
+
+const net = require('net');
+const logger = require('./logger');
+
+/**
+ * Strip the IPv4 mapped prefix from an address
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {string} Normalized address
+ */
+function normalizeAddress(address) {
+  const match = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address || '');
+  return match ? match[1] : address;
+}
+
+/**
+ * Create an empty list
+ * @returns {Object} List of addresses, names and SSRCs
+ */
+function createList() {
+  return {
+    addresses: new net.BlockList(),
+    addressCount: 0,
+    names: new Set(),
+    ssrcs: new Set(),
+  };
+}
+
+/**
+ * AccessControl decides whether a peer may connect.
+ * A peer matching the deny list is rejected. When the allow list has any
+ * entries, only peers matching at least one of them are accepted.
+ */
+class AccessControl {
+  /**
+   * Create new AccessControl
+   * @param {Object} [options] - Initial entries
+   * @param {Object} [options.allow] - Entries to allow, see add()
+   * @param {Object} [options.deny] - Entries to deny, see add()
+   */
+  constructor(options = {}) {
+    this.lists = {
+      allow: createList(),
+      deny: createList(),
+    };
+
+    this.add('allow', options.allow || {});
+    this.add('deny', options.deny || {});
+  }
+
+  /**
+   * Add entries to a list
+   * @param {string} listName - 'allow' or 'deny'
+   * @param {Object} entries - Entries to add
+   * @param {string[]} [entries.addresses] - IP addresses or CIDR ranges like '10.0.0.0/8'
+   * @param {string[]} [entries.names] - Bonjour names
+   * @param {number[]} [entries.ssrcs] - SSRCs
+   * @returns {AccessControl} this instance for chaining
+   */
+  add(listName, { addresses = [], names = [], ssrcs = [] }) {
+    const list = this.lists[listName];
+
+    if (!list) {
+      logger.warn(`Unknown access list ${listName}`);
+      return this;
+    }
+
+    for (const entry of addresses) {
+      const [address, prefix] = normalizeAddress(entry).split('/');
+      const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+      if (!net.isIP(address)) {
+        logger.warn(`Ignoring invalid address ${entry}`);
+      } else {
+        if (prefix === undefined) {
+          list.addresses.addAddress(address, type);
+        } else {
+          list.addresses.addSubnet(address, parseInt(prefix, 10), type);
+        }
+        list.addressCount += 1;
+      }
+    }
+    names.forEach(name => list.names.add(name));
+    ssrcs.forEach(ssrc => list.ssrcs.add(ssrc));
+    return this;
+  }
+
+  /**
+   * Add entries to the allow list
+   * @param {Object} entries - Entries to allow, see add()
+   * @returns {AccessControl} this instance for chaining
+   */
+  allow(entries) {
+    return this.add('allow', entries);
+  }
+
+  /**
+   * Add entries to the deny list
+   * @param {Object} entries - Entries to deny, see add()
+   * @returns {AccessControl} this instance for chaining
+   */
+  deny(entries) {
+    return this.add('deny', entries);
+  }
+
+  /**
+   * Check whether a peer matches a list
+   * @param {Object} list - List to check
+   * @param {Object} peer - Peer address, name and SSRC
+   * @returns {boolean} True if any entry matches
+   */
+  static matches(list, { address, name, ssrc }) {
+    const normalized = normalizeAddress(address);
+    const type = net.isIPv6(normalized) ? 'ipv6' : 'ipv4';
+
+    return (!!normalized && net.isIP(normalized) !== 0 && list.addresses.check(normalized, type))
+      || list.names.has(name)
+      || list.ssrcs.has(ssrc);
+  }
+
+  /**
+   * Check whether a list has any entries
+   * @param {Object} list - List to check
+   * @returns {boolean} True if the list is empty
+   */
+  static isEmpty(list) {
+    return !list.addressCount && !list.names.size && !list.ssrcs.size;
+  }
+
+  /**
+   * Decide whether a peer may connect
+   * @param {Object} peer - Peer to check
+   * @param {string} peer.address - Remote address
+   * @param {string} peer.name - Bonjour name
+   * @param {number} peer.ssrc - SSRC
+   * @returns {Object} { accepted, reason } where reason is 'denied' or 'not allowed' if rejected
+   */
+  check(peer) {
+    const { allow, deny } = this.lists;
+
+    if (AccessControl.matches(deny, peer)) {
+      return { accepted: false, reason: 'denied' };
+    }
+    if (!AccessControl.isEmpty(allow) && !AccessControl.matches(allow, peer)) {
+      return { accepted: false, reason: 'not allowed' };
+    }
+    return { accepted: true, reason: null };
+  }
+}
+
+module.exports = AccessControl;
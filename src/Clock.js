@@ -0,0 +1,292 @@
+/**
+ * Clock.js - MIDI beat clock master and tempo detector.
+ *
+ * As master the clock sends 24 clock messages (F8) per quarter note with
+ * start (FA), stop (FC) and continue (FB) over a session. As slave it
+ * follows these messages from a session or stream, estimates the tempo and
+ * tracks the song position.
+ */
+
+const { EventEmitter } = require('events');
+const logger = require('./logger');
+const MTC = require('./MTC');
+const Scheduler = require('./Scheduler');
+const { listenToMessages } = require('./util');
+
+const CLOCK = 0xf8;
+const START = 0xfa;
+const CONTINUE = 0xfb;
+const STOP = 0xfc;
+const SONG_POSITION = 0xf2;
+
+// Clock messages per quarter note and per MIDI beat (sixteenth note)
+const PPQN = 24;
+const CLOCKS_PER_MIDI_BEAT = 6;
+
+// Clock intervals longer than this many seconds restart the tempo estimate
+const MAX_CLOCK_INTERVAL = 1;
+
+/**
+ * Clock sends or follows MIDI beat clock
+ * @extends EventEmitter
+ */
+class Clock extends EventEmitter {
+  /**
+   * Create a new Clock
+   * @param {Session} [session] - Session to send to as master, not needed as slave
+   * @param {Object} [options] - Clock options
+   * @param {number} [options.bpm] - Master tempo in beats per minute, 120 by default.
+   * A slave starts without tempo until it received two clocks.
+   * @param {number} [options.smoothing] - Weight of a new clock interval in the tempo estimate, 0 to 1
+   */
+  constructor(session = null, options = {}) {
+    super();
+    this.session = session;
+    this.bpm = session ? (options.bpm || 120) : null;
+    this.smoothing = options.smoothing === undefined ? 0.1 : options.smoothing;
+    this.running = false;
+
+    // Song position in clocks
+    this.clocks = 0;
+
+    // Master scheduling
+    this.anchorTime = null;
+    this.tickIndex = 0;
+    this.scheduler = session ? new Scheduler(session, horizon => this.sendClocks(horizon)) : null;
+
+    // Slave tempo estimate
+    this.rate = session ? session.rate : 10000;
+    this.lastClockTime = null;
+    this.interval = null;
+  }
+
+  /**
+   * Get the song position
+   * @returns {number} Position in MIDI beats, sixteenth notes since the start of the song
+   */
+  getSongPosition() {
+    return Math.floor(this.clocks / CLOCKS_PER_MIDI_BEAT);
+  }
+
+  /**
+   * Get the time between two clocks at the master tempo
+   * @returns {number} Clock interval in session ticks
+   * @private
+   */
+  getClockInterval() {
+    return (this.session.rate * 60) / (this.bpm * PPQN);
+  }
+
+  /**
+   * Send a message now or at a session time
+   * @param {number[]} data - Command data
+   * @param {number} [time] - Session time in ticks
+   * @private
+   */
+  send(data, time) {
+    if (time === undefined) {
+      this.session.sendMessage(data);
+    } else {
+      this.session.sendMessage(this.session.startTime + time, data);
+    }
+  }
+
+  /**
+   * Set the master tempo, a running clock changes speed from the next clock
+   * @param {number} bpm - Beats per minute
+   */
+  setBpm(bpm) {
+    if (!(bpm > 0)) {
+      logger.warn(`Ignoring invalid tempo ${bpm}`);
+      return;
+    }
+
+    if (this.running && this.session) {
+      const next = this.getClockTime(this.tickIndex);
+      this.bpm = bpm;
+      this.anchorTime = next;
+      this.tickIndex = 0;
+      this.scheduler.tick();
+    } else {
+      this.bpm = bpm;
+    }
+    this.emit('bpm', { bpm });
+  }
+
+  /**
+   * Move the song position and send a song position pointer. Only allowed while stopped.
+   * @param {number} position - MIDI beats, sixteenth notes since the start of the song
+   */
+  setSongPosition(position) {
+    if (this.running) {
+      logger.warn('Song position can only be set while the clock is stopped');
+      return;
+    }
+    this.clocks = position * CLOCKS_PER_MIDI_BEAT;
+    // eslint-disable-next-line no-bitwise
+    this.send([SONG_POSITION, position & 0x7f, (position >> 7) & 0x7f]);
+    this.emit('songPosition', { songPosition: position });
+  }
+
+  /**
+   * Send start and clocks from the beginning of the song
+   */
+  start() {
+    this.clocks = 0;
+    this.run(START, 'start');
+  }
+
+  /**
+   * Send continue and clocks from the current song position
+   */
+  continue() {
+    this.run(CONTINUE, 'continue');
+  }
+
+  /**
+   * Send stop, the song position is kept
+   */
+  stop() {
+    if (!this.running) {
+      return;
+    }
+    this.running = false;
+    this.scheduler.stop();
+    this.send([STOP]);
+    this.emit('stop', { songPosition: this.getSongPosition() });
+  }
+
+  /**
+   * Start sending clocks
+   * @param {number} status - Start or continue
+   * @param {string} event - Event to emit
+   * @private
+   */
+  run(status, event) {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    this.anchorTime = this.session.now();
+    this.tickIndex = 0;
+    this.send([status], this.anchorTime);
+    this.emit(event, { songPosition: this.getSongPosition() });
+    this.scheduler.tick();
+  }
+
+  /**
+   * Get the session time of a clock since the last tempo change
+   * @param {number} index - Clock index
+   * @returns {number} Session time in ticks
+   * @private
+   */
+  getClockTime(index) {
+    return this.anchorTime + Math.round(index * this.getClockInterval());
+  }
+
+  /**
+   * Send the clocks that are due
+   * @param {number} horizon - Session time in ticks up to which clocks are sent
+   * @returns {number} Session time of the next clock
+   * @private
+   */
+  sendClocks(horizon) {
+    while (this.getClockTime(this.tickIndex) <= horizon) {
+      this.advance(this.bpm);
+      this.send([CLOCK], this.getClockTime(this.tickIndex));
+      this.tickIndex += 1;
+    }
+    return this.getClockTime(this.tickIndex);
+  }
+
+  /**
+   * Count a clock and emit a beat event on every quarter note
+   * @param {number|null} bpm - Current tempo
+   * @private
+   */
+  advance(bpm) {
+    if (this.clocks % PPQN === 0) {
+      this.emit('beat', {
+        beat: this.clocks / PPQN,
+        songPosition: this.getSongPosition(),
+        bpm,
+      });
+    }
+    this.clocks += 1;
+  }
+
+  /**
+   * Follow the clock of a session or stream as slave
+   * @param {Object} sessionOrStream - Session or stream to listen to
+   */
+  setSource(sessionOrStream) {
+    const session = listenToMessages(sessionOrStream, (message, time) => this.handleMessage(message, time));
+    this.rate = session.rate || this.rate;
+  }
+
+  /**
+   * Apply a received timing message
+   * @param {Buffer} message - MIDI message
+   * @param {number} time - Timestamp in session ticks
+   */
+  handleMessage(message, time) {
+    switch (message[0]) {
+      case CLOCK:
+        this.updateTempo(time);
+        if (this.running) {
+          this.advance(this.bpm);
+        }
+        break;
+      case START:
+        this.clocks = 0;
+        this.running = true;
+        this.emit('start', { songPosition: 0 });
+        break;
+      case CONTINUE:
+        this.running = true;
+        this.emit('continue', { songPosition: this.getSongPosition() });
+        break;
+      case STOP:
+        this.running = false;
+        this.emit('stop', { songPosition: this.getSongPosition() });
+        break;
+      case SONG_POSITION: {
+        const songPosition = MTC.parseSongPosition(message);
+        this.clocks = songPosition * CLOCKS_PER_MIDI_BEAT;
+        this.emit('songPosition', { songPosition });
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Update the tempo estimate with the interval since the previous clock.
+   * The interval is smoothed exponentially, a bpm event is emitted when the
+   * tempo rounded to a tenth changes.
+   * @param {number} time - Timestamp of the clock in session ticks
+   * @private
+   */
+  updateTempo(time) {
+    const interval = this.lastClockTime === null ? null : (time - this.lastClockTime) / this.rate;
+    this.lastClockTime = time;
+
+    if (interval === null || interval <= 0 || interval > MAX_CLOCK_INTERVAL) {
+      this.interval = null;
+      return;
+    }
+
+    this.interval = this.interval === null
+      ? interval
+      : this.interval + this.smoothing * (interval - this.interval);
+
+    const bpm = Math.round(600 / (this.interval * PPQN)) / 10;
+    if (bpm !== this.bpm) {
+      this.bpm = bpm;
+      this.emit('bpm', { bpm });
+    }
+  }
+}
+
+module.exports = Clock;
@@ -71,7 +71,8 @@ class ControlMessage extends AbstractMessage {
         this.version = buffer.readUInt32BE(4);
         this.token = buffer.readUInt32BE(8);
         this.ssrc = buffer.readUInt32BE(12);
-        this.name = buffer.toString('utf-8', 16);
+        // The name is null terminated
+        this.name = buffer.toString('utf-8', 16).replace(/\0+$/, '');
         break;
         
       case 'synchronization':
@@ -89,6 +90,11 @@ class ControlMessage extends AbstractMessage {
         this.sequenceNumber = buffer.readUInt16BE(8);
         break;
         
+      case 'bitrate_receive_limit':
+        this.ssrc = buffer.readUInt32BE(4);
+        this.limit = buffer.readUInt32BE(8);
+        break;
+        
       default:
         break;
     }
@@ -146,6 +152,14 @@ class ControlMessage extends AbstractMessage {
         buffer.writeUInt16BE(this.sequenceNumber, 8);
         break;
         
+      case 'bitrate_receive_limit':
+        buffer = Buffer.alloc(12);
+        buffer.writeUInt16BE(this.start, 0);
+        buffer.writeUInt16BE(commandByte, 2);
+        buffer.writeUInt32BE(this.ssrc, 4);
+        buffer.writeUInt32BE(this.limit, 8);
+        break;
+        
       default:
         buffer = Buffer.alloc(0);
         break;
@@ -0,0 +1,228 @@
+/**
+ * ControllerAggregator.js - 14-bit controllers, RPN and NRPN as single events.
+ *
+ * Sits on top of the 'event' events of a session. Controller MSB/LSB pairs
+ * become { type: 'cc14', channel, controller, value } and parameter number
+ * plus data entry sequences become { type: 'rpn' | 'nrpn', channel,
+ * parameter, value }, with 14-bit values. Sending does the reverse.
+ */
+
+const { EventEmitter } = require('events');
+
+// Controllers that select a parameter and enter its value
+const NRPN_LSB = 98;
+const NRPN_MSB = 99;
+const RPN_LSB = 100;
+const RPN_MSB = 101;
+const DATA_ENTRY_MSB = 6;
+const DATA_ENTRY_LSB = 38;
+const NULL_PARAMETER = 0x3fff;
+
+// Controllers 0 to 31 have their LSB at 32 to 63, data entry is part of RPN and NRPN
+const DEFAULT_CONTROLLERS = Array.from({ length: 32 }, (v, i) => i).filter(i => i !== DATA_ENTRY_MSB);
+
+/**
+ * Create the receive state of a channel
+ * @returns {Object} Channel state
+ */
+function createChannelState() {
+  return {
+    msb: new Array(32).fill(0),
+    parameterType: null,
+    parameterMsb: 0x7f,
+    parameterLsb: 0x7f,
+    dataMsb: 0,
+    pending: null,
+  };
+}
+
+/**
+ * ControllerAggregator combines and expands multi message controller changes
+ * @extends EventEmitter
+ */
+class ControllerAggregator extends EventEmitter {
+  /**
+   * Create a new ControllerAggregator
+   * @param {Session} source - Session whose events are aggregated and that is used to send
+   * @param {Object} [options] - Aggregation options
+   * @param {number[]} [options.controllers] - MSB controllers 0 to 31 combined with their LSB,
+   * all but data entry by default
+   * @param {number} [options.timeout] - Milliseconds to wait for an LSB before an MSB is emitted alone
+   * @param {boolean} [options.nullTerminate] - Deselect the parameter after sending RPN and NRPN
+   */
+  constructor(source, options = {}) {
+    super();
+    this.source = source;
+    this.controllers = new Set(options.controllers || DEFAULT_CONTROLLERS);
+    this.timeout = options.timeout === undefined ? 10 : options.timeout;
+    this.nullTerminate = !!options.nullTerminate;
+    this.channels = Array.from({ length: 16 }, createChannelState);
+
+    this.handleEvent = this.handleEvent.bind(this);
+    source.on('event', this.handleEvent);
+  }
+
+  /**
+   * Stop aggregating, a pending MSB is emitted
+   */
+  destroy() {
+    this.source.removeListener('event', this.handleEvent);
+    this.channels.forEach(state => this.flush(state));
+  }
+
+  /**
+   * Emit the pending MSB of a channel
+   * @param {Object} state - Channel state
+   * @private
+   */
+  flush(state) {
+    const { pending } = state;
+
+    if (pending) {
+      clearTimeout(pending.timeout);
+      state.pending = null;
+      this.emit('event', pending.event, pending.comexTime, pending.recovered);
+    }
+  }
+
+  /**
+   * Hold an MSB until its LSB arrives or the timeout passes
+   * @param {Object} state - Channel state
+   * @param {Object} event - Aggregated event with the MSB only
+   * @param {number} comexTime - Timestamp
+   * @param {boolean} recovered - Whether the message was recovered
+   * @param {number} lsbController - Controller that completes the event
+   * @private
+   */
+  hold(state, event, comexTime, recovered, lsbController) {
+    state.pending = {
+      event, comexTime, recovered, lsbController,
+      timeout: setTimeout(() => this.flush(state), this.timeout),
+    };
+  }
+
+  /**
+   * Handle an event of the source
+   * @param {Object} event - Received event
+   * @param {number} comexTime - Timestamp
+   * @param {boolean} recovered - Whether the message was recovered
+   * @private
+   */
+  handleEvent(event, comexTime, recovered) {
+    const state = event.channel ? this.channels[event.channel - 1] : null;
+
+    if (!state || event.type !== 'cc') {
+      if (state) this.flush(state);
+      this.emit('event', event, comexTime, recovered);
+      return;
+    }
+
+    const { channel, controller, value } = event;
+    const { pending } = state;
+
+    if (pending && pending.lsbController === controller) {
+      clearTimeout(pending.timeout);
+      state.pending = null;
+      // eslint-disable-next-line no-bitwise
+      pending.event.value |= value;
+      this.emit('event', pending.event, comexTime, recovered);
+      return;
+    }
+    this.flush(state);
+
+    if (controller === RPN_MSB || controller === NRPN_MSB) {
+      state.parameterType = controller === RPN_MSB ? 'rpn' : 'nrpn';
+      state.parameterMsb = value;
+    } else if (controller === RPN_LSB || controller === NRPN_LSB) {
+      state.parameterType = controller === RPN_LSB ? 'rpn' : 'nrpn';
+      state.parameterLsb = value;
+    } else if ((controller === DATA_ENTRY_MSB || controller === DATA_ENTRY_LSB)
+      // eslint-disable-next-line no-bitwise
+      && state.parameterType && ((state.parameterMsb << 7) | state.parameterLsb) !== NULL_PARAMETER) {
+      const parameterEvent = {
+        type: state.parameterType,
+        channel,
+        // eslint-disable-next-line no-bitwise
+        parameter: (state.parameterMsb << 7) | state.parameterLsb,
+        value: 0,
+      };
+
+      if (controller === DATA_ENTRY_MSB) {
+        state.dataMsb = value;
+        // eslint-disable-next-line no-bitwise
+        parameterEvent.value = value << 7;
+        this.hold(state, parameterEvent, comexTime, recovered, DATA_ENTRY_LSB);
+      } else {
+        // eslint-disable-next-line no-bitwise
+        parameterEvent.value = (state.dataMsb << 7) | value;
+        this.emit('event', parameterEvent, comexTime, recovered);
+      }
+    } else if (this.controllers.has(controller)) {
+      state.msb[controller] = value;
+      this.hold(state, {
+        // eslint-disable-next-line no-bitwise
+        type: 'cc14', channel, controller, value: value << 7,
+      }, comexTime, recovered, controller + 32);
+    } else if (controller >= 32 && controller < 64 && this.controllers.has(controller - 32)) {
+      this.emit('event', {
+        // eslint-disable-next-line no-bitwise
+        type: 'cc14', channel, controller: controller - 32, value: (state.msb[controller - 32] << 7) | value,
+      }, comexTime, recovered);
+    } else {
+      this.emit('event', event, comexTime, recovered);
+    }
+  }
+
+  /**
+   * Expand an event into the controller changes that make it up
+   * @param {Object} event - cc14, rpn or nrpn event
+   * @returns {Object[]} cc events in sending order, the event itself for other types
+   */
+  expand(event) {
+    const { channel, value } = event;
+    const cc = (controller, data) => ({
+      // eslint-disable-next-line no-bitwise
+      type: 'cc', channel, controller, value: data & 0x7f,
+    });
+
+    switch (event.type) {
+      case 'cc14':
+        // eslint-disable-next-line no-bitwise
+        return [cc(event.controller, value >> 7), cc(event.controller + 32, value)];
+      case 'rpn':
+      case 'nrpn': {
+        const [msb, lsb] = event.type === 'rpn' ? [RPN_MSB, RPN_LSB] : [NRPN_MSB, NRPN_LSB];
+        const events = [
+          // eslint-disable-next-line no-bitwise
+          cc(msb, event.parameter >> 7),
+          cc(lsb, event.parameter),
+          // eslint-disable-next-line no-bitwise
+          cc(DATA_ENTRY_MSB, value >> 7),
+          cc(DATA_ENTRY_LSB, value),
+        ];
+
+        if (this.nullTerminate) {
+          events.push(cc(msb, 0x7f), cc(lsb, 0x7f));
+        }
+        return events;
+      }
+      default:
+        return [event];
+    }
+  }
+
+  /**
+   * Send an event through the source. Expanded events share a timestamp, so
+   * they are sent in one packet using running status.
+   * @param {Object|Buffer|number[]} command - cc14, rpn or nrpn event, or anything the source sends
+   * @param {number} [time] - Timestamp like in session.sendMessage(), now if not set
+   */
+  send(command, time) {
+    const events = Buffer.isBuffer(command) || Array.isArray(command) ? [command] : this.expand(command);
+    const comexTime = time === undefined ? this.source.now() + this.source.startTime : time;
+
+    events.forEach(event => this.source.send(event, comexTime));
+  }
+}
+
+module.exports = ControllerAggregator;
@@ -0,0 +1,308 @@
+/**
+ * JournalReceiver.js - Receiver side recovery journal handling for RTP MIDI.
+ *
+ * Mirrors the MIDI state received from a stream and compares it with the
+ * recovery journal of the packet that follows a loss, producing the
+ * commands needed to repair the state (RFC 6295).
+ */
+
+/**
+ * Create an empty per channel state
+ * @returns {Object} Channel state
+ */
+function createChannelState() {
+  return {
+    notes: new Map(),
+    controllers: new Map(),
+    parameters: new Map(),
+    polyPressure: new Map(),
+    selection: { nrpn: false, msb: null, lsb: null },
+    program: null,
+    pitchBend: null,
+    pressure: null,
+  };
+}
+
+/**
+ * Apply a parameter number controller (98 to 101) to an RPN or NRPN selection
+ * @param {Object} selection - Selection { nrpn, msb, lsb }
+ * @param {number} number - Controller number
+ * @param {number} value - Controller value
+ */
+function select(selection, number, value) {
+  const nrpn = number < 100;
+  if (selection.nrpn !== nrpn) {
+    selection.nrpn = nrpn;
+    selection.msb = null;
+    selection.lsb = null;
+  }
+  if (number % 2) {
+    selection.msb = value;
+  } else {
+    selection.lsb = value;
+  }
+}
+
+/**
+ * JournalReceiver keeps the received MIDI state of a stream and
+ * synthesizes repair commands from recovery journals.
+ */
+class JournalReceiver {
+  /**
+   * Create a new JournalReceiver
+   */
+  constructor() {
+    this.channels = [];
+  }
+
+  /**
+   * Get the state of a channel
+   * @param {number} channelNumber - MIDI channel (0-15)
+   * @returns {Object} Channel state
+   */
+  getChannel(channelNumber) {
+    if (!this.channels[channelNumber]) {
+      this.channels[channelNumber] = createChannelState();
+    }
+    return this.channels[channelNumber];
+  }
+
+  /**
+   * Update the state with a received command
+   * @param {Buffer} data - Command data
+   */
+  record(data) {
+    if (!data || data[0] < 0x80 || data[0] >= 0xf0) {
+      return;
+    }
+
+    // eslint-disable-next-line no-bitwise
+    const channel = this.getChannel(data[0] & 0x0f);
+
+    // eslint-disable-next-line no-bitwise
+    switch (data[0] & 0xf0) {
+      case 0x80:
+        channel.notes.delete(data[1]);
+        break;
+      case 0x90:
+        if (data[2] > 0) {
+          channel.notes.set(data[1], data[2]);
+        } else {
+          channel.notes.delete(data[1]);
+        }
+        break;
+      case 0xa0:
+        channel.polyPressure.set(data[1], data[2]);
+        break;
+      case 0xb0:
+        this.recordControlChange(channel, data[1], data[2]);
+        break;
+      case 0xc0:
+        channel.program = {
+          program: data[1],
+          bankMsb: channel.controllers.get(0),
+          bankLsb: channel.controllers.get(32),
+        };
+        break;
+      case 0xd0:
+        channel.pressure = data[1];
+        break;
+      case 0xe0:
+        channel.pitchBend = { first: data[1], second: data[2] };
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Update the state with a control change
+   * @param {Object} channel - Channel state
+   * @param {number} number - Controller number
+   * @param {number} value - Controller value
+   */
+  recordControlChange(channel, number, value) {
+    const { selection } = channel;
+
+    if (number >= 98 && number <= 101) {
+      select(selection, number, value);
+    } else if ((number === 6 || number === 38)
+      && selection.msb !== null && selection.lsb !== null) {
+      // eslint-disable-next-line no-bitwise
+      const key = `${selection.nrpn ? 'n' : 'r'}${(selection.msb << 7) | selection.lsb}`;
+      const parameter = channel.parameters.get(key) || {};
+      parameter[number === 6 ? 'entryMsb' : 'entryLsb'] = value;
+      channel.parameters.set(key, parameter);
+    } else if (number === 120 || number === 123) {
+      channel.notes.clear();
+    }
+
+    channel.controllers.set(number, value);
+  }
+
+  /**
+   * Compare a journal with the received state and return the repair commands.
+   * The state is updated with the returned commands.
+   * @param {Object} journal - Parsed recovery journal
+   * @returns {Buffer[]} Commands that repair the state
+   */
+  recover(journal) {
+    const commands = [];
+
+    for (const channelJournal of (journal && journal.channelJournals) || []) {
+      if (channelJournal.chapters) {
+        this.recoverChannel(channelJournal.channel, channelJournal.chapters, commands);
+      }
+    }
+
+    commands.forEach(command => this.record(command));
+    return commands;
+  }
+
+  /**
+   * Collect the repair commands for a single channel
+   * @param {number} channelNumber - MIDI channel (0-15)
+   * @param {Object} chapters - Decoded chapters by letter
+   * @param {Buffer[]} commands - Array the commands are appended to
+   */
+  recoverChannel(channelNumber, chapters, commands) {
+    const channel = this.getChannel(channelNumber);
+    const {
+      P, C, M, W, N, T, A,
+    } = chapters;
+
+    if (N) {
+      for (const note of N.offNotes) {
+        if (channel.notes.has(note)) {
+          // eslint-disable-next-line no-bitwise
+          commands.push(Buffer.from([0x80 | channelNumber, note, 0]));
+        }
+      }
+    }
+
+    if (C) {
+      for (const controller of C.controllers) {
+        if (!controller.a && channel.controllers.get(controller.number) !== controller.value) {
+          // eslint-disable-next-line no-bitwise
+          commands.push(Buffer.from([0xb0 | channelNumber, controller.number, controller.value]));
+        }
+      }
+    }
+
+    if (M) {
+      this.recoverParameters(channelNumber, channel, M, commands);
+    }
+
+    if (P) {
+      const { program } = channel;
+      const bankChanged = P.b && (!program
+        || program.bankMsb !== P.bankMsb || program.bankLsb !== P.bankLsb);
+
+      if (bankChanged) {
+        // eslint-disable-next-line no-bitwise
+        commands.push(Buffer.from([0xb0 | channelNumber, 0, P.bankMsb]));
+        // eslint-disable-next-line no-bitwise
+        commands.push(Buffer.from([0xb0 | channelNumber, 32, P.bankLsb]));
+      }
+      if (bankChanged || !program || program.program !== P.program) {
+        // eslint-disable-next-line no-bitwise
+        commands.push(Buffer.from([0xc0 | channelNumber, P.program]));
+      }
+    }
+
+    if (W) {
+      const { pitchBend } = channel;
+      if (!pitchBend || pitchBend.first !== W.first || pitchBend.second !== W.second) {
+        // eslint-disable-next-line no-bitwise
+        commands.push(Buffer.from([0xe0 | channelNumber, W.first, W.second]));
+      }
+    }
+
+    if (T && channel.pressure !== T.pressure) {
+      // eslint-disable-next-line no-bitwise
+      commands.push(Buffer.from([0xd0 | channelNumber, T.pressure]));
+    }
+
+    if (A) {
+      for (const note of A.notes) {
+        if (channel.polyPressure.get(note.note) !== note.pressure) {
+          // eslint-disable-next-line no-bitwise
+          commands.push(Buffer.from([0xa0 | channelNumber, note.note, note.pressure]));
+        }
+      }
+    }
+
+    // Note ons come last so controllers and programs apply to them
+    if (N) {
+      for (const note of N.notes) {
+        if (note.y && !channel.notes.has(note.note)) {
+          // eslint-disable-next-line no-bitwise
+          commands.push(Buffer.from([0x90 | channelNumber, note.note, note.velocity]));
+        }
+      }
+    }
+  }
+
+  /**
+   * Collect the repair commands for RPN and NRPN values. Every repair
+   * selects its parameter, so afterwards the parameter selected before is
+   * selected again, or the null RPN if there was none. Otherwise the next
+   * data entry would change the repaired parameter.
+   * @param {number} channelNumber - MIDI channel (0-15)
+   * @param {Object} channel - Channel state
+   * @param {Object} chapter - Decoded chapter M
+   * @param {Buffer[]} commands - Array the commands are appended to
+   */
+  recoverParameters(channelNumber, channel, chapter, commands) {
+    // eslint-disable-next-line no-bitwise
+    const status = 0xb0 | channelNumber;
+    const selection = { ...channel.selection };
+    let selected = null;
+
+    // Include the selection repaired by chapter C
+    commands.forEach((data) => {
+      if (data[0] === status && data[1] >= 98 && data[1] <= 101) {
+        select(selection, data[1], data[2]);
+      }
+    });
+
+    for (const parameter of chapter.parameters) {
+      const key = `${parameter.nrpn ? 'n' : 'r'}${parameter.number}`;
+      const current = channel.parameters.get(key) || {};
+      const msbChanged = parameter.entryMsb !== undefined
+        && current.entryMsb !== parameter.entryMsb;
+      const lsbChanged = parameter.entryLsb !== undefined
+        && current.entryLsb !== parameter.entryLsb;
+
+      if (msbChanged || lsbChanged) {
+        // eslint-disable-next-line no-bitwise
+        commands.push(Buffer.from([status, parameter.nrpn ? 99 : 101, parameter.number >> 7]));
+        // eslint-disable-next-line no-bitwise
+        commands.push(Buffer.from([status, parameter.nrpn ? 98 : 100, parameter.number & 0x7f]));
+        if (msbChanged) {
+          commands.push(Buffer.from([status, 6, parameter.entryMsb]));
+        }
+        if (lsbChanged) {
+          commands.push(Buffer.from([status, 38, parameter.entryLsb]));
+        }
+        selected = parameter;
+      }
+    }
+
+    if (selected) {
+      const known = selection.msb !== null && selection.lsb !== null;
+      const nrpn = known && selection.nrpn;
+      // eslint-disable-next-line no-bitwise
+      const number = known ? (selection.msb << 7) | selection.lsb : 0x3fff;
+
+      if (selected.nrpn !== nrpn || selected.number !== number) {
+        // eslint-disable-next-line no-bitwise
+        commands.push(Buffer.from([status, nrpn ? 99 : 101, number >> 7]));
+        // eslint-disable-next-line no-bitwise
+        commands.push(Buffer.from([status, nrpn ? 98 : 100, number & 0x7f]));
+      }
+    }
+  }
+}
+
+module.exports = JournalReceiver;
@@ -0,0 +1,524 @@
+/**
+ * JournalSender.js - Sender side recovery journal state for RTP MIDI.
+ *
+ * Keeps track of the MIDI state that was transmitted since the last
+ * checkpoint and turns it into the recovery journal that is appended to
+ * every outgoing packet (RFC 6295).
+ */
+
+const { encodeJournal } = require('./journal');
+
+// Controllers that are coded in chapter M instead of chapter C
+const PARAMETER_CONTROLLERS = [6, 38, 96, 97, 98, 99, 100, 101];
+
+/**
+ * Create an empty per channel state
+ * @returns {Object} Channel state
+ */
+function createChannelState() {
+  return {
+    notes: new Map(),
+    controllers: new Map(),
+    parameters: new Map(),
+    polyPressure: new Map(),
+    selection: { nrpn: false, msb: null, lsb: null },
+    bankMsb: null,
+    bankLsb: null,
+    program: null,
+    pitchBend: null,
+    pressure: null,
+  };
+}
+
+/**
+ * JournalSender records outgoing MIDI commands and generates the recovery
+ * journal for the next packet of a stream.
+ */
+class JournalSender {
+  /**
+   * Create a new JournalSender
+   */
+  constructor() {
+    this.channels = [];
+    this.system = {
+      reset: null,
+      tuneRequest: null,
+      songSelect: null,
+      activeSense: null,
+      sequencer: null,
+    };
+    this.sequenceNumber = null;
+    this.index = -1;
+    this.checkpointIndex = 0;
+  }
+
+  /**
+   * Map a 16 bit sequence number to the monotonic packet index
+   * @param {number} sequenceNumber - RTP sequence number
+   * @returns {number} Packet index
+   */
+  extend(sequenceNumber) {
+    if (this.sequenceNumber === null) {
+      return 0;
+    }
+    // eslint-disable-next-line no-bitwise
+    const diff = ((sequenceNumber - this.sequenceNumber) << 16) >> 16;
+    return this.index + diff;
+  }
+
+  /**
+   * Move the checkpoint after a sequence number the receiver confirmed
+   * @param {number} sequenceNumber - Last sequence number seen by the receiver
+   */
+  acknowledge(sequenceNumber) {
+    if (this.sequenceNumber === null) {
+      return;
+    }
+    const index = this.extend(sequenceNumber);
+    if (index <= this.index && index + 1 > this.checkpointIndex) {
+      this.checkpointIndex = index + 1;
+    }
+  }
+
+  /**
+   * Record the commands of a packet that is being sent
+   * @param {Array} commands - Commands with a data buffer each
+   * @param {number} sequenceNumber - Sequence number of the packet
+   */
+  record(commands, sequenceNumber) {
+    const index = this.extend(sequenceNumber);
+    if (this.sequenceNumber === null) {
+      this.checkpointIndex = index;
+    }
+    this.sequenceNumber = sequenceNumber;
+    this.index = index;
+
+    for (const command of commands) {
+      const { data } = command;
+      if (data && data.length) {
+        if (data[0] >= 0xf0) {
+          this.recordSystemCommand(data, index);
+        } else if (data[0] >= 0x80) {
+          this.recordChannelCommand(data, index);
+        }
+      }
+    }
+  }
+
+  /**
+   * Record a channel voice command
+   * @param {Buffer} data - Command data
+   * @param {number} index - Packet index
+   */
+  recordChannelCommand(data, index) {
+    // eslint-disable-next-line no-bitwise
+    const channelNumber = data[0] & 0x0f;
+    const channel = this.channels[channelNumber] || createChannelState();
+    this.channels[channelNumber] = channel;
+
+    // eslint-disable-next-line no-bitwise
+    switch (data[0] & 0xf0) {
+      case 0x80:
+        channel.notes.set(data[1], { on: false, velocity: 0, index });
+        break;
+      case 0x90:
+        channel.notes.set(data[1], { on: data[2] > 0, velocity: data[2], index });
+        break;
+      case 0xa0:
+        channel.polyPressure.set(data[1], { pressure: data[2], index });
+        break;
+      case 0xb0:
+        this.recordControlChange(channel, data[1], data[2], index);
+        break;
+      case 0xc0:
+        channel.program = {
+          program: data[1],
+          bankMsb: channel.bankMsb,
+          bankLsb: channel.bankLsb,
+          index,
+        };
+        break;
+      case 0xd0:
+        channel.pressure = { pressure: data[1], index };
+        break;
+      case 0xe0:
+        channel.pitchBend = { first: data[1], second: data[2], index };
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Record a control change command
+   * @param {Object} channel - Channel state
+   * @param {number} number - Controller number
+   * @param {number} value - Controller value
+   * @param {number} index - Packet index
+   */
+  recordControlChange(channel, number, value, index) {
+    const { selection } = channel;
+
+    switch (number) {
+      case 99:
+      case 98:
+      case 101:
+      case 100: {
+        const nrpn = number < 100;
+        if (selection.nrpn !== nrpn) {
+          selection.nrpn = nrpn;
+          selection.msb = null;
+          selection.lsb = null;
+        }
+        if (number % 2) {
+          selection.msb = value;
+        } else {
+          selection.lsb = value;
+        }
+        break;
+      }
+      case 6:
+      case 38:
+      case 96:
+      case 97:
+        this.recordParameterChange(channel, number, value, index);
+        break;
+      case 120:
+      case 123:
+        channel.notes.forEach((note, key) => {
+          if (note.on) {
+            channel.notes.set(key, { on: false, velocity: 0, index });
+          }
+        });
+        break;
+      default:
+        break;
+    }
+
+    if (number === 0) {
+      channel.bankMsb = value;
+    } else if (number === 32) {
+      channel.bankLsb = value;
+    }
+
+    if (!PARAMETER_CONTROLLERS.includes(number)) {
+      channel.controllers.set(number, { value, index });
+    }
+  }
+
+  /**
+   * Record a data entry for the currently selected RPN or NRPN
+   * @param {Object} channel - Channel state
+   * @param {number} number - Controller number
+   * @param {number} value - Controller value
+   * @param {number} index - Packet index
+   */
+  recordParameterChange(channel, number, value, index) {
+    const { selection } = channel;
+    if (selection.msb === null || selection.lsb === null
+      || (selection.msb === 127 && selection.lsb === 127)) {
+      return;
+    }
+
+    // eslint-disable-next-line no-bitwise
+    const parameterNumber = (selection.msb << 7) | selection.lsb;
+    const key = `${selection.nrpn ? 'n' : 'r'}${parameterNumber}`;
+    const parameter = channel.parameters.get(key) || {
+      nrpn: selection.nrpn,
+      number: parameterNumber,
+    };
+
+    if (number === 6) {
+      parameter.entryMsb = value;
+    } else if (number === 38) {
+      parameter.entryLsb = value;
+    } else {
+      // eslint-disable-next-line no-bitwise
+      parameter.count = ((parameter.count || 0) + 1) & 0x7f;
+    }
+    parameter.index = index;
+    channel.parameters.set(key, parameter);
+  }
+
+  /**
+   * Record a system command
+   * @param {Buffer} data - Command data
+   * @param {number} index - Packet index
+   */
+  recordSystemCommand(data, index) {
+    const { system } = this;
+    // eslint-disable-next-line no-bitwise
+    const count = (entry) => ({ count: entry ? (entry.count + 1) & 0x7f : 1, index });
+    const { sequencer } = system;
+
+    switch (data[0]) {
+      case 0xff:
+        system.reset = count(system.reset);
+        break;
+      case 0xf6:
+        system.tuneRequest = count(system.tuneRequest);
+        break;
+      case 0xf3:
+        system.songSelect = { value: data[1], index };
+        break;
+      case 0xfe:
+        system.activeSense = count(system.activeSense);
+        break;
+      case 0xfa:
+        system.sequencer = { running: true, clock: 0, index };
+        break;
+      case 0xfb:
+        system.sequencer = { running: true, clock: sequencer ? sequencer.clock : 0, index };
+        break;
+      case 0xfc:
+        system.sequencer = { running: false, clock: sequencer ? sequencer.clock : 0, index };
+        break;
+      case 0xf8:
+        if (sequencer && sequencer.running) {
+          // eslint-disable-next-line no-bitwise
+          system.sequencer = { running: true, clock: (sequencer.clock + 1) & 0x7ffff, index };
+        }
+        break;
+      case 0xf2:
+        system.sequencer = {
+          running: sequencer ? sequencer.running : false,
+          // eslint-disable-next-line no-bitwise
+          clock: (((data[2] << 7) | data[1]) * 6) & 0x7ffff,
+          index,
+        };
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Generate the journal for the packet with the given sequence number.
+   * Without feedback from the receiver the journal keeps growing, so when it
+   * exceeds maxLength the checkpoint moves up to the previous packet. If that
+   * is still too long, channel journals and then the system journal are left out.
+   * @param {number} sequenceNumber - Sequence number of the outgoing packet
+   * @param {number} [maxLength] - Maximum encoded journal length in bytes
+   * @returns {Object} Journal data to be encoded by MidiMessage
+   */
+  generate(sequenceNumber, maxLength = Infinity) {
+    const index = this.extend(sequenceNumber);
+    const checkpointIndex = this.sequenceNumber === null ? index : this.checkpointIndex;
+    let journal = this.generateSince(sequenceNumber, index, checkpointIndex);
+
+    if (encodeJournal(journal).length <= maxLength) {
+      return journal;
+    }
+
+    // Older history can no longer be sent, later journals start at the previous packet too
+    this.checkpointIndex = Math.max(checkpointIndex, index - 1);
+    journal = this.generateSince(sequenceNumber, index, this.checkpointIndex);
+
+    while (encodeJournal(journal).length > maxLength
+      && (journal.channelJournals.length || journal.systemJournal)) {
+      if (journal.channelJournals.length) {
+        journal.channelJournals.pop();
+      } else {
+        journal.systemJournal = null;
+      }
+    }
+    journal.singlePacketLoss = [journal.systemJournal, ...journal.channelJournals]
+      .some(part => part && part.s);
+    return journal;
+  }
+
+  /**
+   * Generate the journal covering the packets from a checkpoint
+   * @param {number} sequenceNumber - Sequence number of the outgoing packet
+   * @param {number} index - Packet index of the outgoing packet
+   * @param {number} checkpointIndex - Packet index of the checkpoint
+   * @returns {Object} Journal data
+   * @private
+   */
+  generateSince(sequenceNumber, index, checkpointIndex) {
+    const isRecent = (entry) => entry && entry.index >= checkpointIndex;
+    const isSingle = (entry) => entry.index === index - 1;
+
+    const systemJournal = this.generateSystemJournal(isRecent, isSingle);
+    const channelJournals = [];
+
+    this.channels.forEach((channel, channelNumber) => {
+      const channelJournal = this.generateChannelJournal(
+        channel, channelNumber, isRecent, isSingle,
+      );
+      if (channelJournal) {
+        channelJournals.push(channelJournal);
+      }
+    });
+
+    const journals = systemJournal ? [systemJournal, ...channelJournals] : channelJournals;
+
+    return {
+      singlePacketLoss: journals.some(journal => journal.s),
+      enhancedEncoding: false,
+      // eslint-disable-next-line no-bitwise
+      checkPointPacketSequenceNumber: (sequenceNumber - (index - checkpointIndex)) & 0xffff,
+      systemJournal,
+      channelJournals,
+    };
+  }
+
+  /**
+   * Generate the system journal
+   * @param {Function} isRecent - Whether an entry changed since the checkpoint
+   * @param {Function} isSingle - Whether an entry changed in the previous packet
+   * @returns {Object|null} System journal or null if there is nothing to report
+   */
+  generateSystemJournal(isRecent, isSingle) {
+    const {
+      reset, tuneRequest, songSelect, activeSense, sequencer,
+    } = this.system;
+    const chapters = {};
+
+    if (isRecent(reset) || isRecent(tuneRequest) || isRecent(songSelect)) {
+      const entries = [reset, tuneRequest, songSelect].filter(isRecent);
+      chapters.D = {
+        s: entries.some(isSingle),
+        reset: isRecent(reset) ? reset.count : undefined,
+        tuneRequest: isRecent(tuneRequest) ? tuneRequest.count : undefined,
+        songSelect: isRecent(songSelect) ? songSelect.value : undefined,
+      };
+    }
+
+    if (isRecent(activeSense)) {
+      chapters.V = { s: isSingle(activeSense), count: activeSense.count };
+    }
+
+    if (isRecent(sequencer)) {
+      chapters.Q = {
+        s: isSingle(sequencer),
+        n: sequencer.running,
+        d: false,
+        clock: sequencer.clock,
+      };
+    }
+
+    if (!Object.keys(chapters).length) {
+      return null;
+    }
+
+    return {
+      s: Object.values(chapters).some(chapter => chapter.s),
+      chapters,
+    };
+  }
+
+  /**
+   * Generate the journal of a single channel
+   * @param {Object} channel - Channel state
+   * @param {number} channelNumber - MIDI channel (0-15)
+   * @param {Function} isRecent - Whether an entry changed since the checkpoint
+   * @param {Function} isSingle - Whether an entry changed in the previous packet
+   * @returns {Object|null} Channel journal or null if there is nothing to report
+   */
+  generateChannelJournal(channel, channelNumber, isRecent, isSingle) {
+    const chapters = {};
+    const recent = (map) => Array.from(map.entries())
+      .filter(([, entry]) => isRecent(entry))
+      .sort(([a], [b]) => a - b);
+
+    if (isRecent(channel.program)) {
+      const { program } = channel;
+      chapters.P = {
+        s: isSingle(program),
+        program: program.program,
+        b: program.bankMsb !== null || program.bankLsb !== null,
+        bankMsb: program.bankMsb || 0,
+        x: false,
+        bankLsb: program.bankLsb || 0,
+      };
+    }
+
+    const controllers = recent(channel.controllers);
+    if (controllers.length) {
+      chapters.C = {
+        s: controllers.some(([, entry]) => isSingle(entry)),
+        controllers: controllers.map(([number, entry]) => ({
+          s: isSingle(entry),
+          number,
+          a: false,
+          value: entry.value,
+        })),
+      };
+    }
+
+    const parameters = Array.from(channel.parameters.values()).filter(isRecent);
+    if (parameters.length) {
+      chapters.M = {
+        s: parameters.some(isSingle),
+        pending: null,
+        e: false,
+        u: false,
+        w: false,
+        z: false,
+        parameters: parameters.map(parameter => ({
+          s: isSingle(parameter),
+          nrpn: parameter.nrpn,
+          number: parameter.number,
+          entryMsb: parameter.entryMsb,
+          entryLsb: parameter.entryLsb,
+          count: parameter.count,
+        })),
+      };
+    }
+
+    if (isRecent(channel.pitchBend)) {
+      chapters.W = {
+        s: isSingle(channel.pitchBend),
+        first: channel.pitchBend.first,
+        r: false,
+        second: channel.pitchBend.second,
+      };
+    }
+
+    const notes = recent(channel.notes);
+    if (notes.length) {
+      const onNotes = notes.filter(([, entry]) => entry.on);
+      chapters.N = {
+        b: notes.some(([, entry]) => isSingle(entry)),
+        notes: onNotes.map(([note, entry]) => ({
+          s: isSingle(entry),
+          note,
+          y: true,
+          velocity: entry.velocity,
+        })),
+        offNotes: notes.filter(([, entry]) => !entry.on).map(([note]) => note),
+      };
+    }
+
+    if (isRecent(channel.pressure)) {
+      chapters.T = { s: isSingle(channel.pressure), pressure: channel.pressure.pressure };
+    }
+
+    const polyPressure = recent(channel.polyPressure);
+    if (polyPressure.length) {
+      chapters.A = {
+        s: polyPressure.some(([, entry]) => isSingle(entry)),
+        notes: polyPressure.map(([note, entry]) => ({
+          s: isSingle(entry),
+          note,
+          x: false,
+          pressure: entry.pressure,
+        })),
+      };
+    }
+
+    if (!Object.keys(chapters).length) {
+      return null;
+    }
+
+    return {
+      channel: channelNumber,
+      s: Object.values(chapters).some(chapter => chapter.s || chapter.b),
+      h: false,
+      chapters,
+    };
+  }
+}
+
+module.exports = JournalSender;
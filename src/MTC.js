@@ -5,6 +5,15 @@
  */
 
 const { EventEmitter } = require('events');
+const {
+  getFrameRateByCode,
+  framesToTimecode,
+  timecodeToFrames,
+} = require('./timecode');
+const { listenToMessages } = require('./util');
+
+// Milliseconds without quarter frames before a running time code is considered stopped
+const DEFAULT_FREEWHEEL = 100;
 
 /**
  * Class representing MIDI Time Code
@@ -13,8 +22,11 @@ const { EventEmitter } = require('events');
 class MTC extends EventEmitter {
   /**
    * Create a new MTC instance
+   * @param {Object} [options] - Reader options
+   * @param {number} [options.freewheel] - Milliseconds to keep running through missing
+   * quarter frames before stopping
    */
-  constructor() {
+  constructor(options = {}) {
     super();
     this.hours = 0;
     this.minutes = 0;
@@ -22,6 +34,18 @@ class MTC extends EventEmitter {
     this.frames = 0;
     this.type = 0;
     this.songPosition = 0;
+
+    // Position in frames, counted in quarter frames while running
+    this.position = 0;
+    this.direction = 0;
+    this.running = false;
+    this.freewheel = options.freewheel === undefined ? DEFAULT_FREEWHEEL : options.freewheel;
+    this.freewheelTimeout = null;
+    this.rate = 10000;
+    this.lastTime = null;
+    this.lastPiece = null;
+    this.pieces = new Array(8).fill(0);
+    this.pieceMask = 0;
   }
 
   /**
@@ -29,10 +53,10 @@ class MTC extends EventEmitter {
    * @param {Object} sessionOrStream - Session or stream to listen to
    */
   setSource(sessionOrStream) {
-    sessionOrStream.on('message', (deltaTime, message) => {
+    const session = listenToMessages(sessionOrStream, (message, time) => {
       if (message[0] === 0xf1) {
         // Quarter frame message
-        this.applyQuarterTime(message);
+        this.applyQuarterTime(message, time);
       } else if (
         message[0] === 0xf0 &&
         message[1] === 0x7f &&
@@ -46,6 +70,107 @@ class MTC extends EventEmitter {
         this.applySongPosition(message);
       }
     });
+    this.rate = session.rate || this.rate;
+  }
+
+  /**
+   * Get the frame rate of the time code
+   * @returns {Object} { code, fps, nominal, dropFrame }, see timecode.js
+   */
+  getFrameRate() {
+    return getFrameRateByCode(this.type);
+  }
+
+  /**
+   * Get the position in frames since 00:00:00:00
+   * @param {number} [time] - Timestamp in session ticks to extrapolate to while running,
+   * within the freewheel window
+   * @returns {number} Frames, with fractions while running
+   */
+  toFrames(time) {
+    if (!this.running || time === undefined || this.lastTime === null) {
+      return this.position;
+    }
+    const limit = (this.freewheel / 1000) * this.rate;
+    const elapsed = Math.min(Math.max(0, time - this.lastTime), limit) / this.rate;
+    return this.position + this.direction * elapsed * this.getFrameRate().fps;
+  }
+
+  /**
+   * Get the position in seconds since 00:00:00:00. Drop frame time codes
+   * are converted at the real rate of 29.97 frames per second.
+   * @param {number} [time] - Timestamp in session ticks to extrapolate to while running
+   * @returns {number} Seconds
+   */
+  toSeconds(time) {
+    return this.toFrames(time) / this.getFrameRate().fps;
+  }
+
+  /**
+   * Set the position and update the time code fields
+   * @param {number} position - Frames since 00:00:00:00
+   * @private
+   */
+  setPosition(position) {
+    const before = this.toString();
+    const timecode = framesToTimecode(position, this.getFrameRate());
+
+    this.position = position;
+    this.hours = timecode.hours;
+    this.minutes = timecode.minutes;
+    this.seconds = timecode.seconds;
+    this.frames = timecode.frames;
+
+    if (this.toString() !== before) {
+      this.emit('change');
+    }
+  }
+
+  /**
+   * Forget the partially received quarter frame sequence
+   * @private
+   */
+  resetPieces() {
+    this.lastPiece = null;
+    this.pieceMask = 0;
+  }
+
+  /**
+   * Stop after the freewheel window passed without quarter frames
+   * @private
+   */
+  handleDropout() {
+    this.freewheelTimeout = null;
+    this.stopRunning();
+  }
+
+  /**
+   * Leave the running state
+   * @private
+   */
+  stopRunning() {
+    clearTimeout(this.freewheelTimeout);
+    this.freewheelTimeout = null;
+    this.resetPieces();
+
+    if (this.running) {
+      this.running = false;
+      this.direction = 0;
+      this.emit('stop', { position: this.position });
+    }
+  }
+
+  /**
+   * Parse a song position pointer message
+   * @param {Buffer} message - F2 message
+   * @returns {number} Position in MIDI beats, sixteenth notes since the start of the song
+   */
+  static parseSongPosition(message) {
+    // Convert bytes to song position
+    let songPosition = message[2];
+    songPosition <<= 7;
+    songPosition |= message[1];
+    return songPosition;
   }
 
   /**
@@ -55,10 +180,7 @@ class MTC extends EventEmitter {
   applySongPosition(message) {
     const before = this.songPosition;
     
-    // Convert bytes to song position
-    this.songPosition = message[2];
-    this.songPosition <<= 7;
-    this.songPosition |= message[1];
+    this.songPosition = MTC.parseSongPosition(message);
     
     if (this.songPosition !== before) {
       this.emit('change');
@@ -70,63 +192,91 @@ class MTC extends EventEmitter {
    * @param {Buffer} message - MIDI message
    */
   applyFullTime(message) {
-    const originalString = this.toString();
+    this.stopRunning();
 
     // Extract type and time values
     this.type = (message[5] >> 5) & 0x3;
-    this.hours = message[5] & 0x1f;
-    this.minutes = message[6];
-    this.seconds = message[7];
-    this.frames = message[8];
+    this.setPosition(timecodeToFrames({
+      hours: message[5] & 0x1f,
+      minutes: message[6],
+      seconds: message[7],
+      frames: message[8],
+    }, this.getFrameRate()));
 
-    if (this.toString() !== originalString) {
-      this.emit('change');
-    }
+    this.emit('locate', { position: this.position });
   }
 
   /**
-   * Build the MTC timestamp from quarter time commands
+   * Build the MTC timestamp from quarter time commands. The position moves
+   * by a quarter frame with every command, in the direction the pieces are
+   * counted. A complete sequence of eight carries the time of piece 0, so it
+   * is compensated by the pieces received since then: 1.75 frames when
+   * running forward, none in reverse. Missing pieces are skipped over.
    * @param {Buffer} message - MIDI message
+   * @param {number} [time] - Timestamp in session ticks
    */
-  applyQuarterTime(message) {
+  applyQuarterTime(message, time) {
     const quarterTime = message[1];
-    const type = (quarterTime >> 4) & 0x7;
-    let nibble = quarterTime & 0x0f;
-    let operator;
-
-    if (type % 2 === 0) {
-      // Low nibble
-      operator = 0xf0;
-    } else {
-      // High nibble
-      nibble <<= 4;
-      operator = 0x0f;
+    const piece = (quarterTime >> 4) & 0x7;
+    const distance = this.lastPiece === null ? 0 : (piece - this.lastPiece + 8) % 8;
+    let step = 0;
+
+    if (distance === 1) {
+      step = 1;
+    } else if (distance === 7) {
+      step = -1;
+    } else if (distance !== 0) {
+      // Dropped pieces, keep going in the same direction
+      step = this.direction < 0 ? distance - 8 : distance;
+      this.pieceMask = 0;
+    }
+
+    if (step && Math.sign(step) !== this.direction) {
+      if (this.direction !== 0) {
+        this.pieceMask = 0;
+      }
+      this.direction = Math.sign(step);
+    }
+
+    this.pieces[piece] = quarterTime & 0x0f;
+    this.pieceMask |= 1 << piece;
+    this.lastPiece = piece;
+    this.lastTime = time === undefined ? null : time;
+
+    const tracked = this.position + step / 4;
+    const complete = this.pieceMask === 0xff && piece === (this.direction < 0 ? 0 : 7);
+    let position = tracked;
+    let jumped = false;
+
+    if (complete) {
+      const { pieces } = this;
+      this.type = (pieces[7] >> 1) & 0x3;
+      position = timecodeToFrames({
+        frames: pieces[0] | (pieces[1] << 4),
+        seconds: pieces[2] | (pieces[3] << 4),
+        minutes: pieces[4] | (pieces[5] << 4),
+        hours: pieces[6] | ((pieces[7] & 0x1) << 4),
+      }, this.getFrameRate()) + piece / 4;
+      this.pieceMask = 0;
+      jumped = this.running && Math.abs(position - tracked) >= 1;
+    }
+
+    if (this.running || complete) {
+      this.setPosition(position);
+    }
+
+    if (jumped) {
+      this.emit('locate', { position });
+    }
+
+    if (complete && !this.running) {
+      this.running = true;
+      this.emit('start', { position: this.position, direction: this.direction });
     }
 
-    switch (type) {
-      case 0:
-      case 1:
-        this.frames = this.frames & operator | nibble;
-        break;
-      case 2:
-      case 3:
-        this.seconds = this.seconds & operator | nibble;
-        break;
-      case 4:
-      case 5:
-        this.minutes = this.minutes & operator | nibble;
-        break;
-      case 6:
-        this.hours = this.hours & operator | nibble;
-        break;
-      case 7:
-        this.type = (nibble >> 5) & 0x3;
-        nibble &= 0x10;
-        this.hours = this.hours & operator | nibble;
-        this.emit('change');
-        break;
-      default:
-        break;
+    if (this.running && this.freewheel !== null) {
+      clearTimeout(this.freewheelTimeout);
+      this.freewheelTimeout = setTimeout(this.handleDropout.bind(this), this.freewheel);
     }
   }
 
@@ -0,0 +1,185 @@
+/**
+ * MTCGenerator.js - MIDI Time Code master for RTP MIDI sessions.
+ *
+ * Sends quarter frame messages while running and a full frame message on
+ * every locate. Quarter frames are stamped with the session clock, so the
+ * spacing on the wire does not depend on timer accuracy.
+ */
+
+const { EventEmitter } = require('events');
+const logger = require('./logger');
+const Scheduler = require('./Scheduler');
+const {
+  getFrameRate,
+  framesToTimecode,
+  timecodeToFrames,
+  parseTimecode,
+  formatTimecode,
+  createQuarterFrame,
+  createFullFrame,
+} = require('./timecode');
+
+/**
+ * MTCGenerator sends MIDI Time Code over a session
+ * @extends EventEmitter
+ */
+class MTCGenerator extends EventEmitter {
+  /**
+   * Create a new MTCGenerator
+   * @param {Session} session - Session to send to
+   * @param {Object} [options] - Generator options
+   * @param {number|string} [options.frameRate] - 24, 25, 29.97 (drop frame) or 30, 25 by default
+   */
+  constructor(session, options = {}) {
+    super();
+    this.session = session;
+    this.frameRate = getFrameRate(25);
+    this.position = 0;
+    this.running = false;
+    this.runTime = null;
+    this.quarterFrame = 0;
+    this.scheduler = new Scheduler(session, horizon => this.sendQuarterFrames(horizon));
+
+    this.setFrameRate(options.frameRate || 25);
+  }
+
+  /**
+   * Set the frame rate, the current time code is kept
+   * @param {number|string} rate - 24, 25, 29.97 (drop frame) or 30
+   */
+  setFrameRate(rate) {
+    const frameRate = getFrameRate(rate);
+
+    if (!frameRate) {
+      logger.warn(`Unsupported MTC frame rate ${rate}`);
+      return;
+    }
+
+    const timecode = this.getTimecode();
+    timecode.frames = Math.min(timecode.frames, frameRate.nominal - 1);
+    this.frameRate = frameRate;
+    this.position = timecodeToFrames(timecode, frameRate);
+
+    if (this.running) {
+      this.restart();
+    }
+  }
+
+  /**
+   * Get the session time of a quarter frame of the current run
+   * @param {number} index - Quarter frame index since the run started
+   * @returns {number} Session time in ticks
+   * @private
+   */
+  getQuarterFrameTime(index) {
+    return this.runTime + Math.round((index * this.session.rate) / (this.frameRate.fps * 4));
+  }
+
+  /**
+   * Get the current position
+   * @returns {number} Frames since 00:00:00:00
+   */
+  getFrames() {
+    if (!this.running) {
+      return this.position;
+    }
+    const elapsed = ((this.session.now() - this.runTime) / this.session.rate) * this.frameRate.fps;
+    return this.position + Math.max(0, Math.floor(elapsed));
+  }
+
+  /**
+   * Get the current position as time code
+   * @returns {Object} { hours, minutes, seconds, frames }
+   */
+  getTimecode() {
+    return framesToTimecode(this.getFrames(), this.frameRate);
+  }
+
+  /**
+   * Move to a position and send a full frame message. A running generator
+   * continues from there.
+   * @param {Object|string|number} position - Time code object, 'HH:MM:SS:FF' or frame count
+   */
+  locate(position) {
+    const timecode = typeof position === 'string' ? parseTimecode(position) : position;
+
+    if (timecode === null || timecode === undefined) {
+      logger.warn(`Ignoring invalid MTC position ${position}`);
+      return;
+    }
+
+    this.position = typeof timecode === 'number'
+      ? timecode
+      : timecodeToFrames(timecode, this.frameRate);
+
+    const current = framesToTimecode(this.position, this.frameRate);
+    this.session.sendMessage(createFullFrame(current, this.frameRate));
+    this.emit('locate', { timecode: current, text: formatTimecode(current) });
+
+    if (this.running) {
+      this.restart();
+    }
+  }
+
+  /**
+   * Start sending quarter frames from the current position
+   */
+  run() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    this.restart();
+    this.emit('run', { timecode: this.getTimecode() });
+  }
+
+  /**
+   * Stop sending quarter frames, the position is kept
+   */
+  stop() {
+    if (!this.running) {
+      return;
+    }
+    this.position = this.getFrames();
+    this.running = false;
+    this.scheduler.stop();
+    this.emit('stop', { timecode: this.getTimecode() });
+  }
+
+  /**
+   * Start a new sequence of quarter frames at the current position
+   * @private
+   */
+  restart() {
+    this.runTime = this.session.now();
+    this.quarterFrame = 0;
+    this.scheduler.tick();
+  }
+
+  /**
+   * Send the quarter frames that are due. Each sequence of eight carries the
+   * time code of its first quarter frame.
+   * @param {number} horizon - Session time in ticks up to which quarter frames are sent
+   * @returns {number} Session time of the next quarter frame
+   * @private
+   */
+  sendQuarterFrames(horizon) {
+    const { session } = this;
+
+    while (this.getQuarterFrameTime(this.quarterFrame) <= horizon) {
+      const piece = this.quarterFrame % 8;
+      const frames = this.position + 2 * Math.floor(this.quarterFrame / 8);
+      const timecode = framesToTimecode(frames, this.frameRate);
+
+      session.sendMessage(
+        session.startTime + this.getQuarterFrameTime(this.quarterFrame),
+        createQuarterFrame(timecode, this.frameRate, piece),
+      );
+      this.quarterFrame += 1;
+    }
+
+    return this.getQuarterFrameTime(this.quarterFrame);
+  }
+}
+
+module.exports = MTCGenerator;
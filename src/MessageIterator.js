@@ -0,0 +1,188 @@
+/**
+ * MessageIterator.js - Async iteration over MIDI message events.
+ *
+ * Buffers the messages emitted by a session or stream until they are read
+ * with for await, and ends when the source closes. The buffer is bounded:
+ * once maxQueued messages wait, the oldest is dropped or the iteration fails.
+ */
+
+const logger = require('./logger');
+const { getAbortReason } = require('./util');
+
+const DEFAULT_MAX_QUEUED = 1024;
+
+/**
+ * MessageIterator turns message events into an async iterator
+ */
+class MessageIterator {
+  /**
+   * Create a new MessageIterator
+   * @param {EventEmitter} emitter - Session or stream
+   * @param {Object} options - Iterator options
+   * @param {Function} options.map - Converts the event arguments to the iterated value
+   * @param {string} options.endEvent - Event that ends the iteration
+   * @param {Function} [options.shouldEnd] - Checks whether an end event ends the iteration
+   * @param {AbortSignal} [options.signal] - Ends the iteration with the abort reason
+   * @param {number} [options.maxQueued=1024] - Number of unread messages buffered at most
+   * @param {string} [options.overflow='drop'] - What happens to a message that does not fit:
+   * 'drop' drops the oldest unread message, 'error' ends the iteration with an error
+   */
+  constructor(emitter, {
+    map, endEvent, shouldEnd = () => true, signal, maxQueued = DEFAULT_MAX_QUEUED, overflow = 'drop',
+  }) {
+    if (overflow !== 'drop' && overflow !== 'error') {
+      throw new TypeError(`Unknown overflow policy: ${overflow}`);
+    }
+
+    this.emitter = emitter;
+    this.endEvent = endEvent;
+    this.signal = signal;
+    this.maxQueued = maxQueued;
+    this.overflow = overflow;
+    this.dropped = 0;
+    this.overflowing = false;
+    this.queue = [];
+    this.pending = null;
+    this.done = false;
+    this.error = null;
+
+    this.onMessage = (...args) => this.push(map(...args));
+    this.onEnd = (event) => {
+      if (shouldEnd(event)) {
+        this.finish();
+      }
+    };
+    this.onAbort = () => this.fail(getAbortReason(signal));
+
+    if (signal && signal.aborted) {
+      this.fail(getAbortReason(signal));
+      return;
+    }
+
+    emitter.on('message', this.onMessage);
+    emitter.on(endEvent, this.onEnd);
+    if (signal) {
+      signal.addEventListener('abort', this.onAbort, { once: true });
+    }
+  }
+
+  /**
+   * Stop listening to the source
+   * @private
+   */
+  cleanup() {
+    this.done = true;
+    this.emitter.removeListener('message', this.onMessage);
+    this.emitter.removeListener(this.endEvent, this.onEnd);
+    if (this.signal) {
+      this.signal.removeEventListener('abort', this.onAbort);
+    }
+  }
+
+  /**
+   * Queue a value or hand it to a waiting reader
+   * @param {*} value - Iterated value
+   * @private
+   */
+  push(value) {
+    if (this.pending) {
+      const { resolve } = this.pending;
+      this.pending = null;
+      resolve({ value, done: false });
+      return;
+    }
+
+    if (this.queue.length >= this.maxQueued) {
+      if (this.overflow === 'error') {
+        const err = new Error(`More than ${this.maxQueued} messages were not read`);
+        err.code = 'ERR_BUFFER_OVERFLOW';
+        this.fail(err);
+        return;
+      }
+
+      // Warn once until the reader catches up, not for every message dropped
+      if (!this.overflowing) {
+        this.overflowing = true;
+        logger.warn(`More than ${this.maxQueued} messages were not read, dropping the oldest`);
+      }
+      this.queue.shift();
+      this.dropped += 1;
+    }
+    this.queue.push(value);
+  }
+
+  /**
+   * End the iteration once the queued values are read
+   * @private
+   */
+  finish() {
+    this.cleanup();
+    if (this.pending) {
+      const { resolve } = this.pending;
+      this.pending = null;
+      resolve({ value: undefined, done: true });
+    }
+  }
+
+  /**
+   * End the iteration with an error
+   * @param {Error} err - Error thrown by the next read
+   * @private
+   */
+  fail(err) {
+    this.cleanup();
+    this.queue = [];
+    this.error = err;
+    if (this.pending) {
+      const { reject } = this.pending;
+      this.pending = null;
+      this.error = null;
+      reject(err);
+    }
+  }
+
+  /**
+   * Read the next message
+   * @returns {Promise<Object>} Iterator result
+   */
+  next() {
+    if (this.queue.length) {
+      const value = this.queue.shift();
+      if (!this.queue.length) {
+        this.overflowing = false;
+      }
+      return Promise.resolve({ value, done: false });
+    }
+    if (this.error) {
+      const { error } = this;
+      this.error = null;
+      return Promise.reject(error);
+    }
+    if (this.done) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    return new Promise((resolve, reject) => {
+      this.pending = { resolve, reject };
+    });
+  }
+
+  /**
+   * Stop the iteration, called when a for await loop is left early
+   * @returns {Promise<Object>} Final iterator result
+   */
+  return() {
+    this.queue = [];
+    this.finish();
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  /**
+   * Get the iterator
+   * @returns {MessageIterator} this instance
+   */
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+}
+
+module.exports = MessageIterator;
@@ -7,6 +7,11 @@
 const midiCommon = require('midi-common');
 const logger = require('./logger');
 const RTPMessage = require('./RTPMessage');
+const {
+  encodeJournal,
+  decodeChannelChapters,
+  decodeSystemChapters,
+} = require('./journal');
 
 // Flag constants
 const FLAG_MASK_DELTA_TIME_BYTE = 0x7f;
@@ -17,6 +22,12 @@ const FLAG_HAS_JOURNAL = 0x40;
 const FLAG_FIRST_HAS_DELTA_TIME = 0x20;
 const FLAG_P = 0x10;
 
+// Bytes that end a SysEx segment: complete, continued and cancelled
+const SYSEX_END_BYTES = [0xf7, 0xf0, 0xf4];
+
+// The command section length is a 12-bit field
+const MAX_COMMAND_SECTION_LENGTH = 0xfff;
+
 /**
  * Get expected data length for a MIDI command
  * @param {number} command - MIDI command byte
@@ -47,6 +58,21 @@ class MidiMessage extends RTPMessage {
     this.payloadType = 0x61;
   }
 
+  /**
+   * Get the encoded length of a delta time
+   * @param {number} deltaTime - Delta time in ticks, below 2^28
+   * @returns {number} Length in bytes, 7 bits per byte
+   */
+  static getDeltaTimeLength(deltaTime) {
+    // eslint-disable-next-line no-bitwise
+    if (deltaTime >= 1 << 21) return 4;
+    // eslint-disable-next-line no-bitwise
+    if (deltaTime >= 1 << 14) return 3;
+    // eslint-disable-next-line no-bitwise
+    if (deltaTime >= 1 << 7) return 2;
+    return 1;
+  }
+
   /**
    * Parse a buffer into this MIDI Message
    * @param {Buffer} buffer - The buffer to parse
@@ -86,9 +112,10 @@ class MidiMessage extends RTPMessage {
 
     // Read the command section
     const commandStartOffset = this.bigLength ? 2 : 1;
+    const commandEndOffset = commandStartOffset + this.length;
     offset = commandStartOffset;
 
-    while (offset < this.length + commandStartOffset - 1) {
+    while (offset < commandEndOffset) {
       const command = {};
       let deltaTime = 0;
 
@@ -114,22 +141,34 @@ class MidiMessage extends RTPMessage {
       // eslint-disable-next-line no-bitwise
       hasOwnStatusByte = (statusByte & 0x80) === 0x80;
       if (hasOwnStatusByte) {
-        lastStatusByte = statusByte;
+        // Only channel commands set running status, system common commands cancel it
+        if (statusByte < 0xf0) {
+          lastStatusByte = statusByte;
+        } else if (statusByte < 0xf8) {
+          lastStatusByte = null;
+        }
         offset += 1;
       } else if (lastStatusByte) {
         statusByte = lastStatusByte;
+      } else {
+        logger.warn('Ignoring command without status byte');
+        this.isValid = false;
+        return this;
       }
 
-      // Parse SysEx
-      if (statusByte === 0xf0) {
+      // Parse SysEx, complete (F0 ... F7) or a segment ending in F0, F7 or F4
+      if (statusByte === 0xf0 || statusByte === 0xf7) {
         dataLength = 0;
-        while (payload.length > offset + dataLength
+        while (commandEndOffset > offset + dataLength
           // eslint-disable-next-line no-bitwise
           && !(payload.readUInt8(offset + dataLength) & 0x80)) {
           dataLength += 1;
         }
-        if (payload.readUInt8(offset + dataLength) !== 0xf7) {
-          dataLength -= 1;
+        if (commandEndOffset <= offset + dataLength
+          || !SYSEX_END_BYTES.includes(payload.readUInt8(offset + dataLength))) {
+          logger.warn('Ignoring unterminated SysEx');
+          this.isValid = false;
+          return this;
         }
 
         dataLength += 1;
@@ -150,30 +189,39 @@ class MidiMessage extends RTPMessage {
         offset += dataLength;
       }
       
-      if (!(command.data[0] === 0xf0 && command.data[command.data.length - 1] !== 0xf7)) {
-        this.commands.push(command);
-      } else {
-        return this;
-      }
+      this.commands.push(command);
     }
     
     if (this.hasJournal) {
-      this.journalOffset = offset;
-      this.journal = this.parseJournal();
+      this.journalOffset = commandStartOffset + this.length;
+      try {
+        this.journal = this.parseJournal();
+      } catch (err) {
+        logger.warn('Ignoring malformed journal', err.message);
+        this.journal = null;
+      }
+      if (!this.journal) {
+        this.isValid = false;
+      }
     }
     
     return this;
   }
 
   /**
-   * Parse a journal from the MIDI message
-   * @returns {Object} Parsed journal
+   * Parse a journal from the MIDI message. The chapters of the system and
+   * channel journals are decoded into the structures accepted by generateBuffer().
+   * @returns {Object|null} Parsed journal, null if it is truncated or malformed
    */
   parseJournal() {
     let offset = this.journalOffset;
     const { payload } = this;
     let presentChapters;
 
+    if (offset + 3 > payload.length) {
+      return null;
+    }
+
     const journal = {};
     const journalHeader = payload[offset];
 
@@ -192,6 +240,9 @@ class MidiMessage extends RTPMessage {
     offset += 3;
 
     if (journal.hasSystemJournal) {
+      if (offset + 2 > payload.length) {
+        return null;
+      }
       const systemJournal = {};
       journal.systemJournal = systemJournal;
       presentChapters = {};
@@ -210,8 +261,15 @@ class MidiMessage extends RTPMessage {
       // eslint-disable-next-line no-bitwise
       presentChapters.X = !!(payload[offset] & 0x04);
       
+      systemJournal.s = presentChapters.S;
       // eslint-disable-next-line no-bitwise
       systemJournal.length = ((payload[offset] & 0x3) << 8) | payload[offset + 1];
+      systemJournal.chapters = decodeSystemChapters(
+        payload, offset + 2, offset + systemJournal.length, presentChapters,
+      );
+      if (!systemJournal.chapters || systemJournal.length < 2) {
+        return null;
+      }
       offset += systemJournal.length;
     }
 
@@ -222,14 +280,17 @@ class MidiMessage extends RTPMessage {
       // eslint-disable-next-line no-bitwise
       journal.totalChannels = (journalHeader & 0x0f) + 1;
       
-      while (channel < journal.totalChannels && offset < payload.length) {
+      while (channel < journal.totalChannels) {
+        if (offset + 3 > payload.length) {
+          return null;
+        }
         channelJournal = {};
         // eslint-disable-next-line no-bitwise
         channelJournal.channel = (payload[offset] >> 3) & 0x0f;
         // eslint-disable-next-line no-bitwise
         channelJournal.s = !!(payload[offset] & 0x80);
         // eslint-disable-next-line no-bitwise
-        channelJournal.h = !!(payload[offset] & 0x01);
+        channelJournal.h = !!(payload[offset] & 0x04);
         // eslint-disable-next-line no-bitwise
         channelJournal.length = ((payload[offset] & 0x3) << 8) | payload[offset + 1];
         
@@ -253,6 +314,13 @@ class MidiMessage extends RTPMessage {
         // eslint-disable-next-line no-bitwise
         presentChapters.A = !!(payload[offset + 2] & 0x01);
 
+        channelJournal.chapters = decodeChannelChapters(
+          payload, offset + 3, offset + channelJournal.length, presentChapters,
+        );
+        if (!channelJournal.chapters || channelJournal.length < 3) {
+          return null;
+        }
+
         offset += channelJournal.length;
         journal.channelJournals.push(channelJournal);
         channel += 1;
@@ -292,27 +360,20 @@ class MidiMessage extends RTPMessage {
         this.firstHasDeltaTime = false;
       } else {
         commandDeltaTime = Math.round(command.deltaTime);
-
-        // Calculate delta time bytes needed
-        if (commandDeltaTime >= 0x7f7f7f) {
-          command._length += 1;
-        }
-        if (commandDeltaTime >= 0x7f7f) {
-          command._length += 1;
-        }
-        if (commandDeltaTime >= 0x7f) {
-          command._length += 1;
-        }
-        command._length += 1;
+        command._length += MidiMessage.getDeltaTimeLength(commandDeltaTime);
       }
       
       commandStatusByte = command.data[0];
 
-      // Calculate data length
-      if (commandStatusByte === 0xf0) {
+      // Calculate data length, SysEx segments end with F7, F0 or F4
+      if (commandStatusByte === 0xf0 || commandStatusByte === 0xf7) {
         expectedDataLength = 0;
         while (expectedDataLength + 1 < commandDataLength
-          && command.data[expectedDataLength] !== 0xf7) {
+          // eslint-disable-next-line no-bitwise
+          && !(command.data[expectedDataLength + 1] & 0x80)) {
+          expectedDataLength += 1;
+        }
+        if (SYSEX_END_BYTES.includes(command.data[expectedDataLength + 1])) {
           expectedDataLength += 1;
         }
       } else {
@@ -324,20 +385,32 @@ class MidiMessage extends RTPMessage {
         command._length = 0;
       } else {
         command._length += expectedDataLength;
-        if (commandStatusByte !== lastStatusByte) {
+        if (commandStatusByte !== lastStatusByte || commandStatusByte >= 0xf0) {
           command._hasOwnStatusByte = true;
-          lastStatusByte = commandStatusByte;
           command._length += 1;
         } else {
           command._hasOwnStatusByte = false;
         }
+
+        // Only channel commands set running status, system common commands cancel it
+        if (commandStatusByte < 0xf0) {
+          lastStatusByte = commandStatusByte;
+        } else if (commandStatusByte < 0xf8) {
+          lastStatusByte = null;
+        }
         payloadLength += command._length;
       }
     }
     
     const length = payloadLength - 1;
+    this.length = length;
     this.bigLength = length > 15;
 
+    if (length > MAX_COMMAND_SECTION_LENGTH) {
+      logger.warn(`Command section of ${length} bytes exceeds the length field, split the commands or segment SysEx`);
+      this.isValid = false;
+    }
+
     if (this.bigLength) {
       payloadLength += 1;
     }
@@ -345,10 +418,13 @@ class MidiMessage extends RTPMessage {
     // Create payload buffer
     const payload = Buffer.alloc(payloadLength);
 
+    // Encode the recovery journal that follows the command section
+    const journalBuffer = this.hasJournal && this.journal ? encodeJournal(this.journal) : null;
+
     // Create header bitmask
     bitmask = 0;
     // eslint-disable-next-line no-bitwise
-    bitmask |= this.hasJournal ? FLAG_HAS_JOURNAL : 0;
+    bitmask |= journalBuffer ? FLAG_HAS_JOURNAL : 0;
     // eslint-disable-next-line no-bitwise
     bitmask |= this.firstHasDeltaTime ? FLAG_FIRST_HAS_DELTA_TIME : 0;
     // eslint-disable-next-line no-bitwise
@@ -367,9 +443,8 @@ class MidiMessage extends RTPMessage {
     }
 
     payload[0] = bitmask;
-    payloadOffset += 1;
 
-    // Generate command data
+    // Generate command data (payloadOffset points at the last written byte)
     for (let i = 0; i < this.commands.length; i++) {
       command = this.commands[i];
 
@@ -378,20 +453,11 @@ class MidiMessage extends RTPMessage {
         if (i > 0 || this.firstHasDeltaTime) {
           commandDeltaTime = Math.round(command.deltaTime);
 
-          if (commandDeltaTime >= 0x7f7f7f) {
-            payloadOffset += 1;
-            // eslint-disable-next-line no-bitwise
-            payload.writeUInt8(0x80 | (0x7f & (commandDeltaTime >> 21)), payloadOffset);
-          }
-          if (commandDeltaTime >= 0x7f7f) {
-            payloadOffset += 1;
-            // eslint-disable-next-line no-bitwise
-            payload.writeUInt8(0x80 | (0x7f & (commandDeltaTime >> 14)), payloadOffset);
-          }
-          if (commandDeltaTime >= 0x7f) {
+          // Most significant 7 bit groups first, all but the last with the continuation bit
+          for (let k = MidiMessage.getDeltaTimeLength(commandDeltaTime) - 1; k > 0; k--) {
             payloadOffset += 1;
             // eslint-disable-next-line no-bitwise
-            payload.writeUInt8(0x80 | (0x7f & (commandDeltaTime >> 7)), payloadOffset);
+            payload.writeUInt8(0x80 | (0x7f & (commandDeltaTime >> (7 * k))), payloadOffset);
           }
           payloadOffset += 1;
           // eslint-disable-next-line no-bitwise
@@ -411,7 +477,7 @@ class MidiMessage extends RTPMessage {
       }
     }
 
-    this.payload = payload;
+    this.payload = journalBuffer ? Buffer.concat([payload, journalBuffer]) : payload;
     super.generateBuffer();
     return this;
   }
@@ -426,6 +492,7 @@ class MidiMessage extends RTPMessage {
         deltaTime: command.deltaTime,
         data: Array.from(command.data),
       })),
+      journal: this.hasJournal ? this.journal : undefined,
     };
   }
 }
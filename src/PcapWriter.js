@@ -0,0 +1,69 @@
+/**
+ * PcapWriter.js - Writes UDP datagrams to a pcap capture.
+ *
+ * Every datagram gets synthetic IP and UDP headers, so the capture opens in
+ * Wireshark like one taken from the network.
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const { createFileHeader, createRecord } = require('./pcap');
+
+/**
+ * PcapWriter appends packets to a capture file or stream
+ * @extends EventEmitter
+ */
+class PcapWriter extends EventEmitter {
+  /**
+   * Create a new PcapWriter, the file header is written right away
+   * @param {string|Writable} destination - File path or writable stream
+   * @param {Object} [options] - Writer options
+   * @param {number} [options.ipVersion] - IP version of the synthetic headers, 4 by default
+   */
+  constructor(destination, options = {}) {
+    super();
+    this.ipVersion = options.ipVersion === 6 ? 6 : 4;
+    this.packets = 0;
+    this.closed = false;
+    this.output = typeof destination === 'string' ? fs.createWriteStream(destination) : destination;
+    this.output.on('error', err => this.emit('error', err));
+    this.output.write(createFileHeader());
+  }
+
+  /**
+   * Append a packet
+   * @param {Object} packet - Packet to write
+   * @param {number} packet.time - Seconds since the epoch
+   * @param {Object} packet.source - Source { address, port }
+   * @param {Object} packet.destination - Destination { address, port }
+   * @param {Buffer} packet.payload - UDP payload
+   */
+  write(packet) {
+    if (this.closed) {
+      return;
+    }
+    this.output.write(createRecord(packet, this.ipVersion));
+    this.packets += 1;
+  }
+
+  /**
+   * Finish the capture
+   * @returns {Promise} Resolves when all packets are written
+   */
+  close() {
+    if (this.closed) {
+      return Promise.resolve();
+    }
+    this.closed = true;
+    return new Promise((resolve, reject) => {
+      this.output.once('error', reject);
+      this.output.end(() => {
+        this.output.removeListener('error', reject);
+        this.emit('close', { packets: this.packets });
+        resolve();
+      });
+    });
+  }
+}
+
+module.exports = PcapWriter;
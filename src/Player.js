@@ -0,0 +1,511 @@
+/**
+ * Player.js - Plays Standard MIDI Files into a session.
+ *
+ * The tracks of a file are merged into one timeline whose times follow the
+ * tempo map. Events are handed to session.sendMessage() stamped with the
+ * session clock as they come within the session lookahead. The transport
+ * can be driven by hand or follow a beat clock or MIDI Time Code reader.
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const logger = require('./logger');
+const Clock = require('./Clock');
+const MTC = require('./MTC');
+const Scheduler = require('./Scheduler');
+const { decodeFile } = require('./smf');
+
+// Microseconds per quarter note until the first tempo event, 120 bpm
+const DEFAULT_TEMPO = 500000;
+
+// Controllers that are not chased: sustain style switches would hang, channel mode messages reset
+const CHASE_EXCLUDED = new Set([64, 65, 66, 67, 68, 69, 120, 121, 122, 123, 124, 125, 126, 127]);
+
+/**
+ * Player plays a Standard MIDI File through a session
+ * @extends EventEmitter
+ */
+class Player extends EventEmitter {
+  /**
+   * Create a new Player
+   * @param {Session} session - Session to play into
+   */
+  constructor(session) {
+    super();
+    this.session = session;
+    this.ppq = 480;
+    this.events = [];
+    this.tempoMap = [{ tick: 0, seconds: 0, tempo: DEFAULT_TEMPO }];
+    this.duration = 0;
+
+    this.playing = false;
+    this.position = 0;
+    this.speed = 1;
+    this.loop = null;
+    this.index = 0;
+    this.anchorTime = null;
+    this.anchorPosition = 0;
+    this.sentUntil = null;
+    this.scheduler = new Scheduler(session, horizon => this.sendEvents(horizon));
+    this.activeNotes = new Set();
+    this.following = null;
+  }
+
+  /**
+   * Load a file, stopping playback
+   * @param {Buffer|Object} file - File contents or a file decoded with smf.decodeFile()
+   * @returns {boolean} True if the file was loaded
+   */
+  load(file) {
+    const smf = Buffer.isBuffer(file) ? decodeFile(file) : file;
+
+    if (!smf) {
+      return false;
+    }
+    if (smf.format === 2) {
+      logger.warn('SMF type 2 files are played with all tracks at once');
+    }
+
+    this.pause();
+    this.ppq = smf.ppq;
+
+    // Merge the tracks, events at the same tick keep their track order
+    const merged = [];
+    smf.tracks.forEach((track, trackIndex) => {
+      let tick = 0;
+      track.forEach(({ delta, data }, eventIndex) => {
+        tick += delta;
+        merged.push({
+          tick, trackIndex, eventIndex, data: Buffer.from(data),
+        });
+      });
+    });
+    merged.sort((a, b) => (a.tick - b.tick) || (a.trackIndex - b.trackIndex) || (a.eventIndex - b.eventIndex));
+
+    // Build the tempo map and convert ticks to seconds
+    this.tempoMap = [{ tick: 0, seconds: 0, tempo: DEFAULT_TEMPO }];
+    merged.forEach((event) => {
+      const { data } = event;
+      if (data[0] === 0xff && data[1] === 0x51 && data.length >= 6) {
+        this.tempoMap.push({
+          tick: event.tick,
+          seconds: this.ticksToSeconds(event.tick),
+          // eslint-disable-next-line no-bitwise
+          tempo: (data[3] << 16) | (data[4] << 8) | data[5],
+        });
+      }
+    });
+
+    this.events = merged
+      .filter(event => event.data[0] !== 0xff)
+      .map(({ tick, data }) => ({ tick, seconds: this.ticksToSeconds(tick), data }));
+    this.duration = merged.length ? this.ticksToSeconds(merged[merged.length - 1].tick) : 0;
+    this.position = 0;
+    this.index = 0;
+    this.loop = null;
+    this.emit('load', { duration: this.duration });
+    return true;
+  }
+
+  /**
+   * Read and load a file
+   * @param {string} path - File path
+   * @returns {Promise<boolean>} Resolves with true if the file was loaded
+   */
+  loadFile(path) {
+    return fs.promises.readFile(path).then(buffer => this.load(buffer));
+  }
+
+  /**
+   * Get the tempo map entry in effect at a tick or time
+   * @param {string} key - 'tick' or 'seconds'
+   * @param {number} value - Tick or time
+   * @returns {Object} Tempo map entry { tick, seconds, tempo }
+   * @private
+   */
+  getTempoEntry(key, value) {
+    let entry = this.tempoMap[0];
+    for (const candidate of this.tempoMap) {
+      if (candidate[key] > value) break;
+      entry = candidate;
+    }
+    return entry;
+  }
+
+  /**
+   * Convert a tick to seconds along the tempo map
+   * @param {number} tick - Tick since the start of the file
+   * @returns {number} Seconds
+   */
+  ticksToSeconds(tick) {
+    const entry = this.getTempoEntry('tick', tick);
+    return entry.seconds + ((tick - entry.tick) * entry.tempo) / (this.ppq * 1000000);
+  }
+
+  /**
+   * Get the tempo at a time
+   * @param {number} seconds - Time since the start of the file
+   * @returns {number} Beats per minute
+   */
+  getTempo(seconds) {
+    return 60000000 / this.getTempoEntry('seconds', seconds).tempo;
+  }
+
+  /**
+   * Get the playback position
+   * @returns {number} Seconds since the start of the file
+   */
+  getPosition() {
+    return this.playing ? this.getPositionAt(this.session.now()) : this.position;
+  }
+
+  /**
+   * Get the file time played at a session time of the current run
+   * @param {number} time - Session time in ticks
+   * @returns {number} Seconds since the start of the file
+   * @private
+   */
+  getPositionAt(time) {
+    const elapsed = ((time - this.anchorTime) / this.session.rate) * this.speed;
+    return Math.min(this.duration, this.anchorPosition + Math.max(0, elapsed));
+  }
+
+  /**
+   * Get the session time up to which events were handed to the session.
+   * With a lookahead this is ahead of the session clock.
+   * @returns {number} Session time in ticks
+   * @private
+   */
+  getSentTime() {
+    const now = this.session.now();
+    return this.sentUntil === null ? now : Math.max(now, this.sentUntil);
+  }
+
+  /**
+   * Get the session time at which a file time is played
+   * @param {number} seconds - Time since the start of the file
+   * @returns {number} Session time in ticks
+   * @private
+   */
+  getSessionTime(seconds) {
+    return this.anchorTime + Math.round(((seconds - this.anchorPosition) / this.speed) * this.session.rate);
+  }
+
+  /**
+   * Find the first event at or after a time
+   * @param {number} seconds - Time since the start of the file
+   * @returns {number} Event index
+   * @private
+   */
+  findIndex(seconds) {
+    const index = this.events.findIndex(event => event.seconds >= seconds);
+    return index === -1 ? this.events.length : index;
+  }
+
+  /**
+   * Start playing from the current position
+   */
+  play() {
+    if (this.playing || !this.events.length) {
+      return;
+    }
+    if (this.position >= this.duration && !this.loop) {
+      this.position = 0;
+      this.index = 0;
+    }
+    this.playing = true;
+    this.emit('play', { position: this.position });
+    this.restart(this.position, this.session.now(), this.index);
+  }
+
+  /**
+   * Stop playing and keep the position. Events within the session lookahead
+   * were sent already, so the player stops after them and releases the
+   * sounding notes there.
+   */
+  pause() {
+    if (!this.playing) {
+      return;
+    }
+    const time = this.getSentTime();
+    this.position = this.getPositionAt(time);
+    this.playing = false;
+    this.scheduler.stop();
+    this.releaseNotes(time);
+    this.emit('pause', { position: this.position });
+  }
+
+  /**
+   * Stop playing and return to the start
+   */
+  stop() {
+    this.pause();
+    this.seek(0);
+  }
+
+  /**
+   * Move to a time. Controllers, program changes and pitch bend in effect
+   * there are sent, so instruments match the new position.
+   * @param {number} seconds - Time since the start of the file
+   */
+  seek(seconds) {
+    const position = Math.min(Math.max(0, seconds), this.duration);
+    // While playing, continue after the events that were sent already
+    const time = this.playing ? this.getSentTime() : undefined;
+
+    this.releaseNotes(time);
+    this.position = position;
+    this.index = this.findIndex(position);
+    this.chase(position, time);
+
+    if (this.playing) {
+      this.restart(position, time, this.index);
+    }
+    this.emit('seek', { position });
+  }
+
+  /**
+   * Set the playback speed, 1 plays at the tempo of the file
+   * @param {number} speed - Speed factor
+   */
+  setSpeed(speed) {
+    if (!(speed > 0)) {
+      logger.warn(`Ignoring invalid playback speed ${speed}`);
+      return;
+    }
+    const time = this.getSentTime();
+    const position = this.playing ? this.getPositionAt(time) : this.position;
+    this.speed = speed;
+    if (this.playing) {
+      this.restart(position, time, this.index);
+    }
+  }
+
+  /**
+   * Loop a part of the file
+   * @param {number} [start] - Loop start in seconds, the start of the file by default
+   * @param {number} [end] - Loop end in seconds, the end of the file by default
+   */
+  setLoop(start = 0, end = this.duration) {
+    if (!(end > start)) {
+      logger.warn(`Ignoring empty loop from ${start} to ${end}`);
+      return;
+    }
+    this.loop = { start, end };
+    if (this.playing) {
+      this.reschedule();
+    }
+  }
+
+  /**
+   * Play on to the end of the file
+   */
+  clearLoop() {
+    this.loop = null;
+    if (this.playing) {
+      this.reschedule();
+    }
+  }
+
+  /**
+   * Continue playing from a position
+   * @param {number} position - Time since the start of the file
+   * @param {number} time - Session time in ticks at which the position is played
+   * @param {number} index - Index of the next event to send
+   * @private
+   */
+  restart(position, time, index) {
+    this.anchorTime = time;
+    this.anchorPosition = position;
+    this.index = index;
+    this.sentUntil = null;
+    this.scheduler.tick();
+  }
+
+  /**
+   * Continue playing after the events that were sent already
+   * @private
+   */
+  reschedule() {
+    const time = this.getSentTime();
+    this.restart(this.getPositionAt(time), time, this.index);
+  }
+
+  /**
+   * Send the events that are due and wrap around the loop
+   * @param {number} horizon - Session time in ticks up to which events are sent
+   * @returns {number|null} Session time of the next event, null at the end of the file
+   * @private
+   */
+  sendEvents(horizon) {
+    this.sentUntil = horizon;
+
+    for (;;) {
+      const event = this.events[this.index];
+      const end = this.loop ? this.loop.end : this.duration;
+
+      if (event && (!this.loop || event.seconds < end)) {
+        const time = this.getSessionTime(event.seconds);
+        if (time > horizon) {
+          return time;
+        }
+        this.sendEvent(event.data, time);
+        this.index += 1;
+      } else {
+        const time = this.getSessionTime(end);
+        if (time > horizon) {
+          return time;
+        }
+        this.releaseNotes(time);
+
+        if (!this.loop) {
+          this.playing = false;
+          this.position = this.duration;
+          this.emit('end');
+          return null;
+        }
+        this.anchorTime = time;
+        this.anchorPosition = this.loop.start;
+        this.index = this.findIndex(this.loop.start);
+        this.emit('loop', this.loop);
+      }
+    }
+  }
+
+  /**
+   * Send an event and keep track of sounding notes
+   * @param {Buffer} data - Command data
+   * @param {number} [time] - Session time in ticks, now if not set
+   * @private
+   */
+  sendEvent(data, time) {
+    // eslint-disable-next-line no-bitwise
+    const type = data[0] & 0xf0;
+    // eslint-disable-next-line no-bitwise
+    const note = ((data[0] & 0x0f) << 7) | data[1];
+
+    if (type === 0x90 && data[2] > 0) {
+      this.activeNotes.add(note);
+    } else if (type === 0x80 || type === 0x90) {
+      this.activeNotes.delete(note);
+    }
+
+    if (time === undefined) {
+      this.session.sendMessage(data);
+    } else {
+      this.session.sendMessage(this.session.startTime + time, data);
+    }
+  }
+
+  /**
+   * Send note offs for all sounding notes
+   * @param {number} [time] - Session time in ticks, now if not set
+   * @private
+   */
+  releaseNotes(time) {
+    this.activeNotes.forEach((note) => {
+      // eslint-disable-next-line no-bitwise
+      this.sendEvent(Buffer.from([0x80 | (note >> 7), note & 0x7f, 0]), time);
+    });
+    this.activeNotes.clear();
+  }
+
+  /**
+   * Send the controllers, program changes and pitch bend in effect at a time
+   * @param {number} seconds - Time since the start of the file
+   * @param {number} [time] - Session time in ticks, now if not set
+   * @private
+   */
+  chase(seconds, time) {
+    const channels = new Map();
+
+    for (const { data, seconds: time } of this.events) {
+      if (time >= seconds) break;
+
+      // eslint-disable-next-line no-bitwise
+      const type = data[0] & 0xf0;
+      // eslint-disable-next-line no-bitwise
+      const channel = data[0] & 0x0f;
+      if (type === 0xb0 || type === 0xc0 || type === 0xe0) {
+        if (!channels.has(channel)) {
+          channels.set(channel, { controllers: new Map(), program: null, pitchBend: null });
+        }
+        const state = channels.get(channel);
+
+        if (type === 0xb0 && !CHASE_EXCLUDED.has(data[1])) {
+          state.controllers.delete(data[1]);
+          state.controllers.set(data[1], data);
+        } else if (type === 0xc0) {
+          state.program = data;
+        } else if (type === 0xe0) {
+          state.pitchBend = data;
+        }
+      }
+    }
+
+    // Bank select comes with the controllers, before the program change
+    channels.forEach((state) => {
+      state.controllers.forEach(data => this.sendEvent(data, time));
+      if (state.program) this.sendEvent(state.program, time);
+      if (state.pitchBend) this.sendEvent(state.pitchBend, time);
+    });
+  }
+
+  /**
+   * Let a beat clock or MIDI Time Code reader drive the transport.
+   * A clock starts, stops, continues and locates by song position, and its
+   * tempo sets the playback speed. A time code reader starts, stops and
+   * locates by its time.
+   * @param {Clock|MTC} source - Clock or MTC following incoming MIDI
+   * @param {Object} [options] - Follow options
+   * @param {number} [options.offset] - Time code of the start of the file, in seconds
+   */
+  follow(source, options = {}) {
+    const offset = options.offset || 0;
+    let handlers;
+
+    this.unfollow();
+
+    if (source instanceof Clock) {
+      handlers = {
+        start: () => {
+          this.seek(0);
+          this.play();
+        },
+        continue: () => this.play(),
+        stop: () => this.pause(),
+        songPosition: ({ songPosition }) => this.seek(this.ticksToSeconds((songPosition * this.ppq) / 4)),
+        bpm: ({ bpm }) => this.setSpeed(bpm / this.getTempo(this.getPosition())),
+      };
+    } else if (source instanceof MTC) {
+      const locate = () => this.seek(source.toSeconds() - offset);
+      handlers = {
+        start: ({ direction }) => {
+          locate();
+          if (direction > 0) this.play();
+        },
+        stop: () => this.pause(),
+        locate,
+      };
+    } else {
+      logger.warn('Players can only follow a Clock or MTC');
+      return;
+    }
+
+    Object.keys(handlers).forEach(event => source.on(event, handlers[event]));
+    this.following = { source, handlers };
+  }
+
+  /**
+   * Stop following a clock or time code reader
+   */
+  unfollow() {
+    if (this.following) {
+      const { source, handlers } = this.following;
+      Object.keys(handlers).forEach(event => source.removeListener(event, handlers[event]));
+      this.following = null;
+    }
+  }
+}
+
+module.exports = Player;
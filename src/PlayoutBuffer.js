@@ -0,0 +1,142 @@
+/**
+ * PlayoutBuffer.js - Receiver side jitter buffer for RTP MIDI.
+ *
+ * Holds incoming commands until their playout time so that network
+ * jitter does not distort the timing of the delivered MIDI stream.
+ */
+
+const { EventEmitter } = require('events');
+
+/**
+ * PlayoutBuffer releases commands at their timestamp plus a fixed latency
+ * @extends EventEmitter
+ */
+class PlayoutBuffer extends EventEmitter {
+  /**
+   * Create a new PlayoutBuffer
+   * @param {Object} clock - Object providing now() and rate, usually the session
+   */
+  constructor(clock) {
+    super();
+    this.clock = clock;
+    this.events = [];
+    this.timeout = null;
+    this.maxLateness = null;
+    this.resetStats();
+  }
+
+  /**
+   * Reset the statistics
+   */
+  resetStats() {
+    this.stats = {
+      received: 0,
+      delivered: 0,
+      late: 0,
+      dropped: 0,
+      maxDepth: 0,
+      maxLateness: 0,
+    };
+  }
+
+  /**
+   * Add a command to the buffer
+   * @param {number} time - Playout time in session clock ticks
+   * @param {Buffer} data - Command data
+   * @param {boolean} recovered - Whether the command was recovered from a journal
+   */
+  push(time, data, recovered) {
+    const now = this.clock.now();
+    this.stats.received += 1;
+
+    if (time <= now) {
+      const lateness = ((now - time) / this.clock.rate) * 1000;
+
+      if (time < now) {
+        this.stats.late += 1;
+        this.stats.maxLateness = Math.max(this.stats.maxLateness, lateness);
+      }
+
+      if (this.maxLateness !== null && lateness > this.maxLateness) {
+        this.stats.dropped += 1;
+        this.emit('dropped', time, data, recovered);
+      } else {
+        this.deliver({ time, data, recovered });
+      }
+      return;
+    }
+
+    // Insert after all events with the same or an earlier time
+    let index = this.events.length;
+    while (index > 0 && this.events[index - 1].time > time) {
+      index -= 1;
+    }
+    this.events.splice(index, 0, { time, data, recovered });
+    this.stats.maxDepth = Math.max(this.stats.maxDepth, this.events.length);
+
+    if (index === 0) {
+      this.schedule();
+    }
+  }
+
+  /**
+   * Deliver an event
+   * @param {Object} event - Buffered event
+   * @private
+   */
+  deliver(event) {
+    this.stats.delivered += 1;
+    this.emit('message', event.time, event.data, event.recovered);
+  }
+
+  /**
+   * Set a timer for the earliest buffered event
+   * @private
+   */
+  schedule() {
+    clearTimeout(this.timeout);
+    this.timeout = null;
+
+    if (this.events.length) {
+      const delay = ((this.events[0].time - this.clock.now()) / this.clock.rate) * 1000;
+      this.timeout = setTimeout(() => this.release(), Math.max(0, delay));
+    }
+  }
+
+  /**
+   * Deliver all events that are due
+   * @private
+   */
+  release() {
+    const now = this.clock.now();
+    this.timeout = null;
+
+    while (this.events.length && this.events[0].time <= now) {
+      this.deliver(this.events.shift());
+    }
+
+    this.schedule();
+  }
+
+  /**
+   * Deliver all buffered events immediately
+   */
+  flush() {
+    clearTimeout(this.timeout);
+    this.timeout = null;
+
+    const { events } = this;
+    this.events = [];
+    events.forEach(event => this.deliver(event));
+  }
+
+  /**
+   * Get the buffer statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return { ...this.stats, depth: this.events.length };
+  }
+}
+
+module.exports = PlayoutBuffer;
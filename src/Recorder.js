@@ -0,0 +1,202 @@
+/**
+ * Recorder.js - Records session traffic to Standard MIDI Files.
+ *
+ * Messages are captured per stream with their comexTime and converted to
+ * ticks at a fixed tempo when the file is written. Type 1 files get a tempo
+ * track followed by one track per stream SSRC, type 0 files merge
+ * everything into a single track.
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const logger = require('./logger');
+const {
+  createTrackName,
+  createTempo,
+  createTimeSignature,
+  encodeFile,
+} = require('./smf');
+
+/**
+ * Recorder captures the messages of sessions and streams
+ * @extends EventEmitter
+ */
+class Recorder extends EventEmitter {
+  /**
+   * Create a new Recorder
+   * @param {Object} [options] - Recording options
+   * @param {number} [options.format] - SMF type 0 or 1, 1 by default
+   * @param {number} [options.ppq] - Ticks per quarter note, 480 by default
+   * @param {number} [options.bpm] - Tempo used to convert times to ticks, 120 by default
+   * @param {number[]} [options.timeSignature] - Numerator and denominator, [4, 4] by default
+   */
+  constructor(options = {}) {
+    super();
+    this.format = options.format === undefined ? 1 : options.format;
+    this.ppq = options.ppq || 480;
+    this.bpm = options.bpm || 120;
+    this.timeSignature = options.timeSignature || [4, 4];
+
+    if (this.format !== 0 && this.format !== 1) {
+      logger.warn(`Unsupported SMF format ${this.format}, recording type 1`);
+      this.format = 1;
+    }
+
+    this.tracks = new Map();
+    this.subscriptions = new Map();
+    this.detachers = [];
+    this.session = null;
+    this.recording = false;
+    this.startTime = null;
+  }
+
+  /**
+   * Record the messages of a session, with one track per stream, or of a single stream
+   * @param {Session|Stream} sessionOrStream - Source to record
+   * @returns {Recorder} this instance for chaining
+   */
+  attach(sessionOrStream) {
+    if (sessionOrStream.session) {
+      this.session = this.session || sessionOrStream.session;
+      this.subscribe(sessionOrStream);
+      return this;
+    }
+
+    const session = sessionOrStream;
+    const onStreamAdded = ({ stream }) => this.subscribe(stream);
+
+    this.session = this.session || session;
+    session.streams.forEach(stream => this.subscribe(stream));
+    session.on('streamAdded', onStreamAdded);
+    this.detachers.push(() => session.removeListener('streamAdded', onStreamAdded));
+    return this;
+  }
+
+  /**
+   * Stop listening to all sources, recorded messages are kept
+   */
+  detach() {
+    this.detachers.forEach(detach => detach());
+    this.detachers = [];
+    this.subscriptions.forEach((listener, stream) => stream.removeListener('message', listener));
+    this.subscriptions.clear();
+  }
+
+  /**
+   * Listen to the messages of a stream
+   * @param {Stream} stream - Stream to record
+   * @private
+   */
+  subscribe(stream) {
+    if (this.subscriptions.has(stream)) {
+      return;
+    }
+
+    const listener = (time, data) => {
+      this.record(stream.ssrc, stream.name, data, time + stream.session.startTime);
+    };
+    stream.on('message', listener);
+    this.subscriptions.set(stream, listener);
+  }
+
+  /**
+   * Start recording. Tick 0 is now, or the first message if no session is attached.
+   */
+  start() {
+    this.recording = true;
+    this.startTime = this.session ? this.session.now() + this.session.startTime : null;
+    this.emit('start');
+  }
+
+  /**
+   * Stop recording
+   */
+  stop() {
+    this.recording = false;
+    this.emit('stop');
+  }
+
+  /**
+   * Drop all recorded messages
+   */
+  clear() {
+    this.tracks.clear();
+  }
+
+  /**
+   * Add a message to the track of its stream
+   * @param {number} ssrc - SSRC of the stream
+   * @param {string} name - Name of the stream
+   * @param {Buffer} data - Command data
+   * @param {number} comexTime - Timestamp in session ticks
+   */
+  record(ssrc, name, data, comexTime) {
+    if (!this.recording) {
+      return;
+    }
+    if (this.startTime === null) {
+      this.startTime = comexTime;
+    }
+    if (!this.tracks.has(ssrc)) {
+      this.tracks.set(ssrc, { ssrc, name, events: [] });
+    }
+    this.tracks.get(ssrc).events.push({ time: comexTime, data: Buffer.from(data) });
+  }
+
+  /**
+   * Convert recorded events to track events with delta times
+   * @param {Object[]} events - Events { time, data }
+   * @returns {Object[]} Track events { delta, data }
+   * @private
+   */
+  toTrackEvents(events) {
+    const rate = this.session ? this.session.rate : 10000;
+    const ticksPerTick = ((this.bpm / 60) * this.ppq) / rate;
+    let previous = 0;
+
+    return events
+      .map((event, index) => ({ ...event, index }))
+      .sort((a, b) => (a.time - b.time) || (a.index - b.index))
+      .map(({ time, data }) => {
+        const ticks = Math.max(previous, Math.round((time - this.startTime) * ticksPerTick));
+        const delta = ticks - previous;
+        previous = ticks;
+        return { delta, data };
+      });
+  }
+
+  /**
+   * Build the Standard MIDI File
+   * @returns {Buffer} File contents
+   */
+  toBuffer() {
+    const tempo = [
+      { delta: 0, data: createTempo(this.bpm) },
+      { delta: 0, data: createTimeSignature(...this.timeSignature) },
+    ];
+    const recorded = Array.from(this.tracks.values());
+    let tracks;
+
+    if (this.format === 0) {
+      const events = [].concat(...recorded.map(track => track.events));
+      tracks = [tempo.concat(this.toTrackEvents(events))];
+    } else {
+      tracks = [tempo].concat(recorded.map(track => [
+        { delta: 0, data: createTrackName(`${track.name || 'Stream'} (${track.ssrc})`) },
+      ].concat(this.toTrackEvents(track.events))));
+    }
+
+    return encodeFile({ format: this.format, ppq: this.ppq, tracks });
+  }
+
+  /**
+   * Write the Standard MIDI File
+   * @param {string} path - File path
+   * @returns {Promise} Resolves when the file is written
+   */
+  save(path) {
+    return fs.promises.writeFile(path, this.toBuffer());
+  }
+}
+
+module.exports = Recorder;
@@ -0,0 +1,298 @@
+/**
+ * Router.js - Routing matrix between MIDI endpoints.
+ *
+ * Endpoints are sessions, streams, native ports of the midi module and
+ * virtual endpoints, registered under an id. Routes connect a source id to
+ * a destination id and can filter by channel and message type. Routes refer
+ * to ids only, so they can be stored and restored before the endpoints exist.
+ */
+
+const { EventEmitter } = require('events');
+
+const Session = require('./Session');
+const Stream = require('./Stream');
+const logger = require('./logger');
+const midiEvents = require('./midiEvents');
+
+/**
+ * VirtualEndpoint connects application code to the router.
+ * Messages routed to it are emitted as 'message' events with (data, comexTime),
+ * messages passed to send() are routed from it.
+ * @extends EventEmitter
+ */
+class VirtualEndpoint extends EventEmitter {
+  /**
+   * Send a message into the router
+   * @param {Buffer|number[]} data - Command data
+   * @param {number} [comexTime] - Timestamp like in session.sendMessage(), now if not set
+   */
+  send(data, comexTime) {
+    this.emit('input', Buffer.from(data), comexTime);
+  }
+}
+
+/**
+ * Wrap a session, stream, native port or virtual endpoint in a common interface
+ * @param {Object} target - Endpoint to wrap
+ * @returns {Object|null} { subscribe(listener) => unsubscribe, send(data, comexTime) }
+ */
+function createAdapter(target) {
+  const listen = (event, handler) => (listener) => {
+    const onMessage = (...args) => listener(...handler(...args));
+    target.on(event, onMessage);
+    return () => target.removeListener(event, onMessage);
+  };
+
+  if (target instanceof Session) {
+    return {
+      subscribe: listen('message', (deltaTime, data, comexTime) => [data, comexTime]),
+      send: (data, comexTime) => (comexTime === undefined
+        ? target.sendMessage(data)
+        : target.sendMessage(comexTime, data)),
+    };
+  }
+  if (target instanceof Stream) {
+    return {
+      subscribe: listen('message', (time, data) => [data, time + target.session.startTime]),
+      send: (data, comexTime) => target.send(data, comexTime),
+    };
+  }
+  if (target instanceof VirtualEndpoint) {
+    return {
+      subscribe: listen('input', (data, comexTime) => [data, comexTime]),
+      send: (data, comexTime) => target.emit('message', data, comexTime),
+    };
+  }
+  if (target && typeof target.sendMessage === 'function') {
+    // Native output, sent immediately
+    return {
+      subscribe: () => () => {},
+      send: data => target.sendMessage(Array.from(data)),
+    };
+  }
+  if (target && typeof target.on === 'function') {
+    // Native input, the delta time is relative to the previous message
+    return {
+      subscribe: listen('message', (deltaTime, message) => [Buffer.from(message), undefined]),
+      send: () => {},
+    };
+  }
+  return null;
+}
+
+/**
+ * Normalize the filter of a route
+ * @param {Object} filter - Route filter
+ * @param {number[]} [filter.channels] - Channels 1 to 16 to pass, all if not set
+ * @param {string[]} [filter.types] - Event types like 'noteon' to pass, all if not set.
+ * midi-common command names like 'noteOn' are converted to event types.
+ * @returns {Object} { channels, types }, null for no filtering
+ */
+function normalizeFilter({ channels = null, types = null } = {}) {
+  const validTypes = types && types.map(midiEvents.normalizeType).filter((type, i) => {
+    if (!type) {
+      logger.warn(`Ignoring unknown message type ${types[i]}`);
+      return false;
+    }
+    return true;
+  });
+  const validChannels = channels && channels.filter((channel) => {
+    if (!Number.isInteger(channel) || channel < 1 || channel > 16) {
+      logger.warn(`Ignoring invalid channel ${channel}`);
+      return false;
+    }
+    return true;
+  });
+
+  return {
+    channels: validChannels,
+    types: validTypes,
+  };
+}
+
+/**
+ * Router forwards messages between endpoints
+ * @extends EventEmitter
+ */
+class Router extends EventEmitter {
+  /**
+   * Create a new Router
+   */
+  constructor() {
+    super();
+    this.endpoints = new Map();
+    this.routes = new Map();
+  }
+
+  /**
+   * Register an endpoint. Routes from and to its id become active.
+   * @param {string} id - Endpoint id used by routes
+   * @param {Session|Stream|VirtualEndpoint|Object} target - Session, stream, virtual
+   * endpoint or native input or output of the midi module
+   * @returns {Router} this instance for chaining
+   */
+  addEndpoint(id, target) {
+    const adapter = createAdapter(target);
+
+    if (!adapter) {
+      logger.warn(`Ignoring unsupported endpoint ${id}`);
+      return this;
+    }
+
+    this.removeEndpoint(id);
+    this.endpoints.set(id, {
+      target,
+      send: adapter.send,
+      unsubscribe: adapter.subscribe((data, comexTime) => this.dispatch(id, data, comexTime)),
+    });
+    this.emit('endpointAdded', { id, target });
+    return this;
+  }
+
+  /**
+   * Create and register a virtual endpoint
+   * @param {string} id - Endpoint id used by routes
+   * @returns {VirtualEndpoint} The endpoint
+   */
+  createVirtualEndpoint(id) {
+    const endpoint = new VirtualEndpoint();
+    this.addEndpoint(id, endpoint);
+    return endpoint;
+  }
+
+  /**
+   * Unregister an endpoint. Its routes are kept.
+   * @param {string} id - Endpoint id
+   * @returns {Router} this instance for chaining
+   */
+  removeEndpoint(id) {
+    const endpoint = this.endpoints.get(id);
+
+    if (endpoint) {
+      endpoint.unsubscribe();
+      this.endpoints.delete(id);
+      this.emit('endpointRemoved', { id, target: endpoint.target });
+    }
+    return this;
+  }
+
+  /**
+   * Get a registered endpoint
+   * @param {string} id - Endpoint id
+   * @returns {Object|null} The session, stream, port or virtual endpoint
+   */
+  getEndpoint(id) {
+    const endpoint = this.endpoints.get(id);
+    return endpoint ? endpoint.target : null;
+  }
+
+  /**
+   * Connect a source to a destination, replacing the filter of an existing route
+   * @param {string} from - Source endpoint id
+   * @param {string} to - Destination endpoint id
+   * @param {Object} [filter] - Route filter
+   * @param {number[]} [filter.channels] - Channels 1 to 16 to pass, all if not set
+   * @param {string[]} [filter.types] - Event types like 'noteon' to pass, all if not set
+   * @returns {Object|null} The route, null if source and destination are the same
+   */
+  connect(from, to, filter) {
+    if (from === to) {
+      logger.warn(`Ignoring route from ${from} to itself`);
+      return null;
+    }
+
+    const route = { from, to, ...normalizeFilter(filter) };
+    this.routes.set(`${from}>${to}`, route);
+    this.emit('routesChanged', { routes: this.getRoutes() });
+    return route;
+  }
+
+  /**
+   * Remove the route between a source and a destination
+   * @param {string} from - Source endpoint id
+   * @param {string} to - Destination endpoint id
+   * @returns {boolean} True if a route was removed
+   */
+  disconnect(from, to) {
+    const removed = this.routes.delete(`${from}>${to}`);
+
+    if (removed) {
+      this.emit('routesChanged', { routes: this.getRoutes() });
+    }
+    return removed;
+  }
+
+  /**
+   * Get all routes
+   * @returns {Object[]} Routes { from, to, channels, types }
+   */
+  getRoutes() {
+    return Array.from(this.routes.values()).map(route => ({ ...route }));
+  }
+
+  /**
+   * Replace all routes, for example with stored ones
+   * @param {Object[]} routes - Routes { from, to, channels, types }
+   */
+  setRoutes(routes) {
+    this.routes.clear();
+    routes.forEach((route) => {
+      if (route.from !== route.to) {
+        this.routes.set(`${route.from}>${route.to}`, { from: route.from, to: route.to, ...normalizeFilter(route) });
+      }
+    });
+    this.emit('routesChanged', { routes: this.getRoutes() });
+  }
+
+  /**
+   * Check whether a message passes the filter of a route
+   * @param {Object} route - Route
+   * @param {Buffer} data - Command data
+   * @returns {boolean} True if the message is forwarded
+   */
+  static matches(route, data) {
+    const status = data[0];
+    const isChannelMessage = status >= 0x80 && status < 0xf0;
+
+    if (route.types && !route.types.includes(midiEvents.getType(data))) {
+      return false;
+    }
+    // eslint-disable-next-line no-bitwise
+    if (route.channels && isChannelMessage && !route.channels.includes((status & 0x0f) + 1)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Forward a message to the destinations of all matching routes
+   * @param {string} from - Source endpoint id
+   * @param {Buffer} data - Command data
+   * @param {number} [comexTime] - Timestamp, now if not set
+   * @private
+   */
+  dispatch(from, data, comexTime) {
+    for (const route of this.routes.values()) {
+      const destination = route.from === from && this.endpoints.get(route.to);
+
+      if (destination && Router.matches(route, data)) {
+        destination.send(data, comexTime);
+      }
+    }
+  }
+
+  /**
+   * Get JSON representation of the router
+   * @returns {Object} Endpoint ids and routes
+   */
+  toJSON() {
+    return {
+      endpoints: Array.from(this.endpoints.keys()),
+      routes: this.getRoutes(),
+    };
+  }
+}
+
+Router.VirtualEndpoint = VirtualEndpoint;
+
+module.exports = Router;
@@ -0,0 +1,53 @@
+/**
+ * Scheduler.js - Lookahead scheduling on the session clock.
+ *
+ * Timers fire late, so scheduled messages are sent ahead of time and stamped
+ * with the session clock. Every tick sends what is due within the session
+ * lookahead and sets a timer for when the next message comes within it.
+ */
+
+/**
+ * Scheduler runs a step function on a session clock
+ */
+class Scheduler {
+  /**
+   * Create a new Scheduler
+   * @param {Session} session - Session whose clock and lookahead are used
+   * @param {Function} step - Called with the horizon and the current time in
+   * session ticks, sends everything due up to the horizon and returns the
+   * session time of the next message, null if there is none
+   */
+  constructor(session, step) {
+    this.session = session;
+    this.step = step;
+    this.timeout = null;
+  }
+
+  /**
+   * Send the messages that are due within the lookahead and wait for the next one
+   */
+  tick() {
+    const { session } = this;
+    const lookahead = (session.lookahead / 1000) * session.rate;
+    const now = session.now();
+
+    this.stop();
+
+    const next = this.step(now + lookahead, now);
+
+    if (next !== null) {
+      const due = next - lookahead;
+      this.timeout = setTimeout(() => this.tick(), Math.max(0, ((due - now) / session.rate) * 1000));
+    }
+  }
+
+  /**
+   * Stop waiting for the next message
+   */
+  stop() {
+    clearTimeout(this.timeout);
+    this.timeout = null;
+  }
+}
+
+module.exports = Scheduler;
@@ -7,11 +7,24 @@
 
 const { EventEmitter } = require('events');
 const dgram = require('dgram');
+const AccessControl = require('./AccessControl');
 const ControlMessage = require('./ControlMessage');
 const MidiMessage = require('./MidiMessage');
 const MdnsService = require('./mdns');
 const logger = require('./logger');
 const Stream = require('./Stream');
+const { segmentSysex } = require('./sysex');
+const { abortable } = require('./util');
+const MessageIterator = require('./MessageIterator');
+const { createReadStream, createWriteStream } = require('./midiStreams');
+const { decode, encode, isEvent } = require('./midiEvents');
+const PcapWriter = require('./PcapWriter');
+const Scheduler = require('./Scheduler');
+const pcap = require('./pcap');
+
+// Bytes of a packet kept free for the recovery journal, journals may use
+// more when the command section is shorter
+const JOURNAL_RESERVE = 256;
 
 /**
  * Represents an RTP MIDI session
@@ -41,10 +54,29 @@ class Session extends EventEmitter {
     
     // State
     this.bundle = true;
+    this.journalling = true;
     this.queue = [];
     this.flushQueued = false;
+    this.scheduled = [];
+    this.scheduler = new Scheduler(this, (horizon, now) => this.flushUpTo(horizon, now));
+    this.lookahead = 0;
+    this.playoutLatency = 0;
+    this.playoutMaxLateness = null;
+    this.streamTimeout = 30000;
+    this.bitrateReceiveLimit = null;
+    this.mtu = 1500;
+    this.payloadBudget = null;
+
+    // Invitation policy, acceptInvitation(peer) may return a boolean or a promise
+    this.accessControl = new AccessControl();
+    this.acceptInvitation = null;
+    this.pendingInvitations = new Set();
     this.lastFlush = 0;
     this.lastMessageTime = 0;
+
+    // Packet capture, see startCapture(). Offline sessions capture datagrams without sending them.
+    this.capture = null;
+    this.offline = false;
     
     // IPV
     this.ipVersion = ipVersion === 6 ? 6 : 4;
@@ -60,7 +92,10 @@ class Session extends EventEmitter {
       reuseAddr: true, // Note: This should be reuseAddress in newer Node.js but keeping for compatibility
     });
     
-    this.controlChannel.on('message', this.handleMessage.bind(this));
+    this.controlChannel.on('message', (message, rinfo) => {
+      this.capturePacket(this.controlChannel, message, rinfo, true);
+      this.handleMessage(message, rinfo);
+    });
     this.controlChannel.on('listening', this.listening.bind(this));
     this.controlChannel.on('error', (err) => this.emit('error', err));
     
@@ -69,7 +104,10 @@ class Session extends EventEmitter {
       reuseAddr: true, // Same note as above
     });
     
-    this.messageChannel.on('message', this.handleMessage.bind(this));
+    this.messageChannel.on('message', (message, rinfo) => {
+      this.capturePacket(this.messageChannel, message, rinfo, true);
+      this.handleMessage(message, rinfo);
+    });
     this.messageChannel.on('listening', this.listening.bind(this));
     this.messageChannel.on('error', (err) => this.emit('error', err));
     
@@ -78,23 +116,54 @@ class Session extends EventEmitter {
     
     // Start timing
     this.startTime = Date.now() / 1000 * this.rate;
-    this.startTimeHr = process.hrtime();
+    this.startTimeHr = process.hrtime.bigint();
   }
 
   /**
    * Start the session
+   * @param {Object} [options] - Start options
+   * @param {AbortSignal} [options.signal] - Stops waiting for the session to be ready
+   * @returns {Promise<Session>} Resolves when the session is ready, rejects if a socket fails
    */
-  start() {
+  start(options = {}) {
     if (this.published) {
       this.on('ready', () => this.publish());
     }
     
+    const ready = abortable(options.signal, (resolve, reject) => {
+      const cleanup = () => {
+        this.removeListener('ready', onReady);
+        this.controlChannel.removeListener('error', onError);
+        this.messageChannel.removeListener('error', onError);
+      };
+      const onReady = () => {
+        cleanup();
+        resolve(this);
+      };
+      const onError = (err) => {
+        cleanup();
+        reject(err);
+      };
+
+      if (this.readyState >= 2) {
+        resolve(this);
+        return null;
+      }
+
+      this.once('ready', onReady);
+      this.controlChannel.once('error', onError);
+      this.messageChannel.once('error', onError);
+      return cleanup;
+    });
+
     // Check if socket is already bound to avoid rebinding errors
     if (!this._isControlChannelBound()) {
       const bindAddress = this.ipVersion === 4 ? '0.0.0.0' : '::';
       this.controlChannel.bind(this.port, bindAddress);
       this.messageChannel.bind(this.port + 1, bindAddress);
     }
+
+    return ready;
   }
 
   /**
@@ -116,11 +185,19 @@ class Session extends EventEmitter {
    */
   end(callback) {
     let i = -1;
+
+    this.scheduler.stop();
+
+    const unsent = this.scheduled.filter(command => command.callback);
+    this.scheduled.length = 0;
+    unsent.forEach(command => command.callback(new Error('Session closed before the command was sent')));
+    this.stopCapture();
     
     const onClose = () => {
       this.readyState -= 1;
-      if (this.readyState <= 0 && callback) {
-        callback();
+      if (this.readyState <= 0) {
+        this.emit('closed');
+        if (callback) callback();
       }
     };
     
@@ -149,20 +226,40 @@ class Session extends EventEmitter {
 
     if (this.readyState === 2) {
       next();
-    } else if (callback) {
-      callback();
+    } else {
+      this.emit('closed');
+      if (callback) callback();
     }
   }
 
+  /**
+   * End the session
+   * @param {Object} [options] - Close options
+   * @param {AbortSignal} [options.signal] - Stops waiting, the session is still ended
+   * @returns {Promise} Resolves when the streams are ended and the sockets closed
+   */
+  close(options = {}) {
+    return abortable(options.signal, (resolve) => {
+      this.end(() => resolve());
+      return null;
+    });
+  }
+
+  /**
+   * Get current timestamp as a 64-bit value
+   * @returns {bigint} Ticks since the session was created
+   */
+  now64() {
+    const elapsed = process.hrtime.bigint() - this.startTimeHr;
+    return (elapsed * BigInt(this.rate)) / 1000000000n;
+  }
+
   /**
    * Get current timestamp
-   * @returns {number}
+   * @returns {number} Ticks since the session was created, does not wrap
    */
   now() {
-    const hrtime = process.hrtime(this.startTimeHr);
-    return Math.round(
-      ((hrtime[0] + hrtime[1] / 1000 / 1000 / 1000)) * this.rate,
-    ) % 0xffffffff;
+    return Number(this.now64());
   }
 
   /**
@@ -199,9 +296,7 @@ class Session extends EventEmitter {
 
       if (!stream && appleMidiMessage.command === 'invitation') {
         // New connection invitation
-        stream = new Stream(this);
-        stream.handleControlMessage(appleMidiMessage, rinfo);
-        this.addStream(stream);
+        this.handleInvitation(appleMidiMessage, rinfo);
       } else if (stream) {
         // Forward to existing stream
         stream.handleControlMessage(appleMidiMessage, rinfo);
@@ -225,6 +320,85 @@ class Session extends EventEmitter {
     }
   }
 
+  /**
+   * Decide on an invitation from a new peer using the access lists and the
+   * acceptInvitation hook, which may return a boolean or a promise of one
+   * @param {Object} message - Invitation control message
+   * @param {Object} rinfo - Remote info
+   */
+  handleInvitation(message, rinfo) {
+    const { token } = message;
+    const peer = {
+      address: rinfo.address,
+      port: rinfo.port,
+      name: message.name,
+      ssrc: message.ssrc,
+      token,
+    };
+
+    // Repeated invitations while the hook decides are ignored
+    if (this.pendingInvitations.has(token)) {
+      return;
+    }
+
+    const decision = this.accessControl.check(peer);
+    if (!decision.accepted || !this.acceptInvitation) {
+      this.completeInvitation(message, rinfo, peer, decision);
+      return;
+    }
+
+    const toDecision = accepted => ({ accepted: !!accepted, reason: accepted ? null : 'rejected' });
+    const onError = (err) => {
+      logger.warn(`Invitation hook failed for ${peer.name}:`, err);
+      return { accepted: false, reason: 'error' };
+    };
+    let result;
+
+    try {
+      result = this.acceptInvitation(peer);
+    } catch (err) {
+      this.completeInvitation(message, rinfo, peer, onError(err));
+      return;
+    }
+
+    if (result && typeof result.then === 'function') {
+      this.pendingInvitations.add(token);
+      Promise.resolve(result).then(toDecision, onError).then((asyncDecision) => {
+        this.pendingInvitations.delete(token);
+        this.completeInvitation(message, rinfo, peer, asyncDecision);
+      });
+    } else {
+      this.completeInvitation(message, rinfo, peer, toDecision(result));
+    }
+  }
+
+  /**
+   * Accept an invitation by creating a stream, or reject it with a NO message
+   * @param {Object} message - Invitation control message
+   * @param {Object} rinfo - Remote info
+   * @param {Object} peer - Peer address, port, name, ssrc and token
+   * @param {Object} decision - { accepted, reason }
+   */
+  completeInvitation(message, rinfo, peer, decision) {
+    this.emit('invitationDecision', { ...peer, ...decision });
+
+    if (decision.accepted) {
+      if (!this.streams.some(stream => stream.token === message.token)) {
+        const stream = new Stream(this);
+        stream.handleControlMessage(message, rinfo);
+        this.addStream(stream);
+      }
+    } else {
+      logger.info(`Rejected invitation from ${peer.name} at ${peer.address}:${peer.port} (${decision.reason})`);
+      this.sendUdpMessage(rinfo, new ControlMessage().mixin({
+        command: 'invitation_rejected',
+        token: message.token,
+        ssrc: this.ssrc,
+        name: this.bonjourName,
+      }));
+    }
+  }
+
   /**
    * Send a UDP message
    * @param {Object} rinfo - Remote info
@@ -240,23 +414,157 @@ class Session extends EventEmitter {
                         this.controlChannel : 
                         this.messageChannel;
         
+        this.capturePacket(channel, message.buffer, rinfo, false);
+        if (this.offline) {
+          if (callback) setImmediate(callback);
+          return;
+        }
         channel.send(
           message.buffer,
           0,
           message.buffer.length,
           rinfo.port, 
           rinfo.address,
-          () => {
+          (err) => {
             logger.debug('Outgoing Message = ', message.buffer, rinfo.port, rinfo.address);
-            if (callback) callback();
+            if (callback) callback(err);
           }
         );
       } catch (error) {
         logger.error(error);
+        if (callback) setImmediate(callback, error);
       }
     } else {
       logger.warn('Ignoring invalid message', message);
+      if (callback) setImmediate(callback, new Error('Invalid message'));
+    }
+  }
+
+  /**
+   * Start writing every datagram sent and received on the control and
+   * message channels to a pcap capture. A running capture is stopped first.
+   * @param {string|Writable|PcapWriter} destination - File path, writable stream or writer
+   * @returns {PcapWriter} The writer
+   */
+  startCapture(destination) {
+    this.stopCapture();
+    this.capture = destination instanceof PcapWriter
+      ? destination
+      : new PcapWriter(destination, { ipVersion: this.ipVersion });
+    this.capture.on('error', err => logger.error('Capture failed:', err));
+    return this.capture;
+  }
+
+  /**
+   * Stop capturing
+   * @returns {Promise} Resolves when the capture is written
+   */
+  stopCapture() {
+    const { capture } = this;
+    this.capture = null;
+    return capture ? capture.close() : Promise.resolve();
+  }
+
+  /**
+   * Write a datagram to the capture, if one is running
+   * @param {dgram.Socket} channel - Socket the datagram went through
+   * @param {Buffer} payload - Datagram
+   * @param {Object} rinfo - Remote address and port
+   * @param {boolean} incoming - True for received datagrams
+   * @private
+   */
+  capturePacket(channel, payload, rinfo, incoming) {
+    if (!this.capture) {
+      return;
+    }
+
+    let local = {
+      address: this.ipVersion === 6 ? '::1' : '127.0.0.1',
+      port: channel === this.controlChannel ? this.port : this.port + 1,
+    };
+    try {
+      const { address, port } = channel.address();
+      // Wildcard bindings are captured as loopback
+      local = { address: address === '0.0.0.0' || address === '::' ? local.address : address, port };
+    } catch (err) {
+      // Not bound yet, sending binds to the session ports
     }
+
+    const remote = { address: rinfo.address, port: rinfo.port };
+    this.capture.write({
+      time: (this.startTime + this.now()) / this.rate,
+      source: incoming ? remote : local,
+      destination: incoming ? local : remote,
+      payload,
+    });
+  }
+
+  /**
+   * Feed the datagrams of a capture that were sent to this session through
+   * handleMessage(), to reproduce what the session received. Replies are
+   * sent to the captured peers unless the session is offline. Datagrams that
+   * cannot be handled are logged and skipped.
+   * @param {Buffer|Object[]} capture - pcap file contents or packets decoded with pcap.decodeFile()
+   * @param {Object} [options] - Replay options
+   * @param {number} [options.port] - Control port of the captured session, this session's port by default
+   * @param {boolean} [options.realtime] - Keep the captured spacing instead of feeding all at once
+   * @param {number} [options.speed] - Speed factor of a real time replay, 1 by default
+   * @param {AbortSignal} [options.signal] - Stops a real time replay
+   * @returns {Promise<number>} Resolves with the number of datagrams fed
+   */
+  replayCapture(capture, options = {}) {
+    const packets = Buffer.isBuffer(capture) ? pcap.decodeFile(capture) : capture;
+    const port = options.port || this.port;
+    const speed = options.speed || 1;
+
+    if (!packets) {
+      return Promise.resolve(0);
+    }
+
+    const incoming = packets.filter(({ destination }) => (
+      destination.port === port || destination.port === port + 1
+    ));
+    const feed = ({ source, payload }, index) => {
+      // A malformed datagram must not end the replay, in real time it would
+      // throw from a timer.
+      try {
+        this.handleMessage(payload, {
+          address: source.address,
+          port: source.port,
+          family: source.family || (this.ipVersion === 6 ? 'IPv6' : 'IPv4'),
+          size: payload.length,
+        });
+      } catch (err) {
+        logger.warn(`Skipping malformed datagram ${index} of the capture:`, err.message);
+      }
+    };
+
+    if (!options.realtime) {
+      incoming.forEach(feed);
+      return Promise.resolve(incoming.length);
+    }
+
+    return abortable(options.signal, (resolve) => {
+      let index = 0;
+      let timeout = null;
+      const next = () => {
+        feed(incoming[index], index);
+        index += 1;
+        if (index >= incoming.length) {
+          resolve(index);
+          return;
+        }
+        const wait = ((incoming[index].time - incoming[index - 1].time) * 1000) / speed;
+        timeout = setTimeout(next, Math.max(0, wait));
+      };
+
+      if (!incoming.length) {
+        resolve(0);
+        return null;
+      }
+      next();
+      return () => clearTimeout(timeout);
+    });
   }
 
   /**
@@ -274,78 +582,362 @@ class Session extends EventEmitter {
   }
 
   /**
-   * Flush message queue
+   * Flush message queue. Messages stamped later than the lookahead window
+   * (in milliseconds) are held back and flushed when they become due.
+   * The rest is sent in as many packets as the payload budget requires.
    */
   flushQueue() {
+    this.flushQueued = false;
+    this.scheduler.tick();
+  }
+
+  /**
+   * Send the queued messages that are due and hold back the rest
+   * @param {number} horizon - Timestamp up to which messages are sent
+   * @param {number} now - Current timestamp
+   * @returns {number|null} Timestamp of the next held back message, null if there is none
+   * @private
+   */
+  flushUpTo(horizon, now) {
     const streams = this.getStreams();
-    const queue = this.queue.slice(0);
-    const now = this.now();
+    const pending = this.scheduled.concat(this.queue);
 
     this.queue.length = 0;
-    this.flushQueued = false;
 
-    if (queue.length === 0) return;
+    pending.sort((a, b) => (a.comexTime - b.comexTime));
 
-    queue.sort((a, b) => (a.comexTime - b.comexTime));
+    const queue = pending.filter(message => message.comexTime <= horizon);
+    this.scheduled = pending.filter(message => message.comexTime > horizon);
 
-    let messageTime = queue[0].comexTime;
+    const next = this.scheduled.length ? this.scheduled[0].comexTime : null;
 
-    if (messageTime > now) {
-      messageTime = now;
-    }
+    if (queue.length === 0) return next;
 
-    queue.forEach((message) => {
-      // Calculate delta time
-      message.deltaTime = message.comexTime - messageTime;
+    const groups = Session.groupByTarget(queue, streams).map(({ commands, targets }) => ({
+      commands, targets, packets: this.packetize(commands, now),
+    }));
+
+    // Count the sends of every command first, so that its callback is called after the last one
+    queue.forEach((command) => { command.sends = 0; });
+    groups.forEach(({ commands, targets, packets }) => {
+      commands.forEach((command) => { command.sends += targets.length * packets.length; });
     });
 
-    const message = {
-      timestamp: now,
-      commands: queue,
-    };
+    // Commands without connected targets are done
+    queue.filter(command => command.sends === 0 && command.callback).forEach(command => command.callback());
+
+    for (const { commands, targets, packets } of groups) {
+      const callback = err => commands.forEach(command => Session.completeSend(command, err));
+
+      for (const packet of packets) {
+        const message = {
+          timestamp: now,
+          commands: packet,
+        };
+
+        for (const stream of targets) {
+          stream.sendMessage(message, callback);
+        }
+      }
+    }
+
+    return next;
+  }
+
+  /**
+   * Count a finished send of a queued command and call its callback after the
+   * last one, with the first error
+   * @param {Object} command - Queued command
+   * @param {Error} [err] - Error of the send
+   * @private
+   */
+  static completeSend(command, err) {
+    command.sends -= 1;
+    if (err && !command.error) {
+      command.error = err;
+    }
+    if (command.sends === 0 && command.callback) {
+      command.callback(command.error);
+    }
+  }
+
+  /**
+   * Group streams that receive the same commands, so that commands sent to
+   * all streams and commands sent to some of them share packets
+   * @param {Object[]} queue - Commands, optionally limited to the SSRCs in to
+   * @param {Stream[]} streams - Connected streams
+   * @returns {Object[]} Groups of { commands, targets }
+   */
+  static groupByTarget(queue, streams) {
+    const groups = new Map();
 
     for (const stream of streams) {
-      stream.sendMessage(message);
+      const commands = queue.filter(message => !message.to || message.to.includes(stream.ssrc));
+      const key = commands.map(message => queue.indexOf(message)).join();
+
+      if (commands.length) {
+        if (!groups.has(key)) {
+          groups.set(key, { commands, targets: [] });
+        }
+        groups.get(key).targets.push(stream);
+      }
     }
+
+    return Array.from(groups.values());
+  }
+
+  /**
+   * Split commands into packets whose command sections fit the payload budget.
+   * SysEx that does not fit is sent as segments. Delta times are relative to
+   * the previous command, the first one to the packet timestamp. Late
+   * messages are sent without delay.
+   * @param {Object[]} queue - Commands with comexTime and data, sorted by time
+   * @param {number} now - Packet timestamp
+   * @returns {Object[][]} Commands of each packet
+   */
+  packetize(queue, now) {
+    const budget = this.getCommandSectionBudget();
+    const packets = [];
+    let packet = null;
+    let size = 0;
+    let messageTime = now;
+
+    const add = (command) => {
+      let deltaTime = Math.max(0, command.comexTime - messageTime);
+      let length = MidiMessage.getDeltaTimeLength(Math.round(deltaTime)) + command.data.length;
+
+      if (!packet || size + length > budget) {
+        packet = [];
+        packets.push(packet);
+        size = 0;
+        messageTime = now;
+        deltaTime = Math.max(0, command.comexTime - messageTime);
+        length = MidiMessage.getDeltaTimeLength(Math.round(deltaTime)) + command.data.length;
+      }
+
+      messageTime += deltaTime;
+      size += length;
+      packet.push({ deltaTime, comexTime: command.comexTime, data: command.data });
+    };
+
+    queue.forEach((message) => {
+      if (message.data[0] === 0xf0) {
+        const segments = segmentSysex(message.data, budget - 4);
+        if (segments.length > 1) {
+          segments.forEach(data => add({ comexTime: message.comexTime, data }));
+          return;
+        }
+      }
+      add(message);
+    });
+
+    return packets;
+  }
+
+  /**
+   * Get the number of bytes available for the command section of a packet
+   * @returns {number} The payload budget if set, otherwise the bytes left by the MTU after
+   * the IP, UDP and RTP headers and the journal reserve
+   */
+  getCommandSectionBudget() {
+    const headers = (this.ipVersion === 6 ? 48 : 28) + 12 + 2;
+    const budget = this.payloadBudget || (this.mtu - headers - JOURNAL_RESERVE);
+    return Math.min(0xfff, budget);
+  }
+
+  /**
+   * Get the number of bytes available for the recovery journal of a packet
+   * @param {number} length - Length of the RTP packet without the journal
+   * @returns {number} Bytes left by the MTU after the IP and UDP headers and the packet
+   */
+  getJournalBudget(length) {
+    return this.mtu - (this.ipVersion === 6 ? 48 : 28) - length;
   }
 
   /**
    * Send a MIDI message
-   * @param {number|Buffer} comexTimeOrCommand - Timestamp or command data
-   * @param {Buffer} [command] - Command data if first arg is timestamp
+   * @param {number|Buffer|Uint8Array|number[]} comexTimeOrCommand - Timestamp or command data
+   * @param {Buffer|Uint8Array|number[]|Object} [command] - Command data if first arg is timestamp, otherwise options
+   * @param {Object} [options] - Send options
+   * @param {number[]} [options.to] - SSRCs of the streams to send to, all streams if not set
+   * @param {Function} [options.callback] - Called once the command is sent to every stream,
+   * with an error if a send failed or the session was closed before the command was due
    */
-  sendMessage(comexTimeOrCommand, command) {
-    let cTime, cmd;
+  sendMessage(comexTimeOrCommand, command, options) {
+    let cTime, cmd, opts;
 
-    if (arguments.length === 1) {
+    // Buffers, typed arrays and arrays are command data, anything else is options
+    if (arguments.length === 1 || (command && !ArrayBuffer.isView(command) && !Array.isArray(command))) {
       cTime = this.now();
       cmd = comexTimeOrCommand;
+      opts = command || {};
     } else {
       cTime = comexTimeOrCommand - this.startTime;
       cmd = command;
+      opts = options || {};
     }
 
     if (!Buffer.isBuffer(cmd)) {
       cmd = Buffer.from(cmd);
     }
 
-    this.queue.push({ comexTime: cTime, data: cmd });
+    this.queue.push({
+      comexTime: cTime, data: cmd, to: opts.to || null, callback: opts.callback,
+    });
     this.queueFlush();
   }
 
+  /**
+   * Send a MIDI event or command to all streams
+   * @param {Object|Buffer|number[]} command - Event like { type: 'cc', channel, controller, value }
+   * or command data
+   * @param {number} [time] - Timestamp like in sendMessage(), now if not set
+   */
+  send(command, time) {
+    const data = isEvent(command) ? encode(command) : command;
+
+    if (!data) {
+      return;
+    }
+    if (time === undefined) {
+      this.sendMessage(data);
+    } else {
+      this.sendMessage(time, data);
+    }
+  }
+
+  /**
+   * Iterate over received messages until the session is closed
+   * @param {Object} [options] - Iterator options
+   * @param {AbortSignal} [options.signal] - Ends the iteration with the abort reason
+   * @param {number} [options.maxQueued=1024] - Number of unread messages buffered at most
+   * @param {string} [options.overflow='drop'] - 'drop' drops the oldest unread message when
+   * the buffer is full, 'error' ends the iteration with an error
+   * @returns {MessageIterator} Async iterator of { deltaTime, data, comexTime, recovered }
+   */
+  messages(options = {}) {
+    return new MessageIterator(this, {
+      signal: options.signal,
+      maxQueued: options.maxQueued,
+      overflow: options.overflow,
+      endEvent: 'closed',
+      map: (deltaTime, data, comexTime, recovered) => ({
+        deltaTime, data, comexTime, recovered,
+      }),
+    });
+  }
+
+  /**
+   * Create a readable stream of received messages, ended when the session is closed
+   * @param {Object} [options] - Readable options, and signal, maxQueued and overflow like in messages()
+   * @returns {Readable} Object mode stream of { deltaTime, data, comexTime, recovered }
+   */
+  createReadStream(options = {}) {
+    const {
+      signal, maxQueued, overflow, ...readableOptions
+    } = options;
+    return createReadStream(this.messages({ signal, maxQueued, overflow }), readableOptions);
+  }
+
+  /**
+   * Create a writable stream that sends commands to all streams. Writes complete once
+   * the commands are sent, commands that do not reach some stream are logged.
+   * @param {Object} [options] - Writable options
+   * @returns {Writable} Object mode stream of command data or { data, comexTime }
+   */
+  createWriteStream(options = {}) {
+    return createWriteStream((data, comexTime, callback) => {
+      // A peer that misses a command does not fail the stream of the other peers
+      const sendOptions = {
+        callback: (err) => {
+          if (err) {
+            logger.warn('Command not sent to every stream', err.message);
+          }
+          callback();
+        },
+      };
+
+      if (comexTime === undefined) {
+        this.sendMessage(data, sendOptions);
+      } else {
+        this.sendMessage(comexTime, data, sendOptions);
+      }
+    }, options);
+  }
+
   /**
    * Connect to a remote session
    * @param {Object} rinfo - Remote info
+   * @param {Object} [options] - Connection options
+   * @param {boolean} [options.reconnect] - Invite the peer again with exponential backoff when it is lost
+   * @param {number} [options.reconnectDelay] - First reconnection delay in milliseconds
+   * @param {number} [options.maxReconnectDelay] - Longest reconnection delay in milliseconds
+   * @param {number} [options.timeout] - Give up after this many milliseconds
+   * @param {AbortSignal} [options.signal] - Gives up connecting
+   * @returns {Promise<Stream>} Resolves with the stream once both ports are connected and
+   * the clocks are synchronized, so it can send right away. Rejects if the peer rejects
+   * the invitation on either port, does not respond or the attempt is aborted.
    */
-  connect(rinfo) {
-    const stream = new Stream(this);
+  connect(rinfo, options = {}) {
     const info = {
       address: (this.ipVersion === 6 && rinfo.addressV6) ? rinfo.addressV6 : rinfo.address,
       port: rinfo.port,
     };
 
-    this.addStream(stream);
-    stream.connect(info);
+    return abortable(options.signal, (resolve, reject) => {
+      const stream = new Stream(this);
+      let timeout = null;
+
+      const cleanup = () => {
+        clearTimeout(timeout);
+        stream.removeListener('syncUpdated', onSynchronized);
+        stream.removeListener('invitationRejected', onRejected);
+        stream.removeListener('invitationTimeout', onTimeout);
+      };
+      const cancel = () => {
+        cleanup();
+        stream.end();
+        this.removeStream(stream);
+      };
+      const onSynchronized = () => {
+        cleanup();
+        resolve(stream);
+      };
+      const onRejected = () => {
+        cleanup();
+        reject(Object.assign(new Error(`Invitation rejected by ${info.address}:${info.port}`), {
+          code: 'ERR_INVITATION_REJECTED',
+        }));
+      };
+      const onTimeout = () => {
+        cancel();
+        reject(Object.assign(new Error(`${info.address}:${info.port} did not respond`), {
+          code: 'ERR_CONNECT_TIMEOUT',
+        }));
+      };
+
+      stream.once('syncUpdated', onSynchronized);
+      stream.once('invitationRejected', onRejected);
+      stream.once('invitationTimeout', onTimeout);
+      if (options.timeout) {
+        timeout = setTimeout(onTimeout, options.timeout);
+      }
+      this.addStream(stream);
+      stream.connect(info, options);
+      return cancel;
+    });
+  }
+
+  /**
+   * Advertise the bitrate this session wants to receive to all peers
+   * @param {number|null} limit - Limit in bits per second, null for no limit
+   */
+  setBitrateReceiveLimit(limit) {
+    this.bitrateReceiveLimit = limit;
+
+    for (const stream of this.getStreams()) {
+      stream.sendBitrateReceiveLimit(limit === null ? 0xffffffff : limit);
+    }
   }
 
   /**
@@ -353,6 +945,9 @@ class Session extends EventEmitter {
    * @param {Object} event - Event data
    */
   streamConnected(event) {
+    if (this.bitrateReceiveLimit !== null) {
+      event.stream.sendBitrateReceiveLimit(this.bitrateReceiveLimit);
+    }
     this.emit('streamAdded', {
       stream: event.stream,
     });
@@ -363,9 +958,14 @@ class Session extends EventEmitter {
    * @param {Object} event - Event data
    */
   streamDisconnected(event) {
-    this.removeStream(event.stream);
+    // Reconnecting streams stay in the session and are added again once connected
+    if (!event.reconnecting) {
+      this.removeStream(event.stream);
+    }
     this.emit('streamRemoved', {
       stream: event.stream,
+      reason: event.reason,
+      reconnecting: !!event.reconnecting,
     });
   }
 
@@ -399,12 +999,20 @@ class Session extends EventEmitter {
    * Deliver a message to listeners
    * @param {number} comexTime - Timestamp
    * @param {Buffer} message - Message data
+   * @param {boolean} [recovered] - Whether the message was synthesized from a recovery journal
    */
-  deliverMessage(comexTime, message) {
+  deliverMessage(comexTime, message, recovered) {
     this.lastMessageTime = this.lastMessageTime || comexTime;
     const deltaTime = comexTime - this.lastMessageTime;
     this.lastMessageTime = comexTime;
-    this.emit('message', deltaTime / this.rate, message, comexTime + this.startTime);
+    this.emit('message', deltaTime / this.rate, message, comexTime + this.startTime, !!recovered);
+
+    if (this.listenerCount('event')) {
+      const event = decode(message);
+      if (event) {
+        this.emit('event', event, comexTime + this.startTime, !!recovered);
+      }
+    }
   }
 
   /**
@@ -415,6 +1023,27 @@ class Session extends EventEmitter {
     return this.streams.filter(item => item.isConnected);
   }
 
+  /**
+   * Get the jitter buffer statistics of all streams combined
+   * @returns {Object} Received, delivered, late and dropped event counts
+   */
+  getPlayoutStats() {
+    const stats = {
+      received: 0, delivered: 0, late: 0, dropped: 0, depth: 0, maxDepth: 0, maxLateness: 0,
+    };
+
+    for (const stream of this.streams) {
+      const streamStats = stream.getPlayoutStats();
+      Object.keys(stats).forEach((key) => {
+        stats[key] = key.startsWith('max')
+          ? Math.max(stats[key], streamStats[key])
+          : stats[key] + streamStats[key];
+      });
+    }
+
+    return stats;
+  }
+
   /**
    * Get a stream by SSRC
    * @param {number} ssrc - SSRC to find
@@ -6,8 +6,17 @@
 
 const { EventEmitter } = require('events');
 const ControlMessage = require('./ControlMessage');
+const JournalReceiver = require('./JournalReceiver');
+const JournalSender = require('./JournalSender');
 const logger = require('./logger');
 const MidiMessage = require('./MidiMessage');
+const PlayoutBuffer = require('./PlayoutBuffer');
+const SyncStatistics = require('./SyncStatistics');
+const { isSysexSegment, SysexAssembler } = require('./sysex');
+const { abortable } = require('./util');
+const MessageIterator = require('./MessageIterator');
+const { createReadStream, createWriteStream } = require('./midiStreams');
+const { encode, isEvent } = require('./midiEvents');
 
 /**
  * Helper functions
@@ -24,37 +33,90 @@ function generateRandomInteger(octets) {
 
 /**
  * Pad a number with leading zeros
- * @param {number|string} number - Number to pad
+ * @param {number|bigint|string} number - Number to pad
  * @param {number} length - Desired length
  * @returns {string} Padded number
  */
 function pad(number, length) {
-  let num = (typeof number === 'string') ? number : Math.round(number || 0).toString(10);
+  let num;
+  if (typeof number === 'string') {
+    num = number;
+  } else if (typeof number === 'bigint') {
+    num = number.toString(10);
+  } else {
+    num = Math.round(number || 0).toString(10);
+  }
   while (num.length < length) {
     num = `0${num}`;
   }
   return num;
 }
 
+/**
+ * Format a signed value for the synchronization log
+ * @param {number|bigint|null} value - Value to format
+ * @param {number} length - Desired length without the sign
+ * @returns {string} Sign followed by the padded absolute value
+ */
+function padSigned(value, length) {
+  const negative = value !== null && value < 0;
+  return (negative ? '-' : ' ') + pad(negative ? -value : value, length);
+}
+
 /**
  * Write a 64-bit unsigned integer to a buffer
  * @param {Buffer} buffer - Target buffer
- * @param {number} value - Value to write
+ * @param {bigint|number} value - Value to write, wrapped to 64 bits
  */
 function writeUInt64BE(buffer, value) {
-  const str = pad((value).toString(16), 16);
-  buffer.writeUInt32BE(0, 0);
-  buffer.writeUInt32BE(parseInt(str.slice(8), 16), 4);
+  buffer.writeBigUInt64BE(BigInt.asUintN(64, BigInt(value)), 0);
 }
 
 /**
  * Read a 64-bit unsigned integer from a buffer
  * @param {Buffer} buffer - Source buffer
  * @param {number} [i=0] - Starting offset
- * @returns {number} Read value
+ * @returns {bigint} Read value
  */
 function readUInt64BE(buffer, i = 0) {
-  return buffer.readUInt32BE(i + 4);
+  return buffer.readBigUInt64BE(i);
+}
+
+/**
+ * Extend a 32-bit RTP timestamp to the 64-bit value closest to a reference
+ * @param {number} timestamp - 32-bit timestamp
+ * @param {bigint} reference - Expected 64-bit value
+ * @returns {bigint} Unwrapped timestamp
+ */
+function unwrapTimestamp(timestamp, reference) {
+  // eslint-disable-next-line no-bitwise
+  let value = (reference & ~0xffffffffn) | BigInt(timestamp);
+
+  if (value - reference > 0x80000000n) {
+    value -= 0x100000000n;
+  } else if (reference - value > 0x80000000n) {
+    value += 0x100000000n;
+  }
+
+  return value < 0n ? BigInt(timestamp) : value;
+}
+
+/**
+ * Merge two outgoing messages into one packet
+ * @param {Object} first - Earlier message
+ * @param {Object} second - Later message
+ * @returns {Object} Message with the commands of both
+ */
+function coalesceMessages(first, second) {
+  const end = first.commands.reduce((time, command) => time + command.deltaTime, first.timestamp);
+  const commands = second.commands.map((command, i) => (i === 0
+    ? { ...command, deltaTime: Math.max(0, second.timestamp - end) + command.deltaTime }
+    : command));
+
+  return {
+    timestamp: first.timestamp,
+    commands: first.commands.concat(commands),
+  };
 }
 
 /**
@@ -78,23 +140,59 @@ class Stream extends EventEmitter {
     this.firstReceivedSequenceNumber = -1;
     this.lastReceivedSequenceNumber = -1;
     this.lostSequenceNumbers = [];
+    this.journalSender = new JournalSender();
+    this.journalReceiver = new JournalReceiver();
+    this.sysexAssembler = new SysexAssembler();
     this.latency = null;
     this.subscribers = [];
     this.isConnected = false;
     this.receiverFeedbackTimeout = null;
+    this.livenessTimeout = null;
     this.lastMessageTime = 0;
     this.timeDifference = null;
+    this.syncStatistics = new SyncStatistics(session.rate);
     this.isInitiator = false;
     this.connectionInterval = null;
     this.syncInterval = null;
+
+    // Pacing to the bitrate limit announced by the peer, in bits per second
+    this.bitrateLimit = null;
+    this.pacingQueue = [];
+    this.pacingTimeout = null;
+    this.pacingTokens = 0;
+    this.pacingRefillTime = null;
+
+    // Reconnection of initiated streams, delays in milliseconds
+    this.remote = null;
+    this.reconnect = false;
+    this.reconnecting = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimeout = null;
+    this.reconnectDelay = 1000;
+    this.maxReconnectDelay = 60000;
+
+    // Jitter buffer, playoutLatency (ms) overrides the session setting when not null
+    this.playoutLatency = null;
+    this.playoutBuffer = new PlayoutBuffer(session);
+    this.playoutBuffer.on('message', (time, data, recovered) => {
+      this.emit('message', time, data, recovered);
+    });
   }
 
   /**
    * Connect to a remote peer
    * @param {Object} rinfo - Remote info
+   * @param {Object} [options] - Connection options
+   * @param {boolean} [options.reconnect] - Invite the peer again when it is lost
+   * @param {number} [options.reconnectDelay] - First reconnection delay in milliseconds
+   * @param {number} [options.maxReconnectDelay] - Longest reconnection delay in milliseconds
    */
-  connect(rinfo) {
+  connect(rinfo, options = {}) {
     this.isInitiator = true;
+    this.remote = rinfo;
+    this.reconnect = !!options.reconnect;
+    this.reconnectDelay = options.reconnectDelay || this.reconnectDelay;
+    this.maxReconnectDelay = options.maxReconnectDelay || this.maxReconnectDelay;
     let counter = 0;
     
     // Clear any existing connection interval
@@ -111,11 +209,56 @@ class Stream extends EventEmitter {
         if (!this.ssrc) {
           const { address, port } = rinfo;
           logger.warn(`Server at ${address}:${port} did not respond.`);
+          if (this.reconnect) {
+            this.reconnecting = true;
+            this.scheduleReconnect();
+          } else {
+            this.emit('invitationTimeout', { stream: this });
+          }
         }
       }
     }, 1500);
   }
 
+  /**
+   * Invite the remote peer again after an exponentially growing, randomized delay
+   */
+  scheduleReconnect() {
+    const backoff = Math.min(this.maxReconnectDelay, this.reconnectDelay * (2 ** this.reconnectAttempts));
+    const delay = Math.round(backoff / 2 + Math.random() * (backoff / 2));
+
+    this.reconnectAttempts += 1;
+    clearTimeout(this.reconnectTimeout);
+    this.reconnectTimeout = setTimeout(() => {
+      this.reconnectTimeout = null;
+      this.sendInvitation(this.remote);
+      this.scheduleReconnect();
+    }, delay);
+
+    this.emit('reconnecting', { stream: this, attempt: this.reconnectAttempts, delay });
+  }
+
+  /**
+   * Forget the state of the lost connection, keeping the token so the
+   * stream keeps its identity
+   */
+  resetConnection() {
+    this.ssrc = null;
+    this.rinfo1 = null;
+    this.rinfo2 = null;
+    this.latency = null;
+    this.timeDifference = null;
+    this.firstReceivedSequenceNumber = -1;
+    this.lastReceivedSequenceNumber = -1;
+    this.lostSequenceNumbers = [];
+    this.journalSender = new JournalSender();
+    this.journalReceiver = new JournalReceiver();
+    this.sysexAssembler.reset();
+    this.syncStatistics = new SyncStatistics(this.session.rate);
+    this.bitrateLimit = null;
+    this.pacingQueue = [];
+  }
+
   /**
    * Handle a control message
    * @param {Object} message - Control message
@@ -123,6 +266,10 @@ class Stream extends EventEmitter {
    */
   handleControlMessage(message, rinfo) {
     const commandName = message.command;
+
+    if (this.isConnected) {
+      this.resetLivenessTimeout();
+    }
     
     // Convert command name to handler method name
     const handlerName = 'handle' + 
@@ -151,23 +298,73 @@ class Stream extends EventEmitter {
    * @param {Object} message - MIDI message
    */
   handleMidiMessage(message) {
+    let lost = 0;
+
+    if (this.isConnected) {
+      this.resetLivenessTimeout();
+    }
+
     // Track lost packets
     if (this.firstReceivedSequenceNumber !== -1) {
-      for (let i = this.lastReceivedSequenceNumber + 1; i < message.sequenceNumber; i++) {
-        this.lostSequenceNumbers.push(i);
+      // eslint-disable-next-line no-bitwise
+      lost = (((message.sequenceNumber - this.lastReceivedSequenceNumber) << 16) >> 16) - 1;
+      for (let i = 1; i <= lost; i++) {
+        // eslint-disable-next-line no-bitwise
+        this.lostSequenceNumbers.push((this.lastReceivedSequenceNumber + i) & 0xffff);
       }
     } else {
       this.firstReceivedSequenceNumber = message.sequenceNumber;
     }
 
-    this.lastReceivedSequenceNumber = message.sequenceNumber;
+    if (lost >= 0) {
+      this.lastReceivedSequenceNumber = message.sequenceNumber;
+    }
 
-    // Process message commands with timing
-    let messageTime = this.timeDifference - this.latency + message.timestamp;
+    // Process message commands with timing, the 32-bit RTP timestamp is
+    // extended with the estimated remote clock before converting it
+    let messageTime;
+    if (this.timeDifference !== null) {
+      const remoteTime = unwrapTimestamp(message.timestamp, this.session.now64() - this.timeDifference);
+      messageTime = Number(remoteTime + this.timeDifference) - (this.latency || 0);
+    } else {
+      messageTime = message.timestamp - (this.latency || 0);
+    }
+
+    // Repair the state from the journal before playing this packet
+    if (lost > 0 && message.journal) {
+      const repairs = this.journalReceiver.recover(message.journal);
+      if (repairs.length) {
+        logger.info(`Recovered ${repairs.length} commands after losing ${lost} packets`);
+      }
+      for (const data of repairs) {
+        this.receiveCommand(messageTime, data, true);
+      }
+    }
+
+    // Segments of a SysEx are lost with the packet, the rest cannot be used
+    if (lost > 0 && this.sysexAssembler.isPending()) {
+      logger.warn('Dropping SysEx interrupted by packet loss');
+      this.sysexAssembler.reset();
+    }
 
     for (const command of message.commands) {
+      let { data } = command;
       messageTime += command.deltaTime;
-      this.emit('message', messageTime, command.data);
+
+      // Segmented SysEx is emitted once complete
+      if (isSysexSegment(data)) {
+        if (data[0] === 0xf0 && this.sysexAssembler.isPending()) {
+          logger.warn('Dropping incomplete SysEx');
+        } else if (data[0] !== 0xf0 && !this.sysexAssembler.isPending()) {
+          logger.warn('Ignoring SysEx segment without a start');
+        }
+        data = this.sysexAssembler.push(data);
+      }
+
+      if (data) {
+        this.journalReceiver.record(data);
+        this.receiveCommand(messageTime, data, false);
+      }
     }
 
     // Schedule receiver feedback
@@ -175,6 +372,48 @@ class Stream extends EventEmitter {
     this.receiverFeedbackTimeout = setTimeout(() => this.sendReceiverFeedback(), 1000);
   }
 
+  /**
+   * Emit a received command, delayed by the playout latency if one is set
+   * @param {number} messageTime - Time of the command in session clock ticks
+   * @param {Buffer} data - Command data
+   * @param {boolean} recovered - Whether the command was recovered from a journal
+   */
+  receiveCommand(messageTime, data, recovered) {
+    const latency = this.getPlayoutLatency();
+
+    // Without a synchronized clock the command time cannot be trusted
+    if (latency > 0 && this.timeDifference !== null) {
+      this.playoutBuffer.maxLateness = this.session.playoutMaxLateness;
+      this.playoutBuffer.push(messageTime + (latency / 1000) * this.session.rate, data, recovered);
+    } else {
+      this.emit('message', messageTime, data, recovered);
+    }
+  }
+
+  /**
+   * Get the effective playout latency
+   * @returns {number} Latency in milliseconds, 0 if buffering is disabled
+   */
+  getPlayoutLatency() {
+    return this.playoutLatency !== null ? this.playoutLatency : (this.session.playoutLatency || 0);
+  }
+
+  /**
+   * Get the jitter buffer statistics
+   * @returns {Object} Received, delivered, late and dropped event counts
+   */
+  getPlayoutStats() {
+    return this.playoutBuffer.getStats();
+  }
+
+  /**
+   * Get the clock synchronization statistics
+   * @returns {Object} Round-trip time, jitter and drift of the remote clock
+   */
+  getSyncStats() {
+    return this.syncStatistics.getStats();
+  }
+
   /**
    * Handle invitation accepted message
    * @param {Object} message - Control message
@@ -186,6 +425,8 @@ class Stream extends EventEmitter {
       this.name = message.name;
       this.ssrc = message.ssrc;
       this.rinfo1 = rinfo;
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
       
       // Send invitation to second port (data port)
       this.sendInvitation({
@@ -194,7 +435,14 @@ class Stream extends EventEmitter {
       });
       
       this.isConnected = true;
+      this.resetLivenessTimeout();
       this.emit('connected', { stream: this });
+
+      if (this.reconnecting) {
+        this.reconnecting = false;
+        this.reconnectAttempts = 0;
+        this.emit('reconnected', { stream: this });
+      }
     } else if (this.rinfo2 === null) {
       logger.info(`Data channel to ${this.name} established`);
       this.emit('established', { stream: this });
@@ -211,7 +459,7 @@ class Stream extends EventEmitter {
         this.sendSynchronization();
         count += 1;
         
-        if (count > 10 || this.timeDifference) {
+        if (count > 10 || this.timeDifference !== null) {
           clearInterval(this.syncInterval);
           this.syncInterval = setInterval(() => {
             this.sendSynchronization();
@@ -227,12 +475,13 @@ class Stream extends EventEmitter {
    * @param {Object} rinfo - Remote info
    */
   handleInvitationRejected(message, rinfo) {
-    if (this.connectionInterval) {
-      clearInterval(this.connectionInterval);
-    }
+    this.reconnect = false;
+    this.reconnecting = false;
+    this.clearTimers();
     
     logger.info(`Invitation was rejected by ${rinfo.address}:${rinfo.port} ${message.name || ''}`);
     this.session.removeStream(this);
+    this.emit('invitationRejected', { stream: this, name: message.name });
   }
 
   /**
@@ -251,6 +500,7 @@ class Stream extends EventEmitter {
       this.rinfo2 = rinfo;
       logger.info(`Got invitation from ${message.name} on channel 2`);
       this.isConnected = true;
+      this.resetLivenessTimeout();
       this.emit('connected', { stream: this });
     }
     
@@ -270,13 +520,72 @@ class Stream extends EventEmitter {
    */
   handleEnd() {
     logger.info(`${this.name} ended the stream`);
-    
-    if (this.syncInterval) {
-      clearInterval(this.syncInterval);
+    this.disconnect('end');
+  }
+
+  /**
+   * Tear the stream down after the remote peer stopped responding
+   */
+  handleTimeout() {
+    logger.warn(`${this.name} did not respond for ${this.session.streamTimeout}ms, closing the stream`);
+    this.disconnect('timeout');
+  }
+
+  /**
+   * Restart the timer that closes the stream when the remote peer goes silent
+   */
+  resetLivenessTimeout() {
+    clearTimeout(this.livenessTimeout);
+    this.livenessTimeout = null;
+
+    if (this.session.streamTimeout > 0) {
+      this.livenessTimeout = setTimeout(() => this.handleTimeout(), this.session.streamTimeout);
     }
-    
+  }
+
+  /**
+   * Stop all timers of the stream
+   */
+  clearTimers() {
+    clearInterval(this.syncInterval);
+    clearInterval(this.connectionInterval);
+    clearTimeout(this.receiverFeedbackTimeout);
+    clearTimeout(this.livenessTimeout);
+    clearTimeout(this.reconnectTimeout);
+    clearTimeout(this.pacingTimeout);
+    this.syncInterval = null;
+    this.connectionInterval = null;
+    this.receiverFeedbackTimeout = null;
+    this.livenessTimeout = null;
+    this.reconnectTimeout = null;
+    this.pacingTimeout = null;
+  }
+
+  /**
+   * Mark the stream as disconnected without notifying the remote peer.
+   * Initiated streams with reconnection enabled invite a silent peer again.
+   * @param {string} reason - 'end' if the peer ended the stream, 'timeout' if it went silent
+   *                          or 'local' if the stream was ended locally
+   */
+  disconnect(reason) {
+    this.clearTimers();
+    this.playoutBuffer.flush();
     this.isConnected = false;
-    this.emit('disconnected', { stream: this });
+
+    // Paced messages are not sent anymore
+    const unsent = this.pacingQueue.filter(item => item.callback);
+    this.pacingQueue = [];
+    unsent.forEach(item => item.callback(new Error('Stream disconnected before the message was sent')));
+    this.reconnecting = this.reconnect && reason === 'timeout';
+
+    if (this.reconnecting) {
+      this.resetConnection();
+    }
+    this.emit('disconnected', { stream: this, reason, reconnecting: this.reconnecting });
+
+    if (this.reconnecting) {
+      this.scheduleReconnect();
+    }
   }
 
   /**
@@ -285,6 +594,24 @@ class Stream extends EventEmitter {
    */
   handleReceiverFeedback(message) {
     logger.info(`Got receiver feedback SSRC ${message.ssrc} is at ${message.sequenceNumber}. Current is ${this.lastSentSequenceNr}`);
+    this.journalSender.acknowledge(message.sequenceNumber);
+  }
+
+  /**
+   * Handle bitrate receive limit message
+   * @param {Object} message - Control message
+   */
+  handleBitrateReceiveLimit(message) {
+    logger.info(`${this.name} limits the bitrate to ${message.limit} bits per second`);
+
+    // 0 and 0xffffffff do not limit the bitrate
+    this.bitrateLimit = (message.limit > 0 && message.limit < 0xffffffff) ? message.limit : null;
+    this.pacingRefillTime = null;
+
+    if (this.pacingTimeout) {
+      clearTimeout(this.pacingTimeout);
+      this.pace();
+    }
   }
 
   /**
@@ -330,12 +657,28 @@ class Stream extends EventEmitter {
     }), callback);
   }
 
+  /**
+   * Apply the result of a synchronization exchange
+   * @param {bigint} now - Local time the exchange completed
+   * @param {number} roundTrip - Round trip time in ticks
+   * @param {bigint} timeDifference - Local minus remote clock, less the round trip
+   * @private
+   */
+  updateSynchronization(now, roundTrip, timeDifference) {
+    // Slow exchanges give a poor estimate, keep the previous one
+    if (this.syncStatistics.add(now, roundTrip, timeDifference) || this.timeDifference === null) {
+      this.latency = roundTrip;
+      this.timeDifference = timeDifference;
+    }
+    this.emit('syncUpdated', { stream: this, stats: this.getSyncStats() });
+  }
+
   /**
    * Send synchronization message
    * @param {Object} incomingSyncMessage - Incoming sync message
    */
   sendSynchronization(incomingSyncMessage) {
-    const now = this.session.now();
+    const now = this.session.now64();
     const count = incomingSyncMessage ? incomingSyncMessage.count : -1;
     const answer = new ControlMessage();
 
@@ -350,13 +693,13 @@ class Stream extends EventEmitter {
     switch (count) {
       case -1:
         writeUInt64BE(answer.timestamp1, now);
-        if (this.timeDifference) {
+        if (this.timeDifference !== null) {
           writeUInt64BE(answer.timestamp2, now - this.timeDifference);
         } else {
           writeUInt64BE(answer.timestamp2, 0);
         }
-        if (this.latency) {
-          writeUInt64BE(answer.timestamp3, now + this.latency);
+        if (this.latency !== null) {
+          writeUInt64BE(answer.timestamp3, now + BigInt(this.latency));
         } else {
           writeUInt64BE(answer.timestamp3, 0);
         }
@@ -364,23 +707,36 @@ class Stream extends EventEmitter {
         
       case 0:
         writeUInt64BE(answer.timestamp2, now);
-        writeUInt64BE(answer.timestamp3, now - this.timeDifference);
+        writeUInt64BE(answer.timestamp3, now - (this.timeDifference || 0n));
         break;
         
-      case 1:
+      case 1: {
         writeUInt64BE(answer.timestamp3, now);
-        this.latency = readUInt64BE(incomingSyncMessage.timestamp3) - 
-                      readUInt64BE(incomingSyncMessage.timestamp1);
-                      
-        this.timeDifference = Math.round(
+        const latency = readUInt64BE(incomingSyncMessage.timestamp3) - 
+                        readUInt64BE(incomingSyncMessage.timestamp1);
+
+        // Timestamps are compared as 64-bit values, the difference is signed
+        const roundTrip = Number(BigInt.asIntN(64, latency));
+        const timeDifference = BigInt.asIntN(64,
           readUInt64BE(incomingSyncMessage.timestamp3) - 
           readUInt64BE(incomingSyncMessage.timestamp2)
-        ) - this.latency;
+        ) - BigInt(roundTrip);
+
+        this.updateSynchronization(now, roundTrip, timeDifference);
         break;
+      }
         
-      case 2:
-        // Nothing to do for count 2
+      case 2: {
+        // The responder measures the round trip from sending CK1 to receiving CK2
+        // and compares its clock with the time the initiator sent CK2
+        const roundTrip = Number(BigInt.asIntN(64, now - readUInt64BE(incomingSyncMessage.timestamp2)));
+        const timeDifference = BigInt.asIntN(64,
+          now - readUInt64BE(incomingSyncMessage.timestamp3)
+        ) - BigInt(roundTrip);
+
+        this.updateSynchronization(now, roundTrip, timeDifference);
         break;
+      }
         
       default:
         // Nothing to do for other counts
@@ -419,7 +775,7 @@ class Stream extends EventEmitter {
         pad(readUInt64BE(incomingSyncMessage.timestamp2), 20),
         pad(readUInt64BE(incomingSyncMessage.timestamp3), 20),
         pad(this.latency, 10),
-        (this.timeDifference < 0 ? '-' : ' ') + pad(Math.abs(this.timeDifference || 0), 20),
+        padSigned(this.timeDifference, 20),
         this.session.rate,
       );
     }
@@ -431,7 +787,7 @@ class Stream extends EventEmitter {
         pad(readUInt64BE(answer.timestamp2), 20),
         pad(readUInt64BE(answer.timestamp3), 20),
         pad(this.latency, 10),
-        (this.timeDifference < 0 ? '-' : ' ') + pad(Math.abs(this.timeDifference || 0), 20),
+        padSigned(this.timeDifference, 20),
         this.session.rate,
       );
     }
@@ -454,15 +810,109 @@ class Stream extends EventEmitter {
   }
 
   /**
-   * Send a MIDI message
-   * @param {Object} message - MIDI message
+   * Send bitrate receive limit message
+   * @param {number} limit - Limit in bits per second, 0xffffffff for no limit
    * @param {Function} callback - Called when message is sent
    */
+  sendBitrateReceiveLimit(limit, callback) {
+    this.session.sendUdpMessage(this.rinfo1, new ControlMessage().mixin({
+      command: 'bitrate_receive_limit',
+      ssrc: this.session.ssrc,
+      limit,
+    }), callback);
+  }
+
+  /**
+   * Send a MIDI message, paced to the bitrate limit of the peer
+   * @param {Object} message - MIDI message
+   * @param {Function} [callback] - Called when message is sent, with an error if it could not be
+   */
   sendMessage(message, callback) {
     if (this.latency === null || this.timeDifference === null) {
+      if (callback) setImmediate(callback, new Error('Stream is not synchronized'));
+      return;
+    }
+
+    if (this.bitrateLimit === null) {
+      this.transmit(message, callback);
+      return;
+    }
+
+    this.pacingQueue.push({ message, callback });
+    if (!this.pacingTimeout) {
+      this.pace();
+    }
+  }
+
+  /**
+   * Send the queued messages, merged into as few packets as the payload budget
+   * allows, once the token bucket allows it. The bucket holds up to 100ms
+   * worth of the limit, or one packet if larger.
+   */
+  pace() {
+    this.pacingTimeout = null;
+
+    if (!this.pacingQueue.length) {
       return;
     }
 
+    // Merge waiting messages as long as the command section fits the budget
+    const budget = this.session.getCommandSectionBudget();
+    let message = this.pacingQueue[0].message;
+    let packet = new MidiMessage().mixin(message).generateBuffer();
+    let count = 1;
+
+    while (count < this.pacingQueue.length) {
+      const merged = coalesceMessages(message, this.pacingQueue[count].message);
+      const mergedPacket = new MidiMessage().mixin(merged).generateBuffer();
+      if (mergedPacket.length > budget) {
+        break;
+      }
+      message = merged;
+      packet = mergedPacket;
+      count += 1;
+    }
+
+    const queued = this.pacingQueue.slice(0, count);
+    const callback = (...args) => queued.forEach(item => item.callback && item.callback(...args));
+
+    if (this.bitrateLimit === null) {
+      this.pacingQueue.splice(0, count);
+      this.transmit(message, callback);
+      this.pace();
+      return;
+    }
+
+    // Packet size including the IP and UDP headers, without the journal
+    const size = (packet.buffer.length + 28) * 8;
+    const capacity = Math.max(size, this.bitrateLimit / 10);
+    const now = this.session.now();
+
+    if (this.pacingRefillTime === null) {
+      this.pacingTokens = capacity;
+    } else {
+      const elapsed = (now - this.pacingRefillTime) / this.session.rate;
+      this.pacingTokens = Math.min(capacity, this.pacingTokens + elapsed * this.bitrateLimit);
+    }
+    this.pacingRefillTime = now;
+
+    if (this.pacingTokens >= size) {
+      this.pacingTokens -= size;
+      this.pacingQueue.splice(0, count);
+      this.transmit(message, callback);
+      this.pace();
+    } else {
+      const delay = ((size - this.pacingTokens) / this.bitrateLimit) * 1000;
+      this.pacingTimeout = setTimeout(() => this.pace(), Math.ceil(delay));
+    }
+  }
+
+  /**
+   * Send a MIDI message now
+   * @param {Object} message - MIDI message
+   * @param {Function} callback - Called when message is sent
+   */
+  transmit(message, callback) {
     this.lastSentSequenceNr = (this.lastSentSequenceNr + 1) % 0x10000;
 
     // Create MIDI message
@@ -470,6 +920,20 @@ class Stream extends EventEmitter {
     midiMessage.ssrc = this.session.ssrc;
     midiMessage.sequenceNumber = this.lastSentSequenceNr;
 
+    // RTP timestamps are the low 32 bits of the session clock
+    midiMessage.timestamp = Number(BigInt.asUintN(32, BigInt(Math.round(midiMessage.timestamp || 0))));
+
+    // Journal the state sent since the last checkpoint in the room the packet leaves,
+    // then add this packet to it
+    if (this.session.journalling) {
+      const length = midiMessage.generateBuffer().buffer.length;
+      midiMessage.hasJournal = true;
+      midiMessage.journal = this.journalSender.generate(
+        midiMessage.sequenceNumber, this.session.getJournalBudget(length),
+      );
+    }
+    this.journalSender.record(midiMessage.commands, midiMessage.sequenceNumber);
+
     this.session.sendUdpMessage(this.rinfo2, midiMessage, callback);
   }
 
@@ -478,18 +942,14 @@ class Stream extends EventEmitter {
    * @param {Function} callback - Called when stream is ended
    */
   end(callback) {
-    if (this.syncInterval) {
-      clearInterval(this.syncInterval);
-    }
-    
-    if (this.connectionInterval) {
-      clearInterval(this.connectionInterval);
-    }
-    
+    this.reconnect = false;
+    this.reconnecting = false;
+    this.clearTimers();
+    this.playoutBuffer.flush();
+
     if (this.isConnected) {
       this.sendEndstream(() => {
-        this.emit('disconnected', { stream: this });
-        this.isConnected = false;
+        this.disconnect('local');
         if (callback) callback();
       });
     } else if (callback) {
@@ -497,6 +957,85 @@ class Stream extends EventEmitter {
     }
   }
 
+  /**
+   * Iterate over received messages until the stream is disconnected
+   * @param {Object} [options] - Iterator options
+   * @param {AbortSignal} [options.signal] - Ends the iteration with the abort reason
+   * @param {number} [options.maxQueued=1024] - Number of unread messages buffered at most
+   * @param {string} [options.overflow='drop'] - 'drop' drops the oldest unread message when
+   * the buffer is full, 'error' ends the iteration with an error
+   * @returns {MessageIterator} Async iterator of { data, comexTime, recovered }
+   */
+  messages(options = {}) {
+    return new MessageIterator(this, {
+      signal: options.signal,
+      maxQueued: options.maxQueued,
+      overflow: options.overflow,
+      endEvent: 'disconnected',
+      shouldEnd: event => !event.reconnecting,
+      map: (time, data, recovered) => ({
+        data, comexTime: time + this.session.startTime, recovered: !!recovered,
+      }),
+    });
+  }
+
+  /**
+   * Create a readable stream of received messages, ended when the stream is disconnected
+   * @param {Object} [options] - Readable options, and signal, maxQueued and overflow like in messages()
+   * @returns {Readable} Object mode stream of { data, comexTime, recovered }
+   */
+  createReadStream(options = {}) {
+    const {
+      signal, maxQueued, overflow, ...readableOptions
+    } = options;
+    return createReadStream(this.messages({ signal, maxQueued, overflow }), readableOptions);
+  }
+
+  /**
+   * Create a writable stream that sends commands to this stream only. Writes complete
+   * once the commands are sent and fail if they cannot be.
+   * @param {Object} [options] - Writable options
+   * @returns {Writable} Object mode stream of command data or { data, comexTime }
+   */
+  createWriteStream(options = {}) {
+    return createWriteStream((data, comexTime, callback) => this.send(data, comexTime, callback), options);
+  }
+
+  /**
+   * Send a MIDI event or command to this stream only. It is queued, bundled and
+   * timestamped by the session like commands sent to all streams.
+   * @param {Object|Buffer|number[]} command - Event like { type: 'noteon', channel, note, velocity }
+   * or command data
+   * @param {number} [time] - Timestamp like in session.sendMessage(), now if not set
+   * @param {Function} [callback] - Called once the command is sent, with an error if it could not be
+   */
+  send(command, time, callback) {
+    const data = isEvent(command) ? encode(command) : command;
+    const options = { to: [this.ssrc], callback };
+
+    if (!data) {
+      return;
+    }
+    if (time === undefined) {
+      this.session.sendMessage(data, options);
+    } else {
+      this.session.sendMessage(time, data, options);
+    }
+  }
+
+  /**
+   * End the stream
+   * @param {Object} [options] - Close options
+   * @param {AbortSignal} [options.signal] - Stops waiting, the stream is still ended
+   * @returns {Promise} Resolves when the end message was sent
+   */
+  close(options = {}) {
+    return abortable(options.signal, (resolve) => {
+      this.end(() => resolve());
+      return null;
+    });
+  }
+
   /**
    * Get JSON representation of the stream
    * @returns {Object} Stream data
@@ -507,6 +1046,8 @@ class Stream extends EventEmitter {
       ssrc: this.ssrc,
       port: this.rinfo1.port,
       name: this.name,
+      playout: this.getPlayoutLatency() > 0 ? this.getPlayoutStats() : undefined,
+      sync: this.getSyncStats(),
     } : {};
   }
 }
@@ -0,0 +1,151 @@
+/**
+ * SyncStatistics.js - Clock synchronization statistics for RTP MIDI.
+ *
+ * Keeps a sliding window of CK0/CK1/CK2 exchange results and estimates the
+ * round-trip time, its jitter and the drift rate of the remote clock.
+ */
+
+/**
+ * Get the median of a list of numbers
+ * @param {number[]} values - Values, not modified
+ * @returns {number} Median, NaN for an empty list
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  if (!sorted.length) {
+    return NaN;
+  }
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * SyncStatistics estimates round-trip time, jitter and drift from sync samples
+ */
+class SyncStatistics {
+  /**
+   * Create new SyncStatistics
+   * @param {number} rate - Clock rate in ticks per second
+   * @param {number} [size=32] - Number of samples kept
+   */
+  constructor(rate, size = 32) {
+    this.rate = rate;
+    this.size = size;
+    this.samples = [];
+  }
+
+  /**
+   * Check whether a round-trip time is an outlier compared to the window.
+   * Samples slower than the median by more than three median absolute
+   * deviations (at least one millisecond) are rejected. Rejected samples
+   * stay in the window so a lasting change of the network is picked up.
+   * @param {number} latency - Round-trip time in ticks
+   * @returns {boolean} True if the sample should be rejected
+   */
+  isOutlier(latency) {
+    if (this.samples.length < 3) {
+      return false;
+    }
+
+    const latencies = this.samples.map(sample => sample.latency);
+    const center = median(latencies);
+    const deviation = median(latencies.map(value => Math.abs(value - center)));
+
+    return latency > center + 3 * Math.max(deviation, this.rate / 1000);
+  }
+
+  /**
+   * Add the result of a sync exchange
+   * @param {bigint} time - Local time of the exchange in ticks
+   * @param {number} latency - Round-trip time in ticks
+   * @param {bigint} timeDifference - Measured clock difference in ticks
+   * @returns {boolean} False if the sample was rejected as an outlier
+   */
+  add(time, latency, timeDifference) {
+    if (latency < 0) {
+      return false;
+    }
+
+    const outlier = this.isOutlier(latency);
+
+    this.samples.push({
+      time, latency, timeDifference, outlier,
+    });
+    if (this.samples.length > this.size) {
+      this.samples.shift();
+    }
+    return !outlier;
+  }
+
+  /**
+   * Get the samples that were not rejected
+   * @returns {Object[]} Accepted samples, oldest first
+   */
+  getAccepted() {
+    return this.samples.filter(sample => !sample.outlier);
+  }
+
+  /**
+   * Estimate the drift of the remote clock with a least squares fit of the
+   * clock difference over local time
+   * @returns {number|null} Drift in parts per million, positive when the remote
+   * clock runs fast, null with too few samples
+   */
+  getDrift() {
+    const samples = this.getAccepted();
+
+    if (samples.length < 2) {
+      return null;
+    }
+
+    // Relative to the first sample so the values fit a double
+    const [first] = samples;
+    const points = samples.map(sample => ({
+      x: Number(sample.time - first.time),
+      y: Number(sample.timeDifference - first.timeDifference),
+    }));
+    const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+    const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+    let covariance = 0;
+    let variance = 0;
+
+    for (const { x, y } of points) {
+      covariance += (x - meanX) * (y - meanY);
+      variance += (x - meanX) ** 2;
+    }
+
+    // The time difference shrinks when the remote clock runs fast
+    return variance ? -(covariance / variance) * 1e6 : null;
+  }
+
+  /**
+   * Get the statistics
+   * @returns {Object} Round-trip times and jitter in milliseconds, drift in ppm
+   */
+  getStats() {
+    const toMs = ticks => (ticks / this.rate) * 1000;
+    const samples = this.getAccepted();
+    const latencies = samples.map(sample => sample.latency);
+    const count = latencies.length;
+    const mean = count ? latencies.reduce((sum, value) => sum + value, 0) / count : 0;
+    const variance = count
+      ? latencies.reduce((sum, value) => sum + (value - mean) ** 2, 0) / count
+      : 0;
+    const last = samples[count - 1];
+
+    return {
+      samples: count,
+      outliers: this.samples.length - count,
+      rtt: count ? toMs(last.latency) : null,
+      minRtt: count ? toMs(Math.min(...latencies)) : null,
+      maxRtt: count ? toMs(Math.max(...latencies)) : null,
+      meanRtt: count ? toMs(mean) : null,
+      jitter: count ? toMs(Math.sqrt(variance)) : null,
+      drift: this.getDrift(),
+      timeDifference: count ? Number(last.timeDifference) : null,
+    };
+  }
+}
+
+module.exports = SyncStatistics;
@@ -0,0 +1,1093 @@
+/**
+ * journal.js - Recovery journal encoding and decoding for RTP MIDI (RFC 6295).
+ *
+ * Journals are represented as plain objects so they can be built by the
+ * sender, inspected and serialized without knowing about the wire format:
+ *
+ *   {
+ *     singlePacketLoss, enhancedEncoding, checkPointPacketSequenceNumber,
+ *     systemJournal: { s, chapters: { D, V, Q, F, X } },
+ *     channelJournals: [{ channel, s, h, chapters: { P, C, M, W, N, E, T, A } }],
+ *   }
+ *
+ * Presence flags, TOC bits and length fields are derived from the chapters
+ * that are present when encoding.
+ */
+
+const CHANNEL_CHAPTERS = ['P', 'C', 'M', 'W', 'N', 'E', 'T', 'A'];
+const SYSTEM_CHAPTERS = ['D', 'V', 'Q', 'F', 'X'];
+
+/**
+ * Return the mask if the flag is set
+ * @param {*} flag - Flag value
+ * @param {number} mask - Bit mask
+ * @returns {number} The mask or 0
+ */
+function bit(flag, mask) {
+  return flag ? mask : 0;
+}
+
+/**
+ * Encode chapter P (program change)
+ * @param {Object} chapter - Chapter data
+ * @returns {Buffer} Encoded chapter
+ */
+function encodeChapterP(chapter) {
+  return Buffer.from([
+    // eslint-disable-next-line no-bitwise
+    bit(chapter.s, 0x80) | (chapter.program & 0x7f),
+    // eslint-disable-next-line no-bitwise
+    bit(chapter.b, 0x80) | ((chapter.bankMsb || 0) & 0x7f),
+    // eslint-disable-next-line no-bitwise
+    bit(chapter.x, 0x80) | ((chapter.bankLsb || 0) & 0x7f),
+  ]);
+}
+
+/**
+ * Encode chapter C (control change)
+ * @param {Object} chapter - Chapter data
+ * @returns {Buffer} Encoded chapter
+ */
+function encodeChapterC(chapter) {
+  const controllers = chapter.controllers.slice(0, 128);
+  const buffer = Buffer.alloc(1 + controllers.length * 2);
+
+  // eslint-disable-next-line no-bitwise
+  buffer[0] = bit(chapter.s, 0x80) | ((controllers.length - 1) & 0x7f);
+  controllers.forEach((controller, i) => {
+    // eslint-disable-next-line no-bitwise
+    buffer[1 + i * 2] = bit(controller.s, 0x80) | (controller.number & 0x7f);
+    // eslint-disable-next-line no-bitwise
+    buffer[2 + i * 2] = bit(controller.a, 0x80) | (controller.value & 0x7f);
+  });
+
+  return buffer;
+}
+
+/**
+ * Encode chapter M (parameter system)
+ * @param {Object} chapter - Chapter data
+ * @returns {Buffer} Encoded chapter
+ */
+function encodeChapterM(chapter) {
+  const bytes = [0, 0];
+
+  if (chapter.pending) {
+    // eslint-disable-next-line no-bitwise
+    bytes.push(bit(chapter.pending.nrpn, 0x80) | (chapter.pending.number & 0x7f));
+  }
+
+  for (const parameter of chapter.parameters) {
+    const hasEntryMsb = parameter.entryMsb !== undefined;
+    const hasEntryLsb = parameter.entryLsb !== undefined;
+    const hasAButton = parameter.aButton !== undefined;
+    const hasCButton = parameter.cButton !== undefined;
+    const hasCount = parameter.count !== undefined;
+
+    // eslint-disable-next-line no-bitwise
+    bytes.push(bit(parameter.s, 0x80) | (parameter.number & 0x7f));
+    if (!chapter.z) {
+      // eslint-disable-next-line no-bitwise
+      bytes.push(bit(parameter.nrpn, 0x80) | ((parameter.number >> 7) & 0x7f));
+    }
+    // eslint-disable-next-line no-bitwise
+    bytes.push(bit(hasEntryMsb, 0x80) | bit(hasEntryLsb, 0x40) | bit(hasAButton, 0x20)
+      | bit(hasCButton, 0x10) | bit(hasCount, 0x08) | bit(parameter.t, 0x04)
+      | bit(parameter.v, 0x02) | bit(parameter.r, 0x01));
+
+    if (hasEntryMsb) {
+      // eslint-disable-next-line no-bitwise
+      bytes.push(parameter.entryMsb & 0x7f);
+    }
+    if (hasEntryLsb) {
+      // eslint-disable-next-line no-bitwise
+      bytes.push(parameter.entryLsb & 0x7f);
+    }
+    if (hasAButton) {
+      // eslint-disable-next-line no-bitwise
+      bytes.push((parameter.aButton >> 8) & 0x3f, parameter.aButton & 0xff);
+    }
+    if (hasCButton) {
+      // eslint-disable-next-line no-bitwise
+      bytes.push((parameter.cButton >> 8) & 0x3f, parameter.cButton & 0xff);
+    }
+    if (hasCount) {
+      // eslint-disable-next-line no-bitwise
+      bytes.push(parameter.count & 0x7f);
+    }
+  }
+
+  const { length } = bytes;
+  // eslint-disable-next-line no-bitwise
+  bytes[0] = bit(chapter.s, 0x80) | bit(chapter.pending, 0x40) | bit(chapter.e, 0x20)
+    | bit(chapter.u, 0x10) | bit(chapter.w, 0x08) | bit(chapter.z, 0x04)
+    // eslint-disable-next-line no-bitwise
+    | ((length >> 8) & 0x03);
+  // eslint-disable-next-line no-bitwise
+  bytes[1] = length & 0xff;
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Encode chapter W (pitch wheel)
+ * @param {Object} chapter - Chapter data
+ * @returns {Buffer} Encoded chapter
+ */
+function encodeChapterW(chapter) {
+  return Buffer.from([
+    // eslint-disable-next-line no-bitwise
+    bit(chapter.s, 0x80) | (chapter.first & 0x7f),
+    // eslint-disable-next-line no-bitwise
+    bit(chapter.r, 0x80) | (chapter.second & 0x7f),
+  ]);
+}
+
+/**
+ * Encode chapter N (note on/off)
+ * @param {Object} chapter - Chapter data
+ * @returns {Buffer} Encoded chapter
+ */
+function encodeChapterN(chapter) {
+  const offNotes = chapter.offNotes || [];
+  const notes = chapter.notes.slice(0, offNotes.length ? 127 : 128);
+  let low = 15;
+  let high = notes.length === 127 ? 1 : 0;
+  let offBits = Buffer.alloc(0);
+
+  if (offNotes.length) {
+    // eslint-disable-next-line no-bitwise
+    low = Math.min(...offNotes) >> 3;
+    // eslint-disable-next-line no-bitwise
+    high = Math.max(...offNotes) >> 3;
+    offBits = Buffer.alloc(high - low + 1);
+    for (const note of offNotes) {
+      // eslint-disable-next-line no-bitwise
+      offBits[(note >> 3) - low] |= 0x80 >> (note & 0x07);
+    }
+  }
+
+  const buffer = Buffer.alloc(2 + notes.length * 2);
+  // eslint-disable-next-line no-bitwise
+  buffer[0] = bit(chapter.b, 0x80) | Math.min(notes.length, 127);
+  // eslint-disable-next-line no-bitwise
+  buffer[1] = (low << 4) | high;
+  notes.forEach((note, i) => {
+    // eslint-disable-next-line no-bitwise
+    buffer[2 + i * 2] = bit(note.s, 0x80) | (note.note & 0x7f);
+    // eslint-disable-next-line no-bitwise
+    buffer[3 + i * 2] = bit(note.y, 0x80) | (note.velocity & 0x7f);
+  });
+
+  return Buffer.concat([buffer, offBits]);
+}
+
+/**
+ * Encode chapter E (note command extras)
+ * @param {Object} chapter - Chapter data
+ * @returns {Buffer} Encoded chapter
+ */
+function encodeChapterE(chapter) {
+  const notes = chapter.notes.slice(0, 128);
+  const buffer = Buffer.alloc(1 + notes.length * 2);
+
+  // eslint-disable-next-line no-bitwise
+  buffer[0] = bit(chapter.s, 0x80) | ((notes.length - 1) & 0x7f);
+  notes.forEach((note, i) => {
+    // eslint-disable-next-line no-bitwise
+    buffer[1 + i * 2] = bit(note.s, 0x80) | (note.note & 0x7f);
+    // eslint-disable-next-line no-bitwise
+    buffer[2 + i * 2] = bit(note.v, 0x80) | (note.value & 0x7f);
+  });
+
+  return buffer;
+}
+
+/**
+ * Encode chapter T (channel aftertouch)
+ * @param {Object} chapter - Chapter data
+ * @returns {Buffer} Encoded chapter
+ */
+function encodeChapterT(chapter) {
+  // eslint-disable-next-line no-bitwise
+  return Buffer.from([bit(chapter.s, 0x80) | (chapter.pressure & 0x7f)]);
+}
+
+/**
+ * Encode chapter A (poly aftertouch)
+ * @param {Object} chapter - Chapter data
+ * @returns {Buffer} Encoded chapter
+ */
+function encodeChapterA(chapter) {
+  const notes = chapter.notes.slice(0, 128);
+  const buffer = Buffer.alloc(1 + notes.length * 2);
+
+  // eslint-disable-next-line no-bitwise
+  buffer[0] = bit(chapter.s, 0x80) | ((notes.length - 1) & 0x7f);
+  notes.forEach((note, i) => {
+    // eslint-disable-next-line no-bitwise
+    buffer[1 + i * 2] = bit(note.s, 0x80) | (note.note & 0x7f);
+    // eslint-disable-next-line no-bitwise
+    buffer[2 + i * 2] = bit(note.x, 0x80) | (note.pressure & 0x7f);
+  });
+
+  return buffer;
+}
+
+/**
+ * Encode chapter D (simple system commands)
+ * @param {Object} chapter - Chapter data
+ * @returns {Buffer} Encoded chapter
+ */
+function encodeChapterD(chapter) {
+  const hasReset = chapter.reset !== undefined;
+  const hasTuneRequest = chapter.tuneRequest !== undefined;
+  const hasSongSelect = chapter.songSelect !== undefined;
+  const s = bit(chapter.s, 0x80);
+  // eslint-disable-next-line no-bitwise
+  const bytes = [s | bit(hasReset, 0x40) | bit(hasTuneRequest, 0x20) | bit(hasSongSelect, 0x10)
+    | bit(chapter.j, 0x08) | bit(chapter.k, 0x04) | bit(chapter.y, 0x02) | bit(chapter.z, 0x01)];
+
+  if (hasReset) {
+    // eslint-disable-next-line no-bitwise
+    bytes.push(s | (chapter.reset & 0x7f));
+  }
+  if (hasTuneRequest) {
+    // eslint-disable-next-line no-bitwise
+    bytes.push(s | (chapter.tuneRequest & 0x7f));
+  }
+  if (hasSongSelect) {
+    // eslint-disable-next-line no-bitwise
+    bytes.push(s | (chapter.songSelect & 0x7f));
+  }
+
+  // Logs for the undefined system commands are kept in their wire format
+  const logs = [chapter.j, chapter.k, chapter.y, chapter.z].filter(Boolean);
+
+  return Buffer.concat([Buffer.from(bytes), ...logs]);
+}
+
+/**
+ * Encode chapter V (active sense)
+ * @param {Object} chapter - Chapter data
+ * @returns {Buffer} Encoded chapter
+ */
+function encodeChapterV(chapter) {
+  // eslint-disable-next-line no-bitwise
+  return Buffer.from([bit(chapter.s, 0x80) | (chapter.count & 0x7f)]);
+}
+
+/**
+ * Encode chapter Q (sequencer state)
+ * @param {Object} chapter - Chapter data
+ * @returns {Buffer} Encoded chapter
+ */
+function encodeChapterQ(chapter) {
+  const hasClock = chapter.clock !== undefined;
+  const hasTimeTools = chapter.timeTools !== undefined;
+  // eslint-disable-next-line no-bitwise
+  const bytes = [bit(chapter.s, 0x80) | bit(chapter.n, 0x40) | bit(chapter.d, 0x20)
+    | bit(hasClock, 0x10) | bit(hasTimeTools, 0x08)
+    // eslint-disable-next-line no-bitwise
+    | (hasClock ? (chapter.clock >> 16) & 0x07 : 0)];
+
+  if (hasClock) {
+    // eslint-disable-next-line no-bitwise
+    bytes.push((chapter.clock >> 8) & 0xff, chapter.clock & 0xff);
+  }
+  if (hasTimeTools) {
+    // eslint-disable-next-line no-bitwise
+    bytes.push((chapter.timeTools >> 16) & 0xff, (chapter.timeTools >> 8) & 0xff,
+      // eslint-disable-next-line no-bitwise
+      chapter.timeTools & 0xff);
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Encode chapter F (MIDI time code tape position)
+ * @param {Object} chapter - Chapter data
+ * @returns {Buffer} Encoded chapter
+ */
+function encodeChapterF(chapter) {
+  const hasComplete = chapter.complete !== undefined;
+  const hasPartial = chapter.partial !== undefined;
+  const buffer = Buffer.alloc(1 + (hasComplete ? 4 : 0) + (hasPartial ? 4 : 0));
+
+  // eslint-disable-next-line no-bitwise
+  buffer[0] = bit(chapter.s, 0x80) | bit(hasComplete, 0x40) | bit(hasPartial, 0x20)
+    // eslint-disable-next-line no-bitwise
+    | bit(chapter.q, 0x10) | bit(chapter.d, 0x08) | (chapter.point & 0x07);
+  if (hasComplete) {
+    // eslint-disable-next-line no-bitwise
+    buffer.writeUInt32BE(chapter.complete >>> 0, 1);
+  }
+  if (hasPartial) {
+    // eslint-disable-next-line no-bitwise
+    buffer.writeUInt32BE(chapter.partial >>> 0, hasComplete ? 5 : 1);
+  }
+
+  return buffer;
+}
+
+/**
+ * Encode chapter X (system exclusive)
+ * @param {Object} chapter - Chapter data
+ * @returns {Buffer} Encoded chapter
+ */
+function encodeChapterX(chapter) {
+  const hasTcount = chapter.tcount !== undefined;
+  const hasCount = chapter.count !== undefined;
+  const hasFirst = chapter.first !== undefined;
+  const hasData = !!(chapter.data && chapter.data.length);
+  // eslint-disable-next-line no-bitwise
+  const bytes = [bit(chapter.s, 0x80) | bit(hasTcount, 0x40) | bit(hasCount, 0x20)
+    // eslint-disable-next-line no-bitwise
+    | bit(hasFirst, 0x10) | bit(hasData, 0x08) | bit(chapter.l, 0x04) | (chapter.sta & 0x03)];
+
+  if (hasTcount) {
+    // eslint-disable-next-line no-bitwise
+    bytes.push(chapter.tcount & 0xff);
+  }
+  if (hasCount) {
+    // eslint-disable-next-line no-bitwise
+    bytes.push(chapter.count & 0xff);
+  }
+  if (hasFirst) {
+    // FIRST is coded in 7 bit groups, the high bit marks following octets
+    const groups = [];
+    let { first } = chapter;
+    do {
+      // eslint-disable-next-line no-bitwise
+      groups.unshift(first & 0x7f);
+      first = Math.floor(first / 128);
+    } while (first > 0);
+    // eslint-disable-next-line no-bitwise
+    groups.forEach((group, i) => bytes.push(group | bit(i < groups.length - 1, 0x80)));
+  }
+
+  return Buffer.concat([Buffer.from(bytes), hasData ? chapter.data : Buffer.alloc(0)]);
+}
+
+const channelChapterEncoders = {
+  P: encodeChapterP,
+  C: encodeChapterC,
+  M: encodeChapterM,
+  W: encodeChapterW,
+  N: encodeChapterN,
+  E: encodeChapterE,
+  T: encodeChapterT,
+  A: encodeChapterA,
+};
+
+const systemChapterEncoders = {
+  D: encodeChapterD,
+  V: encodeChapterV,
+  Q: encodeChapterQ,
+  F: encodeChapterF,
+  X: encodeChapterX,
+};
+
+/**
+ * Encode the chapters of a channel or system journal in their canonical order
+ * @param {Object} chapters - Chapters by letter
+ * @param {string[]} order - Chapter letters in wire order
+ * @param {Object} encoders - Encoders by letter
+ * @returns {{ buffers: Buffer[], toc: number }} Encoded chapters and TOC bits
+ */
+function encodeChapters(chapters, order, encoders) {
+  const buffers = [];
+  let toc = 0;
+
+  order.forEach((letter, i) => {
+    if (chapters[letter] && encoders[letter]) {
+      buffers.push(encoders[letter](chapters[letter]));
+      // eslint-disable-next-line no-bitwise
+      toc |= 0x80 >> i;
+    }
+  });
+
+  return { buffers, toc };
+}
+
+/**
+ * Encode a system journal
+ * @param {Object} systemJournal - System journal data
+ * @returns {Buffer|null} Encoded journal or null if it has no chapters
+ */
+function encodeSystemJournal(systemJournal) {
+  const { buffers, toc } = encodeChapters(
+    systemJournal.chapters || {}, SYSTEM_CHAPTERS, systemChapterEncoders,
+  );
+  if (!buffers.length) {
+    return null;
+  }
+
+  const header = Buffer.alloc(2);
+  const length = header.length + buffers.reduce((sum, buffer) => sum + buffer.length, 0);
+
+  // The system chapter flags sit right after the S bit
+  // eslint-disable-next-line no-bitwise
+  header[0] = bit(systemJournal.s, 0x80) | (toc >> 1) | ((length >> 8) & 0x03);
+  // eslint-disable-next-line no-bitwise
+  header[1] = length & 0xff;
+
+  return Buffer.concat([header, ...buffers]);
+}
+
+/**
+ * Encode a channel journal
+ * @param {Object} channelJournal - Channel journal data
+ * @returns {Buffer|null} Encoded journal or null if it has no chapters
+ */
+function encodeChannelJournal(channelJournal) {
+  const { buffers, toc } = encodeChapters(
+    channelJournal.chapters || {}, CHANNEL_CHAPTERS, channelChapterEncoders,
+  );
+  if (!buffers.length) {
+    return null;
+  }
+
+  const header = Buffer.alloc(3);
+  const length = header.length + buffers.reduce((sum, buffer) => sum + buffer.length, 0);
+
+  // eslint-disable-next-line no-bitwise
+  header[0] = bit(channelJournal.s, 0x80) | ((channelJournal.channel & 0x0f) << 3)
+    // eslint-disable-next-line no-bitwise
+    | bit(channelJournal.h, 0x04) | ((length >> 8) & 0x03);
+  // eslint-disable-next-line no-bitwise
+  header[1] = length & 0xff;
+  header[2] = toc;
+
+  return Buffer.concat([header, ...buffers]);
+}
+
+/**
+ * Encode a recovery journal
+ * @param {Object} journal - Journal data
+ * @returns {Buffer} Encoded journal
+ */
+function encodeJournal(journal) {
+  const systemJournal = journal.systemJournal
+    ? encodeSystemJournal(journal.systemJournal) : null;
+  const channelJournals = (journal.channelJournals || [])
+    .map(encodeChannelJournal)
+    .filter(Boolean)
+    .slice(0, 16);
+
+  const header = Buffer.alloc(3);
+  // eslint-disable-next-line no-bitwise
+  header[0] = bit(journal.singlePacketLoss, 0x80) | bit(systemJournal, 0x40)
+    | bit(channelJournals.length, 0x20) | bit(journal.enhancedEncoding, 0x10)
+    // eslint-disable-next-line no-bitwise
+    | (channelJournals.length ? (channelJournals.length - 1) & 0x0f : 0);
+  // eslint-disable-next-line no-bitwise
+  header.writeUInt16BE(journal.checkPointPacketSequenceNumber & 0xffff, 1);
+
+  return Buffer.concat([header, ...(systemJournal ? [systemJournal] : []), ...channelJournals]);
+}
+
+/**
+ * Decode chapter P (program change)
+ * @param {Buffer} buffer - Source buffer
+ * @param {number} offset - Chapter offset
+ * @returns {Object} Chapter data and its encoded length
+ */
+function decodeChapterP(buffer, offset) {
+  return {
+    length: 3,
+    chapter: {
+      // eslint-disable-next-line no-bitwise
+      s: !!(buffer[offset] & 0x80),
+      // eslint-disable-next-line no-bitwise
+      program: buffer[offset] & 0x7f,
+      // eslint-disable-next-line no-bitwise
+      b: !!(buffer[offset + 1] & 0x80),
+      // eslint-disable-next-line no-bitwise
+      bankMsb: buffer[offset + 1] & 0x7f,
+      // eslint-disable-next-line no-bitwise
+      x: !!(buffer[offset + 2] & 0x80),
+      // eslint-disable-next-line no-bitwise
+      bankLsb: buffer[offset + 2] & 0x7f,
+    },
+  };
+}
+
+/**
+ * Decode chapter C (control change)
+ * @param {Buffer} buffer - Source buffer
+ * @param {number} offset - Chapter offset
+ * @returns {Object} Chapter data and its encoded length
+ */
+function decodeChapterC(buffer, offset) {
+  // eslint-disable-next-line no-bitwise
+  const count = (buffer[offset] & 0x7f) + 1;
+  const controllers = [];
+
+  for (let i = 0; i < count; i++) {
+    const o = offset + 1 + i * 2;
+    controllers.push({
+      // eslint-disable-next-line no-bitwise
+      s: !!(buffer[o] & 0x80),
+      // eslint-disable-next-line no-bitwise
+      number: buffer[o] & 0x7f,
+      // eslint-disable-next-line no-bitwise
+      a: !!(buffer[o + 1] & 0x80),
+      // eslint-disable-next-line no-bitwise
+      value: buffer[o + 1] & 0x7f,
+    });
+  }
+
+  return {
+    length: 1 + count * 2,
+    // eslint-disable-next-line no-bitwise
+    chapter: { s: !!(buffer[offset] & 0x80), controllers },
+  };
+}
+
+/**
+ * Decode chapter M (parameter system)
+ * @param {Buffer} buffer - Source buffer
+ * @param {number} offset - Chapter offset
+ * @param {number} end - Offset after the journal
+ * @returns {Object|null} Chapter data and its encoded length, null if truncated
+ */
+function decodeChapterM(buffer, offset, journalEnd) {
+  const header = buffer[offset];
+  // eslint-disable-next-line no-bitwise
+  const length = ((header & 0x03) << 8) | buffer[offset + 1];
+  const end = offset + length;
+
+  if (length < 2 || end > journalEnd) {
+    return null;
+  }
+
+  const chapter = {
+    // eslint-disable-next-line no-bitwise
+    s: !!(header & 0x80),
+    pending: null,
+    // eslint-disable-next-line no-bitwise
+    e: !!(header & 0x20),
+    // eslint-disable-next-line no-bitwise
+    u: !!(header & 0x10),
+    // eslint-disable-next-line no-bitwise
+    w: !!(header & 0x08),
+    // eslint-disable-next-line no-bitwise
+    z: !!(header & 0x04),
+    parameters: [],
+  };
+  let o = offset + 2;
+
+  // eslint-disable-next-line no-bitwise
+  if (header & 0x40) {
+    // eslint-disable-next-line no-bitwise
+    chapter.pending = { nrpn: !!(buffer[o] & 0x80), number: buffer[o] & 0x7f };
+    o += 1;
+  }
+
+  while (o < end) {
+    // eslint-disable-next-line no-bitwise
+    const parameter = { s: !!(buffer[o] & 0x80), nrpn: !!chapter.w };
+    // eslint-disable-next-line no-bitwise
+    let number = buffer[o] & 0x7f;
+    o += 1;
+
+    if (!chapter.z) {
+      // eslint-disable-next-line no-bitwise
+      parameter.nrpn = !!(buffer[o] & 0x80);
+      // eslint-disable-next-line no-bitwise
+      number |= (buffer[o] & 0x7f) << 7;
+      o += 1;
+    }
+    parameter.number = number;
+
+    const toc = buffer[o];
+    o += 1;
+    // eslint-disable-next-line no-bitwise
+    parameter.t = !!(toc & 0x04);
+    // eslint-disable-next-line no-bitwise
+    parameter.v = !!(toc & 0x02);
+    // eslint-disable-next-line no-bitwise
+    parameter.r = !!(toc & 0x01);
+
+    // eslint-disable-next-line no-bitwise
+    if (toc & 0x80) {
+      // eslint-disable-next-line no-bitwise
+      parameter.entryMsb = buffer[o] & 0x7f;
+      o += 1;
+    }
+    // eslint-disable-next-line no-bitwise
+    if (toc & 0x40) {
+      // eslint-disable-next-line no-bitwise
+      parameter.entryLsb = buffer[o] & 0x7f;
+      o += 1;
+    }
+    // eslint-disable-next-line no-bitwise
+    if (toc & 0x20) {
+      // eslint-disable-next-line no-bitwise
+      parameter.aButton = ((buffer[o] & 0x3f) << 8) | buffer[o + 1];
+      o += 2;
+    }
+    // eslint-disable-next-line no-bitwise
+    if (toc & 0x10) {
+      // eslint-disable-next-line no-bitwise
+      parameter.cButton = ((buffer[o] & 0x3f) << 8) | buffer[o + 1];
+      o += 2;
+    }
+    // eslint-disable-next-line no-bitwise
+    if (toc & 0x08) {
+      // eslint-disable-next-line no-bitwise
+      parameter.count = buffer[o] & 0x7f;
+      o += 1;
+    }
+
+    chapter.parameters.push(parameter);
+  }
+
+  // The last parameter log must not run past the chapter length
+  if (o > end) {
+    return null;
+  }
+  return { length, chapter };
+}
+
+/**
+ * Decode chapter W (pitch wheel)
+ * @param {Buffer} buffer - Source buffer
+ * @param {number} offset - Chapter offset
+ * @returns {Object} Chapter data and its encoded length
+ */
+function decodeChapterW(buffer, offset) {
+  return {
+    length: 2,
+    chapter: {
+      // eslint-disable-next-line no-bitwise
+      s: !!(buffer[offset] & 0x80),
+      // eslint-disable-next-line no-bitwise
+      first: buffer[offset] & 0x7f,
+      // eslint-disable-next-line no-bitwise
+      r: !!(buffer[offset + 1] & 0x80),
+      // eslint-disable-next-line no-bitwise
+      second: buffer[offset + 1] & 0x7f,
+    },
+  };
+}
+
+/**
+ * Decode chapter N (note on/off)
+ * @param {Buffer} buffer - Source buffer
+ * @param {number} offset - Chapter offset
+ * @returns {Object} Chapter data and its encoded length
+ */
+function decodeChapterN(buffer, offset) {
+  // eslint-disable-next-line no-bitwise
+  const low = buffer[offset + 1] >> 4;
+  // eslint-disable-next-line no-bitwise
+  const high = buffer[offset + 1] & 0x0f;
+  // eslint-disable-next-line no-bitwise
+  let count = buffer[offset] & 0x7f;
+  const notes = [];
+  const offNotes = [];
+
+  // LEN 127 with LOW 15 and HIGH 0 codes 128 note logs without OFFBITS
+  if (count === 127 && low === 15 && high === 0) {
+    count = 128;
+  }
+
+  for (let i = 0; i < count; i++) {
+    const o = offset + 2 + i * 2;
+    notes.push({
+      // eslint-disable-next-line no-bitwise
+      s: !!(buffer[o] & 0x80),
+      // eslint-disable-next-line no-bitwise
+      note: buffer[o] & 0x7f,
+      // eslint-disable-next-line no-bitwise
+      y: !!(buffer[o + 1] & 0x80),
+      // eslint-disable-next-line no-bitwise
+      velocity: buffer[o + 1] & 0x7f,
+    });
+  }
+
+  const offBitsOffset = offset + 2 + count * 2;
+  const offBitsLength = low <= high ? high - low + 1 : 0;
+  for (let i = 0; i < offBitsLength; i++) {
+    for (let k = 0; k < 8; k++) {
+      // eslint-disable-next-line no-bitwise
+      if (buffer[offBitsOffset + i] & (0x80 >> k)) {
+        offNotes.push((low + i) * 8 + k);
+      }
+    }
+  }
+
+  return {
+    length: 2 + count * 2 + offBitsLength,
+    // eslint-disable-next-line no-bitwise
+    chapter: { b: !!(buffer[offset] & 0x80), notes, offNotes },
+  };
+}
+
+/**
+ * Decode chapter T (channel aftertouch)
+ * @param {Buffer} buffer - Source buffer
+ * @param {number} offset - Chapter offset
+ * @returns {Object} Chapter data and its encoded length
+ */
+function decodeChapterT(buffer, offset) {
+  return {
+    length: 1,
+    // eslint-disable-next-line no-bitwise
+    chapter: { s: !!(buffer[offset] & 0x80), pressure: buffer[offset] & 0x7f },
+  };
+}
+
+/**
+ * Decode chapter A (poly aftertouch)
+ * @param {Buffer} buffer - Source buffer
+ * @param {number} offset - Chapter offset
+ * @returns {Object} Chapter data and its encoded length
+ */
+function decodeChapterA(buffer, offset) {
+  // eslint-disable-next-line no-bitwise
+  const count = (buffer[offset] & 0x7f) + 1;
+  const notes = [];
+
+  for (let i = 0; i < count; i++) {
+    const o = offset + 1 + i * 2;
+    notes.push({
+      // eslint-disable-next-line no-bitwise
+      s: !!(buffer[o] & 0x80),
+      // eslint-disable-next-line no-bitwise
+      note: buffer[o] & 0x7f,
+      // eslint-disable-next-line no-bitwise
+      x: !!(buffer[o + 1] & 0x80),
+      // eslint-disable-next-line no-bitwise
+      pressure: buffer[o + 1] & 0x7f,
+    });
+  }
+
+  return {
+    length: 1 + count * 2,
+    // eslint-disable-next-line no-bitwise
+    chapter: { s: !!(buffer[offset] & 0x80), notes },
+  };
+}
+
+/**
+ * Decode chapter E (note command extras)
+ * @param {Buffer} buffer - Source buffer
+ * @param {number} offset - Chapter offset
+ * @returns {Object} Chapter data and its encoded length
+ */
+function decodeChapterE(buffer, offset) {
+  // eslint-disable-next-line no-bitwise
+  const count = (buffer[offset] & 0x7f) + 1;
+  const notes = [];
+
+  for (let i = 0; i < count; i++) {
+    const o = offset + 1 + i * 2;
+    notes.push({
+      // eslint-disable-next-line no-bitwise
+      s: !!(buffer[o] & 0x80),
+      // eslint-disable-next-line no-bitwise
+      note: buffer[o] & 0x7f,
+      // eslint-disable-next-line no-bitwise
+      v: !!(buffer[o + 1] & 0x80),
+      // eslint-disable-next-line no-bitwise
+      value: buffer[o + 1] & 0x7f,
+    });
+  }
+
+  return {
+    length: 1 + count * 2,
+    // eslint-disable-next-line no-bitwise
+    chapter: { s: !!(buffer[offset] & 0x80), notes },
+  };
+}
+
+/**
+ * Decode chapter D (simple system commands)
+ * @param {Buffer} buffer - Source buffer
+ * @param {number} offset - Chapter offset
+ * @returns {Object} Chapter data and its encoded length
+ */
+function decodeChapterD(buffer, offset) {
+  const header = buffer[offset];
+  // eslint-disable-next-line no-bitwise
+  const chapter = { s: !!(header & 0x80) };
+  let o = offset + 1;
+
+  // eslint-disable-next-line no-bitwise
+  if (header & 0x40) {
+    // eslint-disable-next-line no-bitwise
+    chapter.reset = buffer[o] & 0x7f;
+    o += 1;
+  }
+  // eslint-disable-next-line no-bitwise
+  if (header & 0x20) {
+    // eslint-disable-next-line no-bitwise
+    chapter.tuneRequest = buffer[o] & 0x7f;
+    o += 1;
+  }
+  // eslint-disable-next-line no-bitwise
+  if (header & 0x10) {
+    // eslint-disable-next-line no-bitwise
+    chapter.songSelect = buffer[o] & 0x7f;
+    o += 1;
+  }
+
+  // Undefined system common logs (J, K) have a 10 bit length,
+  // undefined system real-time logs (Y, Z) a 4 bit length
+  [['j', 0x08], ['k', 0x04]].forEach(([name, mask]) => {
+    // eslint-disable-next-line no-bitwise
+    if (header & mask) {
+      // eslint-disable-next-line no-bitwise
+      const length = ((buffer[o] & 0x03) << 8) | buffer[o + 1];
+      chapter[name] = Buffer.from(buffer.slice(o, o + length));
+      o += length;
+    }
+  });
+  [['y', 0x02], ['z', 0x01]].forEach(([name, mask]) => {
+    // eslint-disable-next-line no-bitwise
+    if (header & mask) {
+      // eslint-disable-next-line no-bitwise
+      const length = buffer[o] & 0x0f;
+      chapter[name] = Buffer.from(buffer.slice(o, o + length));
+      o += length;
+    }
+  });
+
+  return { length: o - offset, chapter };
+}
+
+/**
+ * Decode chapter V (active sense)
+ * @param {Buffer} buffer - Source buffer
+ * @param {number} offset - Chapter offset
+ * @returns {Object} Chapter data and its encoded length
+ */
+function decodeChapterV(buffer, offset) {
+  return {
+    length: 1,
+    // eslint-disable-next-line no-bitwise
+    chapter: { s: !!(buffer[offset] & 0x80), count: buffer[offset] & 0x7f },
+  };
+}
+
+/**
+ * Decode chapter Q (sequencer state)
+ * @param {Buffer} buffer - Source buffer
+ * @param {number} offset - Chapter offset
+ * @param {number} end - Offset after the journal
+ * @returns {Object|null} Chapter data and its encoded length, null if truncated
+ */
+function decodeChapterQ(buffer, offset, end) {
+  const header = buffer[offset];
+  const chapter = {
+    // eslint-disable-next-line no-bitwise
+    s: !!(header & 0x80),
+    // eslint-disable-next-line no-bitwise
+    n: !!(header & 0x40),
+    // eslint-disable-next-line no-bitwise
+    d: !!(header & 0x20),
+  };
+  let o = offset + 1;
+
+  // eslint-disable-next-line no-bitwise
+  if (o + (header & 0x10 ? 2 : 0) + (header & 0x08 ? 3 : 0) > end) {
+    return null;
+  }
+  // eslint-disable-next-line no-bitwise
+  if (header & 0x10) {
+    // eslint-disable-next-line no-bitwise
+    chapter.clock = ((header & 0x07) << 16) | buffer.readUInt16BE(o);
+    o += 2;
+  }
+  // eslint-disable-next-line no-bitwise
+  if (header & 0x08) {
+    // eslint-disable-next-line no-bitwise
+    chapter.timeTools = (buffer[o] << 16) | buffer.readUInt16BE(o + 1);
+    o += 3;
+  }
+
+  return { length: o - offset, chapter };
+}
+
+/**
+ * Decode chapter F (MIDI time code tape position)
+ * @param {Buffer} buffer - Source buffer
+ * @param {number} offset - Chapter offset
+ * @param {number} end - Offset after the journal
+ * @returns {Object|null} Chapter data and its encoded length, null if truncated
+ */
+function decodeChapterF(buffer, offset, end) {
+  const header = buffer[offset];
+  const chapter = {
+    // eslint-disable-next-line no-bitwise
+    s: !!(header & 0x80),
+    // eslint-disable-next-line no-bitwise
+    q: !!(header & 0x10),
+    // eslint-disable-next-line no-bitwise
+    d: !!(header & 0x08),
+    // eslint-disable-next-line no-bitwise
+    point: header & 0x07,
+  };
+  let o = offset + 1;
+
+  // eslint-disable-next-line no-bitwise
+  if (o + (header & 0x40 ? 4 : 0) + (header & 0x20 ? 4 : 0) > end) {
+    return null;
+  }
+  // eslint-disable-next-line no-bitwise
+  if (header & 0x40) {
+    chapter.complete = buffer.readUInt32BE(o);
+    o += 4;
+  }
+  // eslint-disable-next-line no-bitwise
+  if (header & 0x20) {
+    chapter.partial = buffer.readUInt32BE(o);
+    o += 4;
+  }
+
+  return { length: o - offset, chapter };
+}
+
+/**
+ * Decode chapter X (system exclusive). As the last system chapter
+ * its data field extends to the end of the system journal.
+ * @param {Buffer} buffer - Source buffer
+ * @param {number} offset - Chapter offset
+ * @param {number} end - Offset after the system journal
+ * @returns {Object} Chapter data and its encoded length
+ */
+function decodeChapterX(buffer, offset, end) {
+  const header = buffer[offset];
+  const chapter = {
+    // eslint-disable-next-line no-bitwise
+    s: !!(header & 0x80),
+    // eslint-disable-next-line no-bitwise
+    l: !!(header & 0x04),
+    // eslint-disable-next-line no-bitwise
+    sta: header & 0x03,
+  };
+  let o = offset + 1;
+
+  // eslint-disable-next-line no-bitwise
+  if (header & 0x40) {
+    chapter.tcount = buffer[o];
+    o += 1;
+  }
+  // eslint-disable-next-line no-bitwise
+  if (header & 0x20) {
+    chapter.count = buffer[o];
+    o += 1;
+  }
+  // eslint-disable-next-line no-bitwise
+  if (header & 0x10) {
+    let first = 0;
+    let octet;
+    do {
+      octet = buffer[o];
+      // eslint-disable-next-line no-bitwise
+      first = first * 128 + (octet & 0x7f);
+      o += 1;
+    // eslint-disable-next-line no-bitwise
+    } while ((octet & 0x80) && o < end);
+    chapter.first = first;
+  }
+  // eslint-disable-next-line no-bitwise
+  if (header & 0x08) {
+    chapter.data = Buffer.from(buffer.slice(o, end));
+    o = end;
+  }
+
+  return { length: o - offset, chapter };
+}
+
+const channelChapterDecoders = {
+  P: decodeChapterP,
+  C: decodeChapterC,
+  M: decodeChapterM,
+  W: decodeChapterW,
+  N: decodeChapterN,
+  E: decodeChapterE,
+  T: decodeChapterT,
+  A: decodeChapterA,
+};
+
+const systemChapterDecoders = {
+  D: decodeChapterD,
+  V: decodeChapterV,
+  Q: decodeChapterQ,
+  F: decodeChapterF,
+  X: decodeChapterX,
+};
+
+/**
+ * Decode the chapters of a channel or system journal in their canonical order
+ * @param {Buffer} buffer - Source buffer
+ * @param {number} offset - Offset of the first chapter
+ * @param {number} end - Offset after the last chapter
+ * @param {Object} presentChapters - Chapter presence flags by letter
+ * @param {string[]} order - Chapter letters in wire order
+ * @param {Object} decoders - Decoders by letter
+ * @returns {Object|null} Chapters by letter, null if a chapter does not fit
+ */
+function decodeChapters(buffer, offset, end, presentChapters, order, decoders) {
+  const chapters = {};
+  let o = offset;
+
+  if (end > buffer.length) {
+    return null;
+  }
+
+  for (const letter of order) {
+    if (presentChapters[letter]) {
+      const decoded = o < end ? decoders[letter](buffer, o, end) : null;
+      // Chapters that run past the journal are truncated or malformed
+      if (!decoded || o + decoded.length > end) {
+        return null;
+      }
+      chapters[letter] = decoded.chapter;
+      o += decoded.length;
+    }
+  }
+
+  return chapters;
+}
+
+/**
+ * Decode the chapters of a channel journal
+ * @param {Buffer} buffer - Source buffer
+ * @param {number} offset - Offset of the first chapter
+ * @param {number} end - Offset after the last chapter
+ * @param {Object} presentChapters - Chapter presence flags by letter
+ * @returns {Object|null} Chapters by letter, null if a chapter does not fit
+ */
+function decodeChannelChapters(buffer, offset, end, presentChapters) {
+  return decodeChapters(
+    buffer, offset, end, presentChapters, CHANNEL_CHAPTERS, channelChapterDecoders,
+  );
+}
+
+/**
+ * Decode the chapters of a system journal
+ * @param {Buffer} buffer - Source buffer
+ * @param {number} offset - Offset of the first chapter
+ * @param {number} end - Offset after the last chapter
+ * @param {Object} presentChapters - Chapter presence flags by letter
+ * @returns {Object|null} Chapters by letter, null if a chapter does not fit
+ */
+function decodeSystemChapters(buffer, offset, end, presentChapters) {
+  return decodeChapters(
+    buffer, offset, end, presentChapters, SYSTEM_CHAPTERS, systemChapterDecoders,
+  );
+}
+
+module.exports = {
+  CHANNEL_CHAPTERS,
+  SYSTEM_CHAPTERS,
+  encodeJournal,
+  decodeChannelChapters,
+  decodeSystemChapters,
+};
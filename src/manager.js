@@ -9,6 +9,8 @@ const os = require('os');
 
 const Session = require('./Session');
 const MdnsService = require('./mdns');
+const Router = require('./Router');
+const { abortable } = require('./util');
 
 /**
  * Session manager
@@ -23,6 +25,9 @@ class Manager extends EventEmitter {
     this.sessions = [];
     this.inMemoryStore = {};
     this.storageHandler = this._defaultStorageHandler.bind(this);
+    this.router = new Router();
+
+    this.router.on('routesChanged', () => this.saveRoutes());
     
     // Set up mDNS event handlers
     MdnsService.on('remoteSessionUp', (remoteSession) => {
@@ -57,6 +62,13 @@ class Manager extends EventEmitter {
         this.inMemoryStore.sessions = JSON.stringify(config.sessions || []);
         callback(null);
         break;
+      case 'readRoutes':
+        callback(null, JSON.parse(this.inMemoryStore.routes || '[]'));
+        break;
+      case 'writeRoutes':
+        this.inMemoryStore.routes = JSON.stringify(config.routes || []);
+        callback(null);
+        break;
       default:
         callback({ message: 'Wrong method.' });
     }
@@ -207,17 +219,29 @@ class Manager extends EventEmitter {
 
   /**
    * Reset all sessions
-   * @param {Function} callback - Called when reset is complete
+   * @param {Function|Object} [callback] - Called when reset is complete, or the options
+   * @param {AbortSignal} [callback.signal] - Stops ending the remaining sessions
+   * @returns {Promise} Resolves when all sessions are ended
    */
   reset(callback) {
-    const resetSessions = async () => {
-      for (const session of this.sessions) {
-        await new Promise(resolve => session.end(resolve));
-      }
-      if (callback) callback();
-    };
-    
-    resetSessions();
+    const options = typeof callback === 'function' ? {} : (callback || {});
+    const { signal } = options;
+
+    return abortable(signal, (resolve, reject) => {
+      const resetSessions = async () => {
+        for (const session of this.sessions) {
+          if (signal && signal.aborted) {
+            return;
+          }
+          await new Promise(done => session.end(done));
+        }
+        if (typeof callback === 'function') callback();
+        resolve();
+      };
+
+      resetSessions().catch(reject);
+      return null;
+    });
   }
 
   /**
@@ -282,6 +306,29 @@ class Manager extends EventEmitter {
       sessions: this.sessions.map(s => s.toJSON()),
     }, () => {});
   }
+
+  /**
+   * Restore the routes of the router from storage
+   */
+  restoreRoutes() {
+    this.storageHandler({
+      method: 'readRoutes',
+    }, (err, routes) => {
+      if (err || !routes) return;
+
+      this.router.setRoutes(routes);
+    });
+  }
+
+  /**
+   * Save the routes of the router to storage
+   */
+  saveRoutes() {
+    this.storageHandler({
+      method: 'writeRoutes',
+      routes: this.router.getRoutes(),
+    }, () => {});
+  }
 }
 
 // Create a singleton instance
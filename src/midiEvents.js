@@ -0,0 +1,185 @@
+/**
+ * midiEvents.js - Structured MIDI events.
+ *
+ * Converts between command data and event objects like
+ * { type: 'noteon', channel: 1, note: 60, velocity: 100 }. Channels are 1 to 16.
+ */
+
+const midiCommon = require('midi-common');
+const logger = require('./logger');
+
+/**
+ * Event types by midi-common command name, with the names of their data fields.
+ * Pitch bend and song position have a single 14-bit field.
+ */
+const TYPES = {
+  noteOff: { type: 'noteoff', fields: ['note', 'velocity'] },
+  noteOn: { type: 'noteon', fields: ['note', 'velocity'] },
+  polyphonicAftertouch: { type: 'polyaftertouch', fields: ['note', 'pressure'] },
+  controlChange: { type: 'cc', fields: ['controller', 'value'] },
+  programChange: { type: 'program', fields: ['program'] },
+  channelAftertouch: { type: 'channelaftertouch', fields: ['pressure'] },
+  pitchBend: { type: 'pitchbend', fields: ['value'] },
+  systemExclusive: { type: 'sysex', fields: [] },
+  quarterFrame: { type: 'mtc', fields: ['piece', 'value'] },
+  songPosition: { type: 'songposition', fields: ['position'] },
+  songSelect: { type: 'songselect', fields: ['song'] },
+  tuneRequest: { type: 'tunerequest', fields: [] },
+  clock: { type: 'clock', fields: [] },
+  start: { type: 'start', fields: [] },
+  continue: { type: 'continue', fields: [] },
+  stop: { type: 'stop', fields: [] },
+  activeSensing: { type: 'activesensing', fields: [] },
+  reset: { type: 'reset', fields: [] },
+};
+
+// Status byte and fields of each event type
+const STATUS_BY_TYPE = {};
+Object.keys(midiCommon.commands).forEach((status) => {
+  const { name } = midiCommon.commands[status];
+  if (TYPES[name]) {
+    STATUS_BY_TYPE[TYPES[name].type] = { status: Number(status), fields: TYPES[name].fields };
+  }
+});
+
+/**
+ * Check whether a status byte starts a channel message
+ * @param {number} status - Status byte
+ * @returns {boolean} True for channel voice messages
+ */
+function isChannelStatus(status) {
+  return status >= 0x80 && status < 0xf0;
+}
+
+/**
+ * Get the event type of command data
+ * @param {Buffer|number[]} data - Command data with status byte
+ * @returns {string|null} Event type like 'noteon', null if the command is not known
+ */
+function getType(data) {
+  const status = data[0];
+  // eslint-disable-next-line no-bitwise
+  const command = midiCommon.commands[isChannelStatus(status) ? status & 0xf0 : status];
+  return command && TYPES[command.name] ? TYPES[command.name].type : null;
+}
+
+/**
+ * Resolve an event type or a midi-common command name to the event type
+ * @param {string} name - Event type like 'cc' or command name like 'controlChange'
+ * @returns {string|null} Event type, null if the name is not known
+ */
+function normalizeType(name) {
+  if (STATUS_BY_TYPE[name]) {
+    return name;
+  }
+  return Object.prototype.hasOwnProperty.call(TYPES, name) ? TYPES[name].type : null;
+}
+
+/**
+ * Decode command data into an event
+ * @param {Buffer|number[]} data - Command data with status byte
+ * @returns {Object|null} The event, null if the command is not known or incomplete
+ */
+function decode(data) {
+  const status = data[0];
+  // eslint-disable-next-line no-bitwise
+  const command = midiCommon.commands[isChannelStatus(status) ? status & 0xf0 : status];
+  const info = command && TYPES[command.name];
+
+  if (!info || (command.dataLength !== undefined && data.length < command.dataLength + 1)) {
+    return null;
+  }
+
+  const event = { type: info.type };
+
+  if (isChannelStatus(status)) {
+    // eslint-disable-next-line no-bitwise
+    event.channel = (status & 0x0f) + 1;
+  }
+
+  switch (info.type) {
+    case 'sysex':
+      event.data = Buffer.from(data);
+      break;
+    case 'pitchbend':
+      // eslint-disable-next-line no-bitwise
+      event.value = data[1] | (data[2] << 7);
+      break;
+    case 'songposition':
+      // eslint-disable-next-line no-bitwise
+      event.position = data[1] | (data[2] << 7);
+      break;
+    case 'mtc':
+      // eslint-disable-next-line no-bitwise
+      event.piece = (data[1] >> 4) & 0x07;
+      // eslint-disable-next-line no-bitwise
+      event.value = data[1] & 0x0f;
+      break;
+    default:
+      info.fields.forEach((field, i) => {
+        event[field] = data[i + 1];
+      });
+  }
+
+  return event;
+}
+
+/**
+ * Encode an event into command data
+ * @param {Object} event - Event with type and the fields of that type
+ * @returns {Buffer|null} Command data, null if the event is not valid
+ */
+function encode(event) {
+  const entry = event && STATUS_BY_TYPE[event.type];
+
+  if (!entry) {
+    logger.warn('Ignoring unknown event type', event && event.type);
+    return null;
+  }
+
+  let { status } = entry;
+
+  if (isChannelStatus(status)) {
+    const channel = event.channel === undefined ? 1 : event.channel;
+    if (!Number.isInteger(channel) || channel < 1 || channel > 16) {
+      logger.warn(`Ignoring ${event.type} event with invalid channel ${channel}`);
+      return null;
+    }
+    // eslint-disable-next-line no-bitwise
+    status |= channel - 1;
+  }
+
+  switch (event.type) {
+    case 'sysex':
+      return Buffer.from(event.data);
+    case 'pitchbend':
+      // eslint-disable-next-line no-bitwise
+      return Buffer.from([status, event.value & 0x7f, (event.value >> 7) & 0x7f]);
+    case 'songposition':
+      // eslint-disable-next-line no-bitwise
+      return Buffer.from([status, event.position & 0x7f, (event.position >> 7) & 0x7f]);
+    case 'mtc':
+      // eslint-disable-next-line no-bitwise
+      return Buffer.from([status, ((event.piece & 0x07) << 4) | (event.value & 0x0f)]);
+    default:
+      // eslint-disable-next-line no-bitwise
+      return Buffer.from([status, ...entry.fields.map(field => (event[field] || 0) & 0x7f)]);
+  }
+}
+
+/**
+ * Check whether a value is an event object rather than command data
+ * @param {*} value - Value to check
+ * @returns {boolean} True for event objects
+ */
+function isEvent(value) {
+  return !!value && typeof value.type === 'string' && !Buffer.isBuffer(value) && !Array.isArray(value);
+}
+
+module.exports = {
+  decode,
+  encode,
+  getType,
+  isEvent,
+  normalizeType,
+};
@@ -0,0 +1,57 @@
+/**
+ * midiStreams.js - Node stream adapters for sessions and streams.
+ *
+ * Readable streams deliver received messages as objects, writable streams
+ * accept commands to send. Both work in object mode.
+ */
+
+const { Readable, Writable } = require('stream');
+
+/**
+ * Create a readable stream from a message iterator. Messages are buffered
+ * by the iterator until the consumer reads them.
+ * @param {MessageIterator} iterator - Source of the messages
+ * @param {Object} [options] - Readable options like highWaterMark
+ * @returns {Readable} Object mode readable stream, ended when the source closes
+ */
+function createReadStream(iterator, options = {}) {
+  const readable = Readable.from(iterator, { ...options, objectMode: true });
+
+  // Readable.from only calls return() once a read is pending
+  readable.once('close', () => iterator.return());
+  return readable;
+}
+
+/**
+ * Create a writable stream that sends commands.
+ * A chunk is either the command data (Buffer or array of bytes), sent now,
+ * or an object { data, comexTime } as emitted by the readable streams.
+ * A write completes once the command is sent, so commands stamped in the future
+ * hold back the writer until they are due and a slow peer slows it down.
+ * @param {Function} send - Called with (data, comexTime, callback), comexTime is undefined
+ * for now, callback is called with an error or nothing once the command is sent
+ * @param {Object} [options] - Writable options like highWaterMark
+ * @returns {Writable} Object mode writable stream
+ */
+function createWriteStream(send, options = {}) {
+  return new Writable({
+    ...options,
+    objectMode: true,
+    write(chunk, encoding, callback) {
+      const isCommand = Buffer.isBuffer(chunk) || Array.isArray(chunk);
+      const data = isCommand ? chunk : chunk && chunk.data;
+
+      if (!data || !data.length) {
+        callback(new TypeError('Expected command data or an object with data'));
+        return;
+      }
+
+      send(Buffer.from(data), isCommand ? undefined : chunk.comexTime, callback);
+    },
+  });
+}
+
+module.exports = {
+  createReadStream,
+  createWriteStream,
+};
@@ -0,0 +1,366 @@
+/**
+ * pcap.js - libpcap capture file encoding.
+ *
+ * Packets are represented as { time, source, destination, payload } with the
+ * time in seconds since the epoch, the endpoints as { address, port } and the
+ * UDP payload as a Buffer. Written captures use the raw IP link type with
+ * synthetic IPv4 or IPv6 and UDP headers, so Wireshark decodes them like a
+ * capture from the wire. Reading also accepts Ethernet and loopback captures.
+ */
+
+const net = require('net');
+const logger = require('./logger');
+
+const MAGIC_MICROSECONDS = 0xa1b2c3d4;
+const MAGIC_NANOSECONDS = 0xa1b23c4d;
+const MAGIC_PCAPNG = 0x0a0d0d0a;
+
+const LINKTYPE_NULL = 0;
+const LINKTYPE_ETHERNET = 1;
+const LINKTYPE_RAW = 101;
+const LINKTYPE_IPV4 = 228;
+const LINKTYPE_IPV6 = 229;
+
+const ETHERTYPE_IPV4 = 0x0800;
+const ETHERTYPE_IPV6 = 0x86dd;
+const ETHERTYPE_VLAN = 0x8100;
+
+const PROTOCOL_UDP = 17;
+const SNAPLEN = 65535;
+
+/**
+ * Create the global header of a capture file
+ * @returns {Buffer} Header for microsecond timestamps and raw IP packets
+ */
+function createFileHeader() {
+  const header = Buffer.alloc(24);
+  header.writeUInt32LE(MAGIC_MICROSECONDS, 0);
+  header.writeUInt16LE(2, 4);
+  header.writeUInt16LE(4, 6);
+  header.writeUInt32LE(SNAPLEN, 16);
+  header.writeUInt32LE(LINKTYPE_RAW, 20);
+  return header;
+}
+
+/**
+ * Compute the one's complement sum used by IP and UDP checksums
+ * @param {Buffer[]} buffers - Data to sum, each padded to an even length
+ * @returns {number} Checksum
+ */
+function checksum(buffers) {
+  let sum = 0;
+
+  buffers.forEach((buffer) => {
+    for (let i = 0; i < buffer.length; i += 2) {
+      // eslint-disable-next-line no-bitwise
+      sum += (buffer[i] << 8) | (i + 1 < buffer.length ? buffer[i + 1] : 0);
+    }
+  });
+  while (sum > 0xffff) {
+    // eslint-disable-next-line no-bitwise
+    sum = (sum & 0xffff) + (sum >>> 16);
+  }
+  // eslint-disable-next-line no-bitwise
+  return (~sum & 0xffff) || 0xffff;
+}
+
+/**
+ * Convert an address to bytes of the given IP version. IPv4 addresses are
+ * mapped into IPv6, anything that is not an IP address becomes unspecified.
+ * @param {string} address - IP address
+ * @param {number} ipVersion - 4 or 6
+ * @returns {Buffer} 4 or 16 bytes
+ */
+function addressToBytes(address, ipVersion) {
+  const bytes = Buffer.alloc(ipVersion === 6 ? 16 : 4);
+  let text = String(address).split('%')[0];
+
+  if (ipVersion === 6 && net.isIPv4(text)) {
+    text = `::ffff:${text}`;
+  } else if (ipVersion === 4 && /^::ffff:/i.test(text) && net.isIPv4(text.slice(7))) {
+    text = text.slice(7);
+  }
+
+  if (ipVersion === 4 && net.isIPv4(text)) {
+    text.split('.').forEach((part, i) => { bytes[i] = Number(part); });
+  } else if (ipVersion === 6 && net.isIPv6(text)) {
+    // Expand an embedded IPv4 address and the :: shorthand to eight groups
+    const dotted = text.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+    if (dotted) {
+      const parts = dotted[2].split('.').map(Number);
+      // eslint-disable-next-line no-bitwise
+      text = `${dotted[1]}${((parts[0] << 8) | parts[1]).toString(16)}:${((parts[2] << 8) | parts[3]).toString(16)}`;
+    }
+    const [head, tail] = text.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = tail === undefined
+      ? headGroups
+      : headGroups.concat(new Array(8 - headGroups.length - tailGroups.length).fill('0'), tailGroups);
+    groups.forEach((group, i) => bytes.writeUInt16BE(parseInt(group, 16), i * 2));
+  } else {
+    logger.debug(`Capturing ${address} as unspecified address`);
+  }
+  return bytes;
+}
+
+/**
+ * Convert address bytes to text
+ * @param {Buffer} bytes - 4 or 16 bytes
+ * @returns {string} IP address
+ */
+function bytesToAddress(bytes) {
+  if (bytes.length === 4) {
+    return Array.from(bytes).join('.');
+  }
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(bytes.readUInt16BE(i).toString(16));
+  }
+  // Compress the longest run of zero groups
+  const text = groups.join(':');
+  const runs = text.match(/(^|:)0(:0)+(:|$)/g);
+  if (!runs) {
+    return text;
+  }
+  const longest = runs.reduce((a, b) => (b.length > a.length ? b : a));
+  return text.replace(longest, '::');
+}
+
+/**
+ * Create an IP packet carrying a UDP datagram
+ * @param {Object} packet - Packet to encode
+ * @param {Object} packet.source - Source { address, port }
+ * @param {Object} packet.destination - Destination { address, port }
+ * @param {Buffer} packet.payload - UDP payload
+ * @param {number} [ipVersion] - 4 or 6, 4 by default
+ * @returns {Buffer} IP header, UDP header and payload
+ */
+function createDatagram({ source, destination, payload }, ipVersion = 4) {
+  const sourceAddress = addressToBytes(source.address, ipVersion);
+  const destinationAddress = addressToBytes(destination.address, ipVersion);
+  const udp = Buffer.alloc(8);
+  let ip;
+
+  udp.writeUInt16BE(source.port, 0);
+  udp.writeUInt16BE(destination.port, 2);
+  udp.writeUInt16BE(8 + payload.length, 4);
+
+  // Pseudo header for the UDP checksum
+  const pseudo = Buffer.alloc(ipVersion === 6 ? 8 : 4);
+  if (ipVersion === 6) {
+    pseudo.writeUInt32BE(8 + payload.length, 0);
+    pseudo[7] = PROTOCOL_UDP;
+  } else {
+    pseudo[1] = PROTOCOL_UDP;
+    pseudo.writeUInt16BE(8 + payload.length, 2);
+  }
+  udp.writeUInt16BE(checksum([sourceAddress, destinationAddress, pseudo, udp, payload]), 6);
+
+  if (ipVersion === 6) {
+    ip = Buffer.alloc(40);
+    ip[0] = 0x60;
+    ip.writeUInt16BE(8 + payload.length, 4);
+    ip[6] = PROTOCOL_UDP;
+    ip[7] = 64;
+    sourceAddress.copy(ip, 8);
+    destinationAddress.copy(ip, 24);
+  } else {
+    ip = Buffer.alloc(20);
+    ip[0] = 0x45;
+    ip.writeUInt16BE(28 + payload.length, 2);
+    ip[6] = 0x40;
+    ip[8] = 64;
+    ip[9] = PROTOCOL_UDP;
+    sourceAddress.copy(ip, 12);
+    destinationAddress.copy(ip, 16);
+    ip.writeUInt16BE(checksum([ip]), 10);
+  }
+
+  return Buffer.concat([ip, udp, payload]);
+}
+
+/**
+ * Create a capture record
+ * @param {Object} packet - Packet { time, source, destination, payload }
+ * @param {number} [ipVersion] - 4 or 6, 4 by default
+ * @returns {Buffer} Record header and packet data
+ */
+function createRecord(packet, ipVersion = 4) {
+  const data = createDatagram(packet, ipVersion);
+  const header = Buffer.alloc(16);
+  let seconds = Math.floor(packet.time);
+  let microseconds = Math.round((packet.time - seconds) * 1000000);
+
+  if (microseconds >= 1000000) {
+    seconds += 1;
+    microseconds -= 1000000;
+  }
+  // eslint-disable-next-line no-bitwise
+  header.writeUInt32LE(seconds >>> 0, 0);
+  header.writeUInt32LE(microseconds, 4);
+  header.writeUInt32LE(data.length, 8);
+  header.writeUInt32LE(data.length, 12);
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Decode a UDP datagram from an IP packet
+ * @param {Buffer} data - IP packet
+ * @returns {Object|null} { source, destination, payload }, null for other protocols and fragments
+ */
+function decodeDatagram(data) {
+  // eslint-disable-next-line no-bitwise
+  const version = data[0] >> 4;
+  let offset;
+  let addressLength;
+  let sourceOffset;
+
+  if (version === 4 && data.length >= 20) {
+    const fragment = data.readUInt16BE(6);
+    // eslint-disable-next-line no-bitwise
+    if (data[9] !== PROTOCOL_UDP || (fragment & 0x3fff) !== 0) {
+      return null;
+    }
+    // eslint-disable-next-line no-bitwise
+    offset = (data[0] & 0x0f) * 4;
+    addressLength = 4;
+    sourceOffset = 12;
+  } else if (version === 6 && data.length >= 40) {
+    // Extension headers are not followed
+    if (data[6] !== PROTOCOL_UDP) {
+      return null;
+    }
+    offset = 40;
+    addressLength = 16;
+    sourceOffset = 8;
+  } else {
+    return null;
+  }
+
+  if (data.length < offset + 8) {
+    return null;
+  }
+  const length = data.readUInt16BE(offset + 4);
+  const family = version === 6 ? 'IPv6' : 'IPv4';
+
+  return {
+    source: {
+      address: bytesToAddress(data.subarray(sourceOffset, sourceOffset + addressLength)),
+      port: data.readUInt16BE(offset),
+      family,
+    },
+    destination: {
+      address: bytesToAddress(data.subarray(sourceOffset + addressLength, sourceOffset + 2 * addressLength)),
+      port: data.readUInt16BE(offset + 2),
+      family,
+    },
+    payload: Buffer.from(data.subarray(offset + 8, Math.min(data.length, offset + length))),
+  };
+}
+
+/**
+ * Get the IP packet of a captured frame
+ * @param {Buffer} frame - Captured frame
+ * @param {number} linkType - Link type of the capture
+ * @param {boolean} littleEndian - Byte order of the capture
+ * @returns {Buffer|null} IP packet, null for other link layer protocols
+ */
+function getIpPacket(frame, linkType, littleEndian) {
+  switch (linkType) {
+    case LINKTYPE_RAW:
+    case LINKTYPE_IPV4:
+    case LINKTYPE_IPV6:
+      return frame;
+    case LINKTYPE_NULL: {
+      if (frame.length < 4) return null;
+      // The address family is in the byte order of the capturing host, IPv6 differs per OS
+      const family = littleEndian ? frame.readUInt32LE(0) : frame.readUInt32BE(0);
+      return family === 2 || family === 24 || family === 28 || family === 30 ? frame.subarray(4) : null;
+    }
+    case LINKTYPE_ETHERNET: {
+      let offset = 12;
+      while (offset + 2 <= frame.length && frame.readUInt16BE(offset) === ETHERTYPE_VLAN) {
+        offset += 4;
+      }
+      if (offset + 2 > frame.length) return null;
+      const etherType = frame.readUInt16BE(offset);
+      return etherType === ETHERTYPE_IPV4 || etherType === ETHERTYPE_IPV6 ? frame.subarray(offset + 2) : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Decode the UDP packets of a capture file
+ * @param {Buffer} buffer - File contents
+ * @returns {Object[]|null} Packets { time, source, destination, payload }, null if the
+ * file is not a supported capture
+ */
+function decodeFile(buffer) {
+  if (buffer.length < 24) {
+    logger.warn('Not a pcap capture');
+    return null;
+  }
+
+  const magic = buffer.readUInt32LE(0);
+  let littleEndian;
+  let nanoseconds;
+
+  if (magic === MAGIC_MICROSECONDS || magic === MAGIC_NANOSECONDS) {
+    littleEndian = true;
+    nanoseconds = magic === MAGIC_NANOSECONDS;
+  } else if (buffer.readUInt32BE(0) === MAGIC_MICROSECONDS || buffer.readUInt32BE(0) === MAGIC_NANOSECONDS) {
+    littleEndian = false;
+    nanoseconds = buffer.readUInt32BE(0) === MAGIC_NANOSECONDS;
+  } else if (magic === MAGIC_PCAPNG) {
+    logger.warn('pcapng captures are not supported, save the capture as pcap');
+    return null;
+  } else {
+    logger.warn('Not a pcap capture');
+    return null;
+  }
+
+  const read = offset => (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+  // eslint-disable-next-line no-bitwise
+  const linkType = read(20) & 0x0fffffff;
+  const packets = [];
+  let offset = 24;
+
+  if (![LINKTYPE_NULL, LINKTYPE_ETHERNET, LINKTYPE_RAW, LINKTYPE_IPV4, LINKTYPE_IPV6].includes(linkType)) {
+    logger.warn(`Unsupported capture link type ${linkType}`);
+    return null;
+  }
+
+  while (offset + 16 <= buffer.length) {
+    const seconds = read(offset);
+    const fraction = read(offset + 4);
+    const capturedLength = read(offset + 8);
+    const originalLength = read(offset + 12);
+    const frame = buffer.subarray(offset + 16, offset + 16 + capturedLength);
+
+    offset += 16 + capturedLength;
+    if (offset > buffer.length) {
+      logger.warn('Capture ends in the middle of a packet');
+      break;
+    }
+
+    // Packets cut off by the snapshot length would be parsed incompletely
+    const ip = capturedLength === originalLength ? getIpPacket(frame, linkType, littleEndian) : null;
+    const datagram = ip && decodeDatagram(ip);
+    if (datagram) {
+      packets.push({ time: seconds + fraction / (nanoseconds ? 1e9 : 1e6), ...datagram });
+    }
+  }
+
+  return packets;
+}
+
+module.exports = {
+  createFileHeader,
+  createDatagram,
+  createRecord,
+  decodeDatagram,
+  decodeFile,
+};
@@ -0,0 +1,274 @@
+/**
+ * smf.js - Standard MIDI File encoding.
+ *
+ * Files are represented as { format, ppq, tracks } where every track is a
+ * list of events { delta, data } with the delta time in ticks and the data
+ * as it appears in the track: channel and system messages, SysEx starting
+ * with F0 and meta events starting with FF.
+ */
+
+const logger = require('./logger');
+
+const META = 0xff;
+const META_TRACK_NAME = 0x03;
+const META_END_OF_TRACK = 0x2f;
+const META_TEMPO = 0x51;
+const META_TIME_SIGNATURE = 0x58;
+
+/**
+ * Encode a variable length quantity
+ * @param {number} value - Value up to 0x0fffffff
+ * @returns {Buffer} Encoded bytes
+ */
+function encodeVarLen(value) {
+  // eslint-disable-next-line no-bitwise
+  const bytes = [value & 0x7f];
+  // eslint-disable-next-line no-bitwise
+  let rest = value >>> 7;
+
+  while (rest > 0) {
+    // eslint-disable-next-line no-bitwise
+    bytes.unshift((rest & 0x7f) | 0x80);
+    // eslint-disable-next-line no-bitwise
+    rest >>>= 7;
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Create a meta event
+ * @param {number} type - Meta event type
+ * @param {Buffer|number[]} data - Event data
+ * @returns {Buffer} FF type length data
+ */
+function createMetaEvent(type, data) {
+  return Buffer.concat([Buffer.from([META, type]), encodeVarLen(data.length), Buffer.from(data)]);
+}
+
+/**
+ * Create a track name meta event
+ * @param {string} name - Track name
+ * @returns {Buffer} Meta event
+ */
+function createTrackName(name) {
+  return createMetaEvent(META_TRACK_NAME, Buffer.from(name));
+}
+
+/**
+ * Create a tempo meta event
+ * @param {number} bpm - Beats per minute
+ * @returns {Buffer} Meta event with the microseconds per quarter note
+ */
+function createTempo(bpm) {
+  const microseconds = Math.round(60000000 / bpm);
+  // eslint-disable-next-line no-bitwise
+  return createMetaEvent(META_TEMPO, [(microseconds >> 16) & 0xff, (microseconds >> 8) & 0xff, microseconds & 0xff]);
+}
+
+/**
+ * Create a time signature meta event
+ * @param {number} numerator - Beats per bar
+ * @param {number} denominator - Note value of a beat, a power of two
+ * @returns {Buffer} Meta event
+ */
+function createTimeSignature(numerator, denominator) {
+  return createMetaEvent(META_TIME_SIGNATURE, [numerator, Math.log2(denominator), 24, 8]);
+}
+
+/**
+ * Encode the data of a track event. SysEx gets its length after the F0,
+ * system common and real time messages are not valid track events and are
+ * written as F7 escapes.
+ * @param {Buffer} data - Event data
+ * @returns {Buffer} Data as written to the track
+ */
+function encodeEventData(data) {
+  if (data[0] === 0xf0) {
+    return Buffer.concat([Buffer.from([0xf0]), encodeVarLen(data.length - 1), data.subarray(1)]);
+  }
+  if (data[0] > 0xf0 && data[0] !== 0xf7 && data[0] !== META) {
+    return Buffer.concat([Buffer.from([0xf7]), encodeVarLen(data.length), data]);
+  }
+  return data;
+}
+
+/**
+ * Encode a track chunk, an end of track event is added
+ * @param {Object[]} events - Track events { delta, data }
+ * @returns {Buffer} MTrk chunk
+ */
+function encodeTrack(events) {
+  const body = [];
+
+  events.forEach(({ delta, data }) => {
+    body.push(encodeVarLen(delta), encodeEventData(Buffer.from(data)));
+  });
+  body.push(encodeVarLen(0), createMetaEvent(META_END_OF_TRACK, []));
+
+  const content = Buffer.concat(body);
+  const header = Buffer.alloc(8);
+  header.write('MTrk', 0, 'ascii');
+  header.writeUInt32BE(content.length, 4);
+  return Buffer.concat([header, content]);
+}
+
+/**
+ * Encode a Standard MIDI File
+ * @param {Object} file - File to encode
+ * @param {number} file.format - 0 for a single track, 1 for simultaneous tracks
+ * @param {number} file.ppq - Ticks per quarter note
+ * @param {Object[][]} file.tracks - Events { delta, data } of every track
+ * @returns {Buffer} File contents
+ */
+function encodeFile({ format, ppq, tracks }) {
+  const header = Buffer.alloc(14);
+  header.write('MThd', 0, 'ascii');
+  header.writeUInt32BE(6, 4);
+  header.writeUInt16BE(format, 8);
+  header.writeUInt16BE(tracks.length, 10);
+  header.writeUInt16BE(ppq, 12);
+
+  return Buffer.concat([header, ...tracks.map(encodeTrack)]);
+}
+
+/**
+ * Decode a variable length quantity
+ * @param {Buffer} buffer - Buffer to read
+ * @param {number} offset - Offset of the first byte
+ * @returns {Object} { value, length }
+ */
+function decodeVarLen(buffer, offset) {
+  let value = 0;
+  let length = 0;
+  let byte;
+
+  do {
+    byte = buffer[offset + length];
+    // eslint-disable-next-line no-bitwise
+    value = (value << 7) | (byte & 0x7f);
+    length += 1;
+  // eslint-disable-next-line no-bitwise
+  } while (byte & 0x80 && length < 4 && offset + length < buffer.length);
+
+  return { value, length };
+}
+
+/**
+ * Get the number of data bytes of a channel message
+ * @param {number} status - Status byte
+ * @returns {number} 1 for program change and channel pressure, 2 otherwise
+ */
+function getChannelDataLength(status) {
+  // eslint-disable-next-line no-bitwise
+  const type = status & 0xf0;
+  return type === 0xc0 || type === 0xd0 ? 1 : 2;
+}
+
+/**
+ * Decode the events of a track chunk
+ * @param {Buffer} buffer - Chunk content
+ * @returns {Object[]|null} Events { delta, data } with running status resolved and without
+ * the end of track event, null if malformed
+ */
+function decodeTrack(buffer) {
+  const events = [];
+  let offset = 0;
+  let runningStatus = null;
+
+  while (offset < buffer.length) {
+    const delta = decodeVarLen(buffer, offset);
+    const start = offset + delta.length;
+    let status = buffer[start];
+    let data;
+
+    offset = start + 1;
+
+    if (status === 0xff) {
+      const length = decodeVarLen(buffer, offset + 1);
+      offset += 1 + length.length + length.value;
+      data = buffer.subarray(start, offset);
+    } else if (status === 0xf0 || status === 0xf7) {
+      const length = decodeVarLen(buffer, offset);
+      const body = buffer.subarray(offset + length.length, offset + length.length + length.value);
+      offset += length.length + length.value;
+      // F7 escapes carry raw bytes
+      data = status === 0xf0 ? Buffer.concat([Buffer.from([0xf0]), body]) : Buffer.from(body);
+      runningStatus = null;
+    } else if (status >= 0xf0 || (status < 0x80 && runningStatus === null)) {
+      logger.warn(`Unexpected byte ${status} in track at ${start}`);
+      return null;
+    } else {
+      if (status < 0x80) {
+        status = runningStatus;
+        offset = start;
+      }
+      runningStatus = status;
+      data = Buffer.concat([Buffer.from([status]), buffer.subarray(offset, offset + getChannelDataLength(status))]);
+      offset += getChannelDataLength(status);
+    }
+
+    if (offset > buffer.length) {
+      logger.warn('Track ends in the middle of an event');
+      return null;
+    }
+    // The end of track event is added again by encodeTrack()
+    if (data[0] !== META || data[1] !== META_END_OF_TRACK) {
+      events.push({ delta: delta.value, data });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Decode a Standard MIDI File
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} { format, ppq, tracks } like encodeFile() takes, null if the
+ * file is malformed or uses SMPTE time division
+ */
+function decodeFile(buffer) {
+  if (buffer.length < 14 || buffer.toString('ascii', 0, 4) !== 'MThd') {
+    logger.warn('Not a Standard MIDI File');
+    return null;
+  }
+
+  const headerLength = buffer.readUInt32BE(4);
+  const format = buffer.readUInt16BE(8);
+  const division = buffer.readUInt16BE(12);
+  const tracks = [];
+  let offset = 8 + headerLength;
+
+  // eslint-disable-next-line no-bitwise
+  if (division & 0x8000) {
+    logger.warn('SMPTE time division is not supported');
+    return null;
+  }
+
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.toString('ascii', offset, offset + 4);
+    const length = buffer.readUInt32BE(offset + 4);
+
+    // Unknown chunks are skipped
+    if (type === 'MTrk') {
+      const track = decodeTrack(buffer.subarray(offset + 8, offset + 8 + length));
+      if (!track) {
+        return null;
+      }
+      tracks.push(track);
+    }
+    offset += 8 + length;
+  }
+
+  return { format, ppq: division, tracks };
+}
+
+module.exports = {
+  encodeVarLen,
+  decodeVarLen,
+  createMetaEvent,
+  createTrackName,
+  createTempo,
+  createTimeSignature,
+  encodeFile,
+  decodeFile,
+};
@@ -0,0 +1,115 @@
+/**
+ * sysex.js - Segmented SysEx helpers for RTP MIDI.
+ *
+ * RFC 6295 lets a SysEx command span several command section entries and
+ * packets: the first segment is F0 ... F0, middle segments F7 ... F0 and
+ * the last segment F7 ... F7. A segment ending in F4 cancels the command.
+ */
+
+const SYSEX_START = 0xf0;
+const SYSEX_END = 0xf7;
+const SYSEX_CANCEL = 0xf4;
+
+/**
+ * Check whether a command is part of a segmented SysEx
+ * @param {Buffer} data - Command data
+ * @returns {boolean} True for segments, false for complete SysEx and other commands
+ */
+function isSysexSegment(data) {
+  if (!data || data.length < 2 || (data[0] !== SYSEX_START && data[0] !== SYSEX_END)) {
+    return false;
+  }
+  return !(data[0] === SYSEX_START && data[data.length - 1] === SYSEX_END);
+}
+
+/**
+ * Split a complete SysEx command into segments
+ * @param {Buffer} data - SysEx command, F0 ... F7
+ * @param {number} maxLength - Maximum length of a segment including the framing bytes
+ * @returns {Buffer[]} Segments, the command itself if it fits
+ */
+function segmentSysex(data, maxLength) {
+  const chunkLength = Math.max(1, maxLength - 2);
+  const body = data.subarray(1, data.length - 1);
+  const segments = [];
+
+  if (data.length <= maxLength) {
+    return [data];
+  }
+
+  for (let offset = 0; offset < body.length; offset += chunkLength) {
+    const first = offset === 0;
+    const last = offset + chunkLength >= body.length;
+
+    segments.push(Buffer.concat([
+      Buffer.from([first ? SYSEX_START : SYSEX_END]),
+      body.subarray(offset, offset + chunkLength),
+      Buffer.from([last ? SYSEX_END : SYSEX_START]),
+    ]));
+  }
+
+  return segments;
+}
+
+/**
+ * SysexAssembler joins received SysEx segments into complete commands
+ */
+class SysexAssembler {
+  /**
+   * Create a new SysexAssembler
+   */
+  constructor() {
+    this.segments = null;
+  }
+
+  /**
+   * Check whether a SysEx is partially received
+   * @returns {boolean} True while waiting for more segments
+   */
+  isPending() {
+    return this.segments !== null;
+  }
+
+  /**
+   * Drop a partially received SysEx
+   */
+  reset() {
+    this.segments = null;
+  }
+
+  /**
+   * Add a segment
+   * @param {Buffer} data - SysEx segment
+   * @returns {Buffer|null} The complete SysEx once the last segment arrived
+   */
+  push(data) {
+    const first = data[0] === SYSEX_START;
+    const end = data[data.length - 1];
+
+    if (!first && !this.segments) {
+      return null;
+    }
+
+    if (first) {
+      this.segments = [data.subarray(0, data.length - 1)];
+    } else {
+      this.segments.push(data.subarray(1, data.length - 1));
+    }
+
+    if (end === SYSEX_CANCEL) {
+      this.segments = null;
+    } else if (end === SYSEX_END) {
+      const complete = Buffer.concat([...this.segments, Buffer.from([SYSEX_END])]);
+      this.segments = null;
+      return complete;
+    }
+
+    return null;
+  }
+}
+
+module.exports = {
+  isSysexSegment,
+  segmentSysex,
+  SysexAssembler,
+};
@@ -0,0 +1,174 @@
+/**
+ * timecode.js - SMPTE time code helpers for MIDI Time Code.
+ *
+ * Time codes are objects { hours, minutes, seconds, frames } at one of the
+ * four MTC frame rates. 29.97 fps is drop frame: frame numbers 0 and 1 are
+ * skipped at the start of every minute except every tenth.
+ */
+
+// Frame rates by their MTC rate code
+const FRAME_RATES = [
+  { code: 0, fps: 24, nominal: 24, dropFrame: false },
+  { code: 1, fps: 25, nominal: 25, dropFrame: false },
+  { code: 2, fps: 30000 / 1001, nominal: 30, dropFrame: true },
+  { code: 3, fps: 30, nominal: 30, dropFrame: false },
+];
+
+/**
+ * Get a frame rate
+ * @param {number|string} rate - 24, 25, 29.97 or '29.97df', or 30
+ * @returns {Object|null} { code, fps, nominal, dropFrame }, null for unsupported rates
+ */
+function getFrameRate(rate) {
+  const value = parseFloat(rate);
+  return FRAME_RATES.find(entry => Math.abs(entry.fps - value) < 0.01) || null;
+}
+
+/**
+ * Get a frame rate by its MTC rate code
+ * @param {number} code - Rate code 0 to 3
+ * @returns {Object} { code, fps, nominal, dropFrame }
+ */
+function getFrameRateByCode(code) {
+  // eslint-disable-next-line no-bitwise
+  return FRAME_RATES[code & 0x3];
+}
+
+/**
+ * Convert a time code to a frame count
+ * @param {Object} timecode - { hours, minutes, seconds, frames }
+ * @param {Object} frameRate - Frame rate from getFrameRate()
+ * @returns {number} Frames since 00:00:00:00
+ */
+function timecodeToFrames({
+  hours = 0, minutes = 0, seconds = 0, frames = 0,
+}, frameRate) {
+  const { nominal, dropFrame } = frameRate;
+  let count = (((hours * 60) + minutes) * 60 + seconds) * nominal + frames;
+
+  if (dropFrame) {
+    const totalMinutes = hours * 60 + minutes;
+    count -= 2 * (totalMinutes - Math.floor(totalMinutes / 10));
+  }
+  return count;
+}
+
+/**
+ * Convert a frame count to a time code
+ * @param {number} frameCount - Frames since 00:00:00:00
+ * @param {Object} frameRate - Frame rate from getFrameRate()
+ * @returns {Object} { hours, minutes, seconds, frames }
+ */
+function framesToTimecode(frameCount, frameRate) {
+  const { nominal, dropFrame } = frameRate;
+  const framesPerDay = timecodeToFrames({ hours: 24 }, frameRate);
+  let count = ((Math.floor(frameCount) % framesPerDay) + framesPerDay) % framesPerDay;
+
+  if (dropFrame) {
+    // Add the skipped frame numbers back in
+    const framesPer10Minutes = 10 * 60 * nominal - 9 * 2;
+    const framesPerMinute = 60 * nominal - 2;
+    const tens = Math.floor(count / framesPer10Minutes);
+    const rest = count % framesPer10Minutes;
+
+    count += 18 * tens;
+    if (rest >= 2) {
+      count += 2 * Math.floor((rest - 2) / framesPerMinute);
+    }
+  }
+
+  return {
+    hours: Math.floor(count / (3600 * nominal)),
+    minutes: Math.floor(count / (60 * nominal)) % 60,
+    seconds: Math.floor(count / nominal) % 60,
+    frames: count % nominal,
+  };
+}
+
+/**
+ * Parse a time code string
+ * @param {string} value - 'HH:MM:SS:FF', the last separator may be ';' or '.'
+ * @returns {Object|null} { hours, minutes, seconds, frames }, null if malformed
+ */
+function parseTimecode(value) {
+  const match = /^(\d{1,2}):(\d{1,2}):(\d{1,2})[:;.](\d{1,2})$/.exec(value);
+
+  if (!match) {
+    return null;
+  }
+  const [hours, minutes, seconds, frames] = match.slice(1).map(Number);
+  return {
+    hours, minutes, seconds, frames,
+  };
+}
+
+/**
+ * Format a time code
+ * @param {Object} timecode - { hours, minutes, seconds, frames }
+ * @returns {string} 'HH:MM:SS:FF'
+ */
+function formatTimecode({
+  hours, minutes, seconds, frames,
+}) {
+  return [hours, minutes, seconds, frames].map(value => String(value).padStart(2, '0')).join(':');
+}
+
+/**
+ * Build a quarter frame message
+ * @param {Object} timecode - Time code carried by the eight pieces
+ * @param {Object} frameRate - Frame rate from getFrameRate()
+ * @param {number} piece - Piece 0 to 7
+ * @returns {Buffer} F1 message
+ */
+function createQuarterFrame(timecode, frameRate, piece) {
+  const values = [
+    // eslint-disable-next-line no-bitwise
+    timecode.frames & 0x0f,
+    // eslint-disable-next-line no-bitwise
+    timecode.frames >> 4,
+    // eslint-disable-next-line no-bitwise
+    timecode.seconds & 0x0f,
+    // eslint-disable-next-line no-bitwise
+    timecode.seconds >> 4,
+    // eslint-disable-next-line no-bitwise
+    timecode.minutes & 0x0f,
+    // eslint-disable-next-line no-bitwise
+    timecode.minutes >> 4,
+    // eslint-disable-next-line no-bitwise
+    timecode.hours & 0x0f,
+    // eslint-disable-next-line no-bitwise
+    ((timecode.hours >> 4) & 0x01) | (frameRate.code << 1),
+  ];
+  // eslint-disable-next-line no-bitwise
+  return Buffer.from([0xf1, (piece << 4) | values[piece]]);
+}
+
+/**
+ * Build a full frame message
+ * @param {Object} timecode - Time code
+ * @param {Object} frameRate - Frame rate from getFrameRate()
+ * @returns {Buffer} Universal real time SysEx F0 7F 7F 01 01 hr mn sc fr F7
+ */
+function createFullFrame(timecode, frameRate) {
+  return Buffer.from([
+    0xf0, 0x7f, 0x7f, 0x01, 0x01,
+    // eslint-disable-next-line no-bitwise
+    (frameRate.code << 5) | timecode.hours,
+    timecode.minutes,
+    timecode.seconds,
+    timecode.frames,
+    0xf7,
+  ]);
+}
+
+module.exports = {
+  FRAME_RATES,
+  getFrameRate,
+  getFrameRateByCode,
+  framesToTimecode,
+  timecodeToFrames,
+  parseTimecode,
+  formatTimecode,
+  createQuarterFrame,
+  createFullFrame,
+};
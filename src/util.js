@@ -0,0 +1,83 @@
+/**
+ * util.js - Shared helpers.
+ */
+
+/**
+ * Get the reason of an aborted signal. Before Node 16.14 signals have no
+ * reason, an AbortError is created instead.
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {*} Abort reason
+ */
+function getAbortReason(signal) {
+  return signal.reason || Object.assign(new Error('The operation was aborted'), {
+    name: 'AbortError',
+    code: 'ABORT_ERR',
+  });
+}
+
+/**
+ * Create a promise that can be cancelled with an AbortSignal.
+ * The promise is marked as handled, so callers that ignore it do not
+ * cause unhandled rejections.
+ * @param {AbortSignal} [signal] - Signal that rejects the promise with its reason
+ * @param {Function} executor - Called with (resolve, reject), may return a
+ *                              function that undoes the operation on abort
+ * @returns {Promise} The promise
+ */
+function abortable(signal, executor) {
+  const promise = new Promise((resolve, reject) => {
+    let settled = false;
+    let cancel = null;
+
+    const onAbort = () => {
+      if (!settled) {
+        settled = true;
+        if (cancel) cancel();
+        reject(getAbortReason(signal));
+      }
+    };
+    const settle = callback => (value) => {
+      if (!settled) {
+        settled = true;
+        if (signal) signal.removeEventListener('abort', onAbort);
+        callback(value);
+      }
+    };
+
+    if (signal && signal.aborted) {
+      reject(getAbortReason(signal));
+      return;
+    }
+
+    cancel = executor(settle(resolve), settle(reject));
+
+    if (signal && !settled) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+
+  promise.catch(() => {});
+  return promise;
+}
+
+/**
+ * Listen to the messages of a session or stream with their session timestamps
+ * @param {Object} sessionOrStream - Session or stream to listen to
+ * @param {Function} listener - Called with (message, time), the time in session ticks
+ * @returns {Session} The session of the source
+ */
+function listenToMessages(sessionOrStream, listener) {
+  const { session } = sessionOrStream;
+
+  sessionOrStream.on('message', (deltaTime, message, comexTime) => {
+    // Streams emit the time relative to their session as first argument
+    listener(message, session ? deltaTime + session.startTime : comexTime);
+  });
+  return session || sessionOrStream;
+}
+
+module.exports = {
+  abortable,
+  getAbortReason,
+  listenToMessages,
+};
@@ -1,3 +1,1562 @@
 /**
  * Created by jack-russel on 22.03.14.
  */
+
+const assert = require('assert');
+const mdns = require('./src/mdns');
+const AccessControl = require('./src/AccessControl');
+const Clock = require('./src/Clock');
+const ControlMessage = require('./src/ControlMessage');
+const ControllerAggregator = require('./src/ControllerAggregator');
+const JournalReceiver = require('./src/JournalReceiver');
+const MidiMessage = require('./src/MidiMessage');
+const pcap = require('./src/pcap');
+const Player = require('./src/Player');
+const Recorder = require('./src/Recorder');
+const MTC = require('./src/MTC');
+const MTCGenerator = require('./src/MTCGenerator');
+const PlayoutBuffer = require('./src/PlayoutBuffer');
+const midiEvents = require('./src/midiEvents');
+const Router = require('./src/Router');
+const Session = require('./src/Session');
+const Stream = require('./src/Stream');
+const SyncStatistics = require('./src/SyncStatistics');
+const smf = require('./src/smf');
+const { segmentSysex } = require('./src/sysex');
+const timecode = require('./src/timecode');
+
+const DAY = 24n * 60n * 60n;
+const JOURNAL_SPACE = 256;
+const tests = [];
+
+/**
+ * Register a test
+ * @param {string} name - Test name
+ * @param {Function} fn - Test body, throws on failure
+ */
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+/**
+ * Create a session stand-in with a clock that can be moved by hand
+ * @param {bigint} start - Initial clock value in ticks
+ * @returns {Object} Session stand-in recording the sent messages
+ */
+function createClock(start) {
+  return {
+    rate: 10000,
+    ssrc: 1,
+    journalling: false,
+    playoutLatency: 0,
+    ticks: start,
+    sent: [],
+    getCommandSectionBudget() {
+      return 1000;
+    },
+    getJournalBudget(length) {
+      return 1472 - length;
+    },
+    now64() {
+      return this.ticks;
+    },
+    now() {
+      return Number(this.ticks);
+    },
+    sendUdpMessage(rinfo, message) {
+      this.sent.push(message);
+    },
+  };
+}
+
+/**
+ * Run a full CK0/CK1/CK2 exchange between two streams. The responder answers
+ * CK2 with a CK0 of its own, which is left unsent.
+ * @param {Stream} initiator - Stream sending CK0
+ * @param {Stream} responder - Stream answering with CK1
+ * @param {bigint} delay - One way network delay in ticks
+ */
+function synchronize(initiator, responder, delay) {
+  const remote = (message) => new ControlMessage().parseBuffer(message.generateBuffer().buffer);
+
+  initiator.sendSynchronization();
+  initiator.session.ticks += delay;
+  responder.session.ticks += delay;
+  responder.handleSynchronization(remote(initiator.session.sent.pop()));
+  initiator.session.ticks += delay;
+  responder.session.ticks += delay;
+  initiator.handleSynchronization(remote(responder.session.sent.pop()));
+  initiator.session.ticks += delay;
+  responder.session.ticks += delay;
+  responder.handleSynchronization(remote(initiator.session.sent.pop()));
+  responder.session.sent.pop();
+}
+
+test('outgoing packets journal the state since the checkpoint acknowledged by receiver feedback', () => {
+  const sender = new Stream(createClock(0n));
+  const { session } = sender;
+  const send = (...commands) => {
+    sender.sendMessage({ timestamp: 0, commands: commands.map(data => ({ deltaTime: 0, data: Buffer.from(data) })) });
+    return new MidiMessage().parseBuffer(session.sent.pop().generateBuffer().buffer);
+  };
+  session.journalling = true;
+  Object.assign(sender, { latency: 0, timeDifference: 0n, rinfo2: { address: '10.0.0.2', port: 5005 } });
+
+  const first = send([0xc0, 5], [0xb0, 7, 100]);
+  const second = send([0x90, 60, 100]);
+  const third = send([0xe0, 0, 64]);
+
+  assert.strictEqual(third.journal.checkPointPacketSequenceNumber, first.sequenceNumber);
+  assert.deepStrictEqual(third.journal.channelJournals[0].chapters, {
+    P: {
+      s: false, program: 5, b: false, bankMsb: 0, x: false, bankLsb: 0,
+    },
+    C: { s: false, controllers: [{ s: false, number: 7, a: false, value: 100 }] },
+    N: { b: true, notes: [{ s: true, note: 60, y: true, velocity: 100 }], offNotes: [] },
+  });
+
+  // The receiver has seen the second packet, only the pitch bend remains
+  sender.handleReceiverFeedback({ ssrc: 2, sequenceNumber: second.sequenceNumber });
+  const fourth = send([0xf8]);
+  assert.strictEqual(fourth.journal.checkPointPacketSequenceNumber, third.sequenceNumber);
+  assert.deepStrictEqual(fourth.journal.channelJournals[0].chapters, {
+    W: {
+      s: true, first: 0, r: false, second: 64,
+    },
+  });
+});
+
+test('received journals repair the state after packet loss', () => {
+  const sender = new Stream(createClock(0n));
+  const receiver = new Stream(createClock(0n));
+  const received = [];
+  const send = (...commands) => {
+    sender.sendMessage({ timestamp: 0, commands: commands.map(data => ({ deltaTime: 0, data: Buffer.from(data) })) });
+    return new MidiMessage().parseBuffer(sender.session.sent.pop().generateBuffer().buffer);
+  };
+  sender.session.journalling = true;
+  Object.assign(sender, { latency: 0, timeDifference: 0n, rinfo2: { address: '10.0.0.2', port: 5005 } });
+  receiver.on('message', (time, data, recovered) => received.push([Array.from(data), recovered]));
+
+  receiver.handleMidiMessage(send([0x90, 60, 100], [0xb0, 7, 100]));
+  send([0x80, 60, 0], [0xb0, 7, 50], [0xc0, 3]);
+  receiver.handleMidiMessage(send([0x90, 62, 90]));
+  clearTimeout(receiver.receiverFeedbackTimeout);
+
+  assert.deepStrictEqual(received, [
+    [[0x90, 60, 100], false], [[0xb0, 7, 100], false],
+    [[0x80, 60, 0], true], [[0xb0, 7, 50], true], [[0xc0, 3], true],
+    [[0x90, 62, 90], false],
+  ]);
+  assert.strictEqual(receiver.lostSequenceNumbers.length, 1);
+});
+
+test('all journal chapters round trip and are recovered', () => {
+  const systemChapters = {
+    D: {
+      s: false, reset: 2, tuneRequest: 1, songSelect: 9, j: Buffer.from([0x00, 0x03, 0xf4]), z: Buffer.from([0x02, 0xf9]),
+    },
+    V: { s: false, count: 3 },
+    Q: {
+      s: true, n: true, d: false, clock: 0x12345, timeTools: 0xabcdef,
+    },
+    F: {
+      s: false, q: true, d: false, point: 3, complete: 0x01020304, partial: 0x05060708,
+    },
+    X: {
+      s: false, l: false, sta: 1, tcount: 4, count: 2, first: 300, data: Buffer.from([0x7e, 0x01]),
+    },
+  };
+  const channelChapters = {
+    P: {
+      s: true, program: 5, b: true, bankMsb: 1, x: false, bankLsb: 2,
+    },
+    C: { s: false, controllers: [{ s: false, number: 7, a: false, value: 100 }] },
+    M: {
+      s: false,
+      pending: null,
+      e: false,
+      u: false,
+      w: false,
+      z: false,
+      parameters: [{
+        s: false, nrpn: false, number: 0, t: false, v: false, r: false, entryMsb: 2, entryLsb: 0,
+      }],
+    },
+    W: {
+      s: false, first: 0, r: false, second: 64,
+    },
+    N: { b: true, notes: [{ s: true, note: 60, y: true, velocity: 100 }], offNotes: [62, 64] },
+    E: { s: false, notes: [{ s: false, note: 60, v: false, value: 1 }] },
+    T: { s: false, pressure: 30 },
+    A: { s: false, notes: [{ s: false, note: 60, x: false, pressure: 20 }] },
+  };
+  const message = new MidiMessage().mixin({
+    sequenceNumber: 7,
+    timestamp: 0,
+    ssrc: 9,
+    commands: [],
+    hasJournal: true,
+    journal: {
+      singlePacketLoss: true,
+      enhancedEncoding: false,
+      checkPointPacketSequenceNumber: 3,
+      systemJournal: { s: true, chapters: systemChapters },
+      channelJournals: [{
+        channel: 2, s: true, h: false, chapters: channelChapters,
+      }],
+    },
+  });
+  const { journal } = new MidiMessage().parseBuffer(message.generateBuffer().buffer);
+  const receiver = new JournalReceiver();
+
+  assert.strictEqual(journal.checkPointPacketSequenceNumber, 3);
+  assert.deepStrictEqual(journal.systemJournal.chapters, systemChapters);
+  assert.deepStrictEqual(journal.channelJournals[0].chapters, channelChapters);
+
+  receiver.record(Buffer.from([0x92, 62, 90]));
+  assert.deepStrictEqual(receiver.recover(journal).map(data => Array.from(data)), [
+    [0x82, 62, 0],
+    [0xb2, 7, 100],
+    [0xb2, 101, 0], [0xb2, 100, 0], [0xb2, 6, 2], [0xb2, 38, 0], [0xb2, 101, 127], [0xb2, 100, 127],
+    [0xb2, 0, 1], [0xb2, 32, 2], [0xc2, 5],
+    [0xe2, 0, 64],
+    [0xd2, 30],
+    [0xa2, 60, 20],
+    [0x92, 60, 100],
+  ]);
+  assert.deepStrictEqual(receiver.recover(journal), []);
+
+  // The NRPN selected before the repair is selected again
+  const selected = new JournalReceiver();
+  selected.record(Buffer.from([0xb2, 99, 1]));
+  selected.record(Buffer.from([0xb2, 98, 2]));
+  assert.deepStrictEqual(selected.recover({
+    channelJournals: [{ channel: 2, chapters: { M: channelChapters.M } }],
+  }).map(data => Array.from(data)), [
+    [0xb2, 101, 0], [0xb2, 100, 0], [0xb2, 6, 2], [0xb2, 38, 0], [0xb2, 99, 1], [0xb2, 98, 2],
+  ]);
+  selected.record(Buffer.from([0xb2, 6, 9]));
+  assert.deepStrictEqual(selected.getChannel(2).parameters.get('r0'), { entryMsb: 2, entryLsb: 0 });
+  assert.deepStrictEqual(selected.getChannel(2).parameters.get('n130'), { entryMsb: 9 });
+});
+
+test('journals are capped to the room the MTU leaves without receiver feedback', () => {
+  const session = new Session(5004, 'local', 'local');
+  const stream = new Stream(session);
+  const sent = [];
+  session.sendUdpMessage = (rinfo, message) => sent.push(message.generateBuffer().buffer);
+  Object.assign(stream, { latency: 0, timeDifference: 0n, rinfo2: { address: '10.0.0.2', port: 5005 } });
+
+  // Steady traffic on all channels and 120 controllers, never acknowledged
+  for (let packet = 0; packet < 40; packet += 1) {
+    const commands = [];
+    for (let i = 0; i < 100; i += 1) {
+      const n = packet * 100 + i;
+      commands.push({ deltaTime: 0, data: Buffer.from([0xb0 | (n % 16), (n >> 4) % 120, packet]) });
+    }
+    stream.sendMessage({ timestamp: 0, commands });
+  }
+
+  sent.forEach((buffer, i) => {
+    assert.ok(buffer.length + 28 <= session.mtu);
+    const { journal } = new MidiMessage().parseBuffer(buffer);
+    assert.strictEqual(journal.channelJournals.length > 0, i > 0);
+  });
+  assert.ok(Math.max(...sent.map(buffer => buffer.length)) > session.mtu - 28 - 256);
+});
+
+test('truncated recovery journals are rejected without throwing', () => {
+  const message = new MidiMessage().mixin({ sequenceNumber: 5, timestamp: 1, ssrc: 9 });
+  message.commands = [{ deltaTime: 0, data: Buffer.from([0x90, 60, 100]) }];
+  message.hasJournal = true;
+  message.journal = {
+    singlePacketLoss: true,
+    enhancedEncoding: false,
+    checkPointPacketSequenceNumber: 4,
+    systemJournal: {
+      s: true,
+      chapters: {
+        Q: {
+          s: true, n: true, d: false, clock: 1234, timeTools: 99,
+        },
+        F: {
+          s: false, q: false, d: false, point: 0, complete: 0x01020304, partial: 0x05060708,
+        },
+      },
+    },
+    channelJournals: [{
+      channel: 0,
+      s: true,
+      h: false,
+      chapters: {
+        C: { s: true, controllers: [{ s: true, number: 7, a: false, value: 100 }] },
+        N: { b: true, notes: [{ s: true, note: 60, y: true, velocity: 100 }], offNotes: [] },
+      },
+    }],
+  };
+  const buffer = message.generateBuffer().buffer;
+  const session = new Session(5004, 'local', 'local');
+
+  assert.strictEqual(new MidiMessage().parseBuffer(buffer).journal.systemJournal.chapters.F.partial, 0x05060708);
+  for (let length = 17; length < buffer.length; length += 1) {
+    const truncated = new MidiMessage().parseBuffer(buffer.subarray(0, length));
+    assert.strictEqual(truncated.isValid, false);
+    assert.strictEqual(truncated.journal, null);
+    assert.deepStrictEqual(truncated.commands.map(command => command.data), [Buffer.from([0x90, 60, 100])]);
+  }
+  session.handleMessage(buffer.subarray(0, 23), { address: '10.0.0.2', port: 5005 });
+});
+
+test('delta times round trip at the 7 bit group boundaries', () => {
+  const deltaTimes = [127, 128, 16383, 16384, 20000, 32638, 2097151, 2097152];
+  const message = new MidiMessage().mixin({ sequenceNumber: 1, timestamp: 0, ssrc: 9 });
+  message.commands = [{ deltaTime: 0, data: Buffer.from([0xf8]) }]
+    .concat(deltaTimes.map(deltaTime => ({ deltaTime, data: Buffer.from([0xf8]) })));
+
+  const parsed = new MidiMessage().parseBuffer(message.generateBuffer().buffer);
+  assert.deepStrictEqual(parsed.commands.map(command => command.deltaTime), [0].concat(deltaTimes));
+  assert.deepStrictEqual(deltaTimes.map(MidiMessage.getDeltaTimeLength), [1, 2, 2, 3, 3, 3, 3, 4]);
+});
+
+test('future messages are held back until they are within the lookahead', () => {
+  const session = new Session(5004, 'local', 'local');
+  const sent = [];
+  let now = 10000;
+  session.now = () => now;
+  session.lookahead = 100;
+  session.queueFlush = () => {};
+  session.streams.push({ isConnected: true, sendMessage: message => sent.push(message) });
+  const packets = () => sent.splice(0).map(({ timestamp, commands }) => [
+    timestamp, commands.map(({ deltaTime, data }) => [deltaTime, data[1]]),
+  ]);
+
+  session.sendMessage(session.startTime + 9900, [0x90, 1, 100]);
+  session.sendMessage(session.startTime + 10500, [0x90, 2, 100]);
+  session.sendMessage(session.startTime + 15000, [0x90, 3, 100]);
+  session.flushQueue();
+
+  // Late messages go out right away, 500 ticks ahead is within the 1000 tick lookahead
+  assert.deepStrictEqual(packets(), [[10000, [[0, 1], [500, 2]]]]);
+  assert.strictEqual(session.scheduled.length, 1);
+  assert.ok(session.scheduler.timeout);
+
+  now = 13999;
+  session.flushQueue();
+  assert.deepStrictEqual(packets(), []);
+
+  now = 14000;
+  session.flushQueue();
+  assert.deepStrictEqual(packets(), [[14000, [[1000, 3]]]]);
+  assert.strictEqual(session.scheduler.timeout, null);
+});
+
+test('playout buffers reorder commands and drop late ones', () => {
+  const clock = { rate: 10000, ticks: 1000, now() { return this.ticks; } };
+  const buffer = new PlayoutBuffer(clock);
+  const delivered = [];
+  const dropped = [];
+  buffer.maxLateness = 5;
+  buffer.on('message', (time, data, recovered) => delivered.push([time, data[1], recovered]));
+  buffer.on('dropped', (time, data) => dropped.push([time, data[1]]));
+
+  buffer.push(1300, Buffer.from([0x90, 3, 100]), false);
+  buffer.push(1100, Buffer.from([0x90, 1, 100]), true);
+  buffer.push(1200, Buffer.from([0x90, 2, 100]), false);
+  buffer.push(980, Buffer.from([0x90, 4, 100]), false);
+  buffer.push(900, Buffer.from([0x90, 5, 100]), false);
+  assert.deepStrictEqual(delivered, [[980, 4, false]]);
+  assert.deepStrictEqual(dropped, [[900, 5]]);
+
+  clock.ticks = 1200;
+  buffer.release();
+  assert.deepStrictEqual(delivered.slice(1), [[1100, 1, true], [1200, 2, false]]);
+
+  buffer.flush();
+  assert.strictEqual(buffer.timeout, null);
+  assert.deepStrictEqual(delivered.slice(3), [[1300, 3, false]]);
+  assert.deepStrictEqual(buffer.getStats(), {
+    received: 5, delivered: 4, late: 2, dropped: 1, maxDepth: 3, maxLateness: 10, depth: 0,
+  });
+});
+
+test('session clock keeps counting past 32 bits', () => {
+  const session = { rate: 10000, startTimeHr: process.hrtime.bigint() - 5n * DAY * 1000000000n };
+  const ticks = Session.prototype.now64.call(session);
+
+  assert.ok(ticks >= 5n * DAY * 10000n);
+  assert.ok(ticks > 0xffffffffn);
+  assert.ok(Session.prototype.now.call({ ...session, now64: () => ticks }) > 0xffffffff);
+});
+
+test('sync exchange survives multi-day uptimes', () => {
+  const a = new Stream(createClock(6n * DAY * 10000n));
+  const b = new Stream(createClock(17n * DAY * 10000n + 1234n));
+  const offset = a.session.ticks - b.session.ticks;
+
+  synchronize(a, b, 25n);
+
+  assert.strictEqual(a.latency, 50);
+  assert.strictEqual(a.timeDifference, offset - 25n);
+});
+
+test('responders synchronize from CK2 and buffer received commands', () => {
+  const a = new Stream(createClock(5000n));
+  const b = new Stream(createClock(1000n));
+  const events = [];
+  b.on('syncUpdated', event => events.push(event));
+
+  synchronize(a, b, 25n);
+
+  assert.strictEqual(b.latency, 50);
+  assert.strictEqual(b.timeDifference, -4000n - 25n);
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(events[0].stats.samples, 1);
+
+  b.session.playoutLatency = 10;
+  Object.assign(a, { rinfo2: { address: '10.0.0.2', port: 5005 } });
+  a.sendMessage({ timestamp: a.session.now(), commands: [{ deltaTime: 0, data: Buffer.from([0x90, 60, 100]) }] });
+  b.handleMidiMessage(new MidiMessage().parseBuffer(a.session.sent.pop().generateBuffer().buffer));
+  clearTimeout(b.receiverFeedbackTimeout);
+  assert.strictEqual(b.playoutBuffer.getStats().depth, 1);
+  b.playoutBuffer.flush();
+});
+
+test('sync timestamps keep their high 32 bits', () => {
+  const a = new Stream(createClock(0x123456789an));
+  a.sendSynchronization();
+
+  const message = a.session.sent.pop();
+  assert.strictEqual(message.timestamp1.readBigUInt64BE(0), 0x123456789an);
+});
+
+test('RTP timestamps wrap to 32 bits and are unwrapped on receipt', () => {
+  const start = 0xffffff00n;
+  const a = new Stream(createClock(start));
+  const b = new Stream(createClock(start + 3n * DAY * 10000n));
+  const offset = a.session.ticks - b.session.ticks;
+  synchronize(a, b, 10n);
+  synchronize(b, a, 10n);
+
+  const received = [];
+  a.on('message', time => received.push(time));
+
+  b.sendMessage({ timestamp: b.session.now(), commands: [{ deltaTime: 0, data: Buffer.from([0x90, 60, 100]) }] });
+  const packet = b.session.sent.pop();
+  assert.strictEqual(BigInt(packet.timestamp), BigInt.asUintN(32, b.session.ticks));
+
+  b.session.ticks += 20n;
+  a.session.ticks += 20n;
+  a.handleMidiMessage(new MidiMessage().parseBuffer(packet.generateBuffer().buffer));
+  clearTimeout(a.receiverFeedbackTimeout);
+
+  // The sender clock was past the 32-bit boundary, the receiver clock was not
+  assert.deepStrictEqual(received, [Number(b.session.ticks - 20n + offset - 10n) - 20]);
+});
+
+test('sync statistics estimate drift and reject slow exchanges', () => {
+  const statistics = new SyncStatistics(10000);
+
+  // Remote clock runs 50 ppm fast, one sample every 10 seconds
+  for (let i = 0n; i < 10n; i += 1n) {
+    assert.strictEqual(statistics.add(i * 100000n, 20, 1000n - i * 5n), true);
+  }
+  assert.strictEqual(statistics.add(1000000n, 400, 0n), false);
+
+  const stats = statistics.getStats();
+  assert.strictEqual(stats.samples, 10);
+  assert.strictEqual(stats.outliers, 1);
+  assert.strictEqual(stats.rtt, 2);
+  assert.strictEqual(stats.jitter, 0);
+  assert.ok(Math.abs(stats.drift - 50) < 1e-6);
+});
+
+test('streams report sync results', () => {
+  const a = new Stream(createClock(0n));
+  const b = new Stream(createClock(1000n));
+  const events = [];
+  a.on('syncUpdated', event => events.push(event));
+
+  synchronize(a, b, 10n);
+  a.session.ticks += 100000n;
+  b.session.ticks += 100000n;
+  synchronize(a, b, 12n);
+
+  assert.strictEqual(events.length, 2);
+  assert.strictEqual(events[1].stream, a);
+  assert.strictEqual(events[1].stats.samples, 2);
+  assert.strictEqual(events[1].stats.rtt, 2.4);
+  a.rinfo1 = { address: '127.0.0.1', port: 5004 };
+  assert.deepStrictEqual(a.toJSON().sync, events[1].stats);
+});
+
+test('silent peers are disconnected after the stream timeout', async () => {
+  const session = createClock(0n);
+  const stream = new Stream(session);
+  const events = [];
+  session.streamTimeout = 20;
+  stream.on('disconnected', event => events.push(event));
+
+  stream.handleInvitation({ token: 1, name: 'peer', ssrc: 2 }, { address: '127.0.0.1', port: 5004 });
+  stream.handleInvitation({ token: 1, name: 'peer', ssrc: 2 }, { address: '127.0.0.1', port: 5005 });
+  assert.strictEqual(stream.isConnected, true);
+
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.strictEqual(stream.isConnected, false);
+  assert.deepStrictEqual(events, [{ stream, reason: 'timeout', reconnecting: false }]);
+  assert.strictEqual(stream.livenessTimeout, null);
+});
+
+test('initiated streams reconnect with backoff', async () => {
+  const session = createClock(0n);
+  const stream = new Stream(session);
+  const reconnecting = [];
+  const reconnected = [];
+  const remote = { address: '127.0.0.1', port: 5004 };
+  const accept = (port) => stream.handleControlMessage(
+    { command: 'invitation_accepted', name: 'peer', ssrc: 2 },
+    { address: '127.0.0.1', port },
+  );
+  session.streamTimeout = 20;
+  stream.on('reconnecting', event => reconnecting.push(event));
+  stream.on('reconnected', event => reconnected.push(event));
+
+  stream.connect(remote, { reconnect: true, reconnectDelay: 10, maxReconnectDelay: 40 });
+  clearInterval(stream.connectionInterval);
+  accept(5004);
+  accept(5005);
+  const { token } = stream;
+
+  await new Promise(resolve => setTimeout(resolve, 120));
+  assert.strictEqual(stream.isConnected, false);
+  assert.strictEqual(stream.reconnecting, true);
+  assert.ok(reconnecting.length >= 2);
+  reconnecting.forEach(({ delay }, i) => {
+    const backoff = Math.min(40, 10 * (2 ** i));
+    assert.ok(delay >= backoff / 2 && delay <= backoff);
+  });
+
+  const invitations = session.sent.filter(message => message.command === 'invitation');
+  assert.ok(invitations.every(message => message.token === token));
+
+  accept(5004);
+  assert.strictEqual(stream.isConnected, true);
+  assert.strictEqual(reconnected.length, 1);
+  assert.strictEqual(stream.reconnectTimeout, null);
+  stream.end();
+  assert.strictEqual(stream.livenessTimeout, null);
+});
+
+test('access lists match addresses, ranges, names and SSRCs', () => {
+  const acl = new AccessControl({ allow: { addresses: ['10.0.0.0/8', '::1'], names: ['Studio'] } });
+  acl.deny({ addresses: ['10.0.0.13'], ssrcs: [666] });
+
+  assert.strictEqual(acl.check({ address: '10.1.2.3', name: 'x', ssrc: 1 }).accepted, true);
+  assert.strictEqual(acl.check({ address: '::ffff:10.1.2.3', name: 'x', ssrc: 1 }).accepted, true);
+  assert.strictEqual(acl.check({ address: '::1', name: 'x', ssrc: 1 }).accepted, true);
+  assert.strictEqual(acl.check({ address: '192.168.0.2', name: 'Studio', ssrc: 1 }).accepted, true);
+  assert.deepStrictEqual(acl.check({ address: '192.168.0.2', name: 'x', ssrc: 1 }), { accepted: false, reason: 'not allowed' });
+  assert.deepStrictEqual(acl.check({ address: '10.0.0.13', name: 'Studio', ssrc: 1 }), { accepted: false, reason: 'denied' });
+  assert.deepStrictEqual(acl.check({ address: '10.0.0.1', name: 'x', ssrc: 666 }), { accepted: false, reason: 'denied' });
+  assert.strictEqual(new AccessControl().check({ address: '1.2.3.4', name: 'x', ssrc: 1 }).accepted, true);
+});
+
+test('invitations are decided by the access lists and the hook', async () => {
+  const session = new Session(5004, 'local', 'local');
+  const sent = [];
+  const decisions = [];
+  const invite = (name, token) => new ControlMessage().mixin({
+    command: 'invitation', token, ssrc: token, name,
+  }).generateBuffer().buffer;
+  session.sendUdpMessage = (rinfo, message) => sent.push(message);
+  session.on('invitationDecision', decision => decisions.push(decision));
+  session.accessControl.deny({ names: ['Intruder'] });
+
+  session.handleMessage(invite('Intruder', 1), { address: '10.0.0.1', port: 5004 });
+  assert.strictEqual(session.streams.length, 0);
+  assert.strictEqual(sent.pop().command, 'invitation_rejected');
+  assert.strictEqual(decisions.pop().reason, 'denied');
+
+  let resolve;
+  session.acceptInvitation = peer => new Promise((done) => { resolve = () => done(peer.name === 'Friend'); });
+  session.handleMessage(invite('Friend', 2), { address: '10.0.0.2', port: 5004 });
+  session.handleMessage(invite('Friend', 2), { address: '10.0.0.2', port: 5004 });
+  assert.strictEqual(session.streams.length, 0);
+  resolve();
+  await new Promise(done => setImmediate(done));
+  assert.strictEqual(session.streams.length, 1);
+  assert.strictEqual(sent.pop().command, 'invitation_accepted');
+  assert.deepStrictEqual(decisions.pop(), {
+    address: '10.0.0.2', port: 5004, name: 'Friend', ssrc: 2, token: 2, accepted: true, reason: null,
+  });
+
+  session.acceptInvitation = () => false;
+  session.handleMessage(invite('Stranger', 3), { address: '10.0.0.3', port: 5004 });
+  assert.strictEqual(session.streams.length, 1);
+  assert.strictEqual(sent.pop().command, 'invitation_rejected');
+  clearTimeout(session.streams[0].livenessTimeout);
+});
+
+test('bitrate receive limit messages round trip', () => {
+  const message = new ControlMessage().mixin({ command: 'bitrate_receive_limit', ssrc: 0x11223344, limit: 64000 });
+  const parsed = new ControlMessage().parseBuffer(message.generateBuffer().buffer);
+
+  assert.strictEqual(parsed.command, 'bitrate_receive_limit');
+  assert.strictEqual(parsed.ssrc, 0x11223344);
+  assert.strictEqual(parsed.limit, 64000);
+});
+
+test('streams pace and coalesce packets to the peer bitrate limit', async () => {
+  const session = createClock(0n);
+  const stream = new Stream(session);
+  const note = (timestamp, key) => ({ timestamp, commands: [{ deltaTime: 0, data: Buffer.from([0x90, key, 100]) }] });
+  stream.latency = 0;
+  stream.timeDifference = 0n;
+
+  stream.handleControlMessage(new ControlMessage().parseBuffer(new ControlMessage().mixin({
+    command: 'bitrate_receive_limit', ssrc: 2, limit: 8000,
+  }).generateBuffer().buffer));
+  assert.strictEqual(stream.bitrateLimit, 8000);
+
+  stream.sendMessage(note(0, 60));
+  stream.sendMessage(note(0, 61));
+  assert.strictEqual(session.sent.length, 2);
+
+  stream.sendMessage(note(0, 62));
+  stream.sendMessage(note(10, 63));
+  assert.strictEqual(session.sent.length, 2);
+  assert.ok(stream.pacingTimeout);
+
+  session.ticks += 400n;
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.strictEqual(session.sent.length, 3);
+  assert.deepStrictEqual(session.sent[2].commands.map(command => [command.data[1], command.deltaTime]), [[62, 0], [63, 10]]);
+});
+
+test('SysEx segments survive a packet round trip', () => {
+  const sysex = Buffer.from([0xf0, 0x7e, 1, 2, 3, 4, 5, 6, 7, 0xf7]);
+  const segments = segmentSysex(sysex, 5);
+  assert.deepStrictEqual(segments.map(segment => Array.from(segment)), [
+    [0xf0, 0x7e, 1, 2, 0xf0], [0xf7, 3, 4, 5, 0xf0], [0xf7, 6, 7, 0xf7],
+  ]);
+
+  const commands = [...segments, Buffer.from([0xf7, 8, 0xf4]), Buffer.from([0x90, 60, 1]), Buffer.from([0x90, 61, 2])]
+    .map(data => ({ deltaTime: 0, data }));
+  const parsed = new MidiMessage().parseBuffer(new MidiMessage().mixin({ commands }).generateBuffer().buffer);
+  assert.strictEqual(parsed.isValid, true);
+  assert.deepStrictEqual(parsed.commands.map(command => Array.from(command.data)), commands.map(command => Array.from(command.data)));
+});
+
+test('oversized command sections are not sent', () => {
+  const data = Buffer.alloc(5000, 1);
+  data[0] = 0xf0;
+  data[data.length - 1] = 0xf7;
+  assert.strictEqual(new MidiMessage().mixin({ commands: [{ deltaTime: 0, data }] }).generateBuffer().isValid, false);
+});
+
+test('large SysEx is split to fit the MTU and reassembled', () => {
+  const session = new Session(5004, 'local', 'local');
+  const receiver = new Stream(createClock(0n));
+  const received = [];
+  const sent = [];
+  const sysex = Buffer.alloc(3000, 0x55);
+  sysex[0] = 0xf0;
+  sysex[sysex.length - 1] = 0xf7;
+  session.streams.push({ isConnected: true, sendMessage: message => sent.push(message) });
+  receiver.on('message', (time, data) => received.push(data));
+
+  session.sendMessage(Buffer.from([0x90, 60, 100]));
+  session.sendMessage(sysex);
+  session.sendMessage(Buffer.from([0x80, 60, 0]));
+  session.flushQueue();
+
+  assert.strictEqual(sent.length, 4);
+  sent.forEach((message, i) => {
+    const packet = new MidiMessage().mixin({ ...message, sequenceNumber: i }).generateBuffer();
+    assert.strictEqual(packet.isValid, true);
+    assert.ok(packet.length <= session.getCommandSectionBudget());
+    assert.ok(packet.buffer.length + 28 + JOURNAL_SPACE <= session.mtu);
+    receiver.handleMidiMessage(new MidiMessage().parseBuffer(packet.buffer));
+  });
+  clearTimeout(receiver.receiverFeedbackTimeout);
+
+  assert.deepStrictEqual(received, [Buffer.from([0x90, 60, 100]), sysex, Buffer.from([0x80, 60, 0])]);
+});
+
+test('SysEx interrupted by packet loss is dropped', () => {
+  const receiver = new Stream(createClock(0n));
+  const received = [];
+  const packet = (sequenceNumber, data) => new MidiMessage().parseBuffer(new MidiMessage().mixin({
+    sequenceNumber, commands: [{ deltaTime: 0, data: Buffer.from(data) }],
+  }).generateBuffer().buffer);
+  receiver.on('message', (time, data) => received.push(Array.from(data)));
+
+  receiver.handleMidiMessage(packet(1, [0xf0, 1, 0xf0]));
+  receiver.handleMidiMessage(packet(3, [0xf7, 3, 0xf7]));
+  receiver.handleMidiMessage(packet(4, [0xf0, 4, 0xf0]));
+  receiver.handleMidiMessage(packet(5, [0xf7, 5, 0xf4]));
+  receiver.handleMidiMessage(packet(6, [0xf0, 6, 0xf0]));
+  receiver.handleMidiMessage(packet(7, [0xf7, 7, 0xf7]));
+  clearTimeout(receiver.receiverFeedbackTimeout);
+
+  assert.deepStrictEqual(received, [[0xf0, 6, 7, 0xf7]]);
+});
+
+test('flushed commands are split into packets under the payload budget', () => {
+  const session = new Session(5004, 'local', 'local');
+  const streams = [new Stream(createClock(0n)), new Stream(createClock(0n))];
+  const received = [];
+  const now = session.now();
+  session.payloadBudget = 40;
+  session.lookahead = 1000;
+  session.now = () => now;
+  session.streams.push(...streams.map(stream => ({ isConnected: true, sendMessage: message => stream.sendMessage(message) })));
+  streams.forEach((stream) => {
+    stream.latency = 0;
+    stream.timeDifference = 0n;
+  });
+
+  for (let i = 0; i < 30; i += 1) {
+    session.queue.push({ comexTime: now + i * 10, data: Buffer.from([0xb0, 1, i]) });
+  }
+  session.flushQueue();
+
+  const receiver = new Stream(createClock(0n));
+  receiver.on('message', (time, data) => received.push([time, data[2]]));
+  streams.forEach((stream) => {
+    const packets = stream.session.sent;
+    assert.ok(packets.length > 1);
+    packets.forEach((packet, i) => {
+      packet.generateBuffer();
+      assert.ok(packet.length <= 40);
+      assert.strictEqual(packet.sequenceNumber, (packets[0].sequenceNumber + i) % 0x10000);
+    });
+  });
+  streams[0].session.sent.forEach(packet => receiver.handleMidiMessage(new MidiMessage().parseBuffer(packet.buffer)));
+  clearTimeout(receiver.receiverFeedbackTimeout);
+
+  // Commands play at their own time whichever packet they were sent in
+  assert.deepStrictEqual(received, Array.from({ length: 30 }, (value, i) => [now + i * 10, i]));
+});
+
+test('sessions start and close with promises', async () => {
+  const session = new Session(40000 + Math.floor(Math.random() * 10000) * 2, 'local', 'local');
+
+  assert.strictEqual(await session.start(), session);
+  assert.strictEqual(session.readyState, 2);
+  assert.strictEqual(await session.start(), session);
+  await session.close();
+  assert.strictEqual(session.readyState, 0);
+});
+
+test('connect resolves with the stream or rejects', async () => {
+  const session = new Session(5004, 'local', 'local');
+  const remote = { address: '127.0.0.1', port: 5008 };
+  session.sendUdpMessage = () => {};
+
+  const sent = [];
+  session.sendUdpMessage = (rinfo, message) => sent.push(message);
+  session.queueFlush = () => session.flushQueue();
+  let connected = null;
+  const connecting = session.connect(remote).then((result) => {
+    connected = result;
+    return result;
+  });
+  const [stream] = session.streams;
+  const data = { address: '127.0.0.1', port: 5009 };
+  stream.handleControlMessage({ command: 'invitation_accepted', name: 'peer', ssrc: 2 }, remote);
+  stream.handleControlMessage({ command: 'invitation_accepted', name: 'peer', ssrc: 2 }, data);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(connected, null);
+
+  // Resolves once the first CK1 sets the clock offset
+  stream.sendSynchronization();
+  const ck0 = sent.pop();
+  stream.handleControlMessage({
+    command: 'synchronization', ssrc: 2, count: 1, timestamp1: ck0.timestamp1, timestamp2: ck0.timestamp1, timestamp3: ck0.timestamp3,
+  }, data);
+  assert.strictEqual(await connecting, stream);
+  sent.length = 0;
+  session.sendMessage([0x90, 60, 100]);
+  assert.deepStrictEqual(sent.map(message => Array.from(message.commands[0].data)), [[0x90, 60, 100]]);
+  stream.clearTimers();
+
+  const rejected = session.connect(remote);
+  session.streams[1].handleControlMessage({ command: 'invitation_accepted', name: 'peer', ssrc: 3 }, remote);
+  session.streams[1].handleControlMessage({ command: 'invitation_rejected', name: 'peer' }, data);
+  await assert.rejects(rejected, { code: 'ERR_INVITATION_REJECTED' });
+
+  await assert.rejects(session.connect(remote, { timeout: 10 }), { code: 'ERR_CONNECT_TIMEOUT' });
+
+  const controller = new AbortController();
+  const aborted = session.connect(remote, { signal: controller.signal });
+  controller.abort();
+  await assert.rejects(aborted, { name: 'AbortError' });
+  assert.deepStrictEqual(session.streams, [stream]);
+
+  // Signals have no reason before Node 16.14
+  const signal = { aborted: true, addEventListener() {}, removeEventListener() {} };
+  await assert.rejects(session.connect(remote, { signal }), { name: 'AbortError', code: 'ABORT_ERR' });
+  await assert.rejects(session.messages({ signal }).next(), { name: 'AbortError', code: 'ABORT_ERR' });
+});
+
+test('received messages can be iterated until the source closes', async () => {
+  const session = new Session(5004, 'local', 'local');
+  const iterator = session.messages();
+  const received = [];
+
+  session.deliverMessage(100, Buffer.from([0x90, 60, 100]));
+  session.deliverMessage(150, Buffer.from([0x80, 60, 0]), true);
+  setImmediate(() => session.end());
+
+  for await (const message of iterator) {
+    received.push(message);
+  }
+  assert.deepStrictEqual(received.map(message => [Math.round(message.comexTime - session.startTime), message.data[0], message.recovered]), [
+    [100, 0x90, false], [150, 0x80, true],
+  ]);
+  assert.strictEqual(session.listenerCount('message'), 0);
+
+  const controller = new AbortController();
+  const aborted = new Stream(createClock(0n)).messages({ signal: controller.signal });
+  setImmediate(() => controller.abort());
+  await assert.rejects(aborted.next(), { name: 'AbortError' });
+});
+
+test('streams adapt to Node readable and writable streams', async () => {
+  const { pipeline } = require('stream/promises');
+  const source = new Stream(createClock(0n));
+  const session = new Session(5004, 'local', 'local');
+  const readable = source.createReadStream();
+  source.session.startTime = 1000;
+
+  setImmediate(() => {
+    source.emit('message', 5, Buffer.from([0x90, 60, 100]), false);
+    source.emit('disconnected', { stream: source, reason: 'timeout', reconnecting: true });
+    source.emit('message', 6, Buffer.from([0x80, 60, 0]), false);
+    source.emit('disconnected', { stream: source, reason: 'end', reconnecting: false });
+  });
+
+  const sent = [];
+  const target = new Stream(session);
+  target.isConnected = true;
+  target.sendMessage = (message, callback) => {
+    sent.push(...message.commands);
+    setImmediate(callback);
+  };
+  session.streams.push(target);
+
+  await pipeline(readable, session.createWriteStream());
+  assert.deepStrictEqual(sent.map(command => command.data[0]), [0x90, 0x80]);
+});
+
+test('writable streams complete writes once the commands are sent', async () => {
+  const session = new Session(5004, 'local', 'local');
+  const callbacks = [];
+  const target = new Stream(session);
+  target.isConnected = true;
+  target.ssrc = 1;
+  target.sendMessage = (message, callback) => callbacks.push(callback);
+  session.streams.push(target);
+
+  const writable = target.createWriteStream({ highWaterMark: 1 });
+  const written = [];
+  writable.write([0x90, 60, 100], err => written.push(err));
+  assert.strictEqual(writable.write([0x80, 60, 0], err => written.push(err)), false);
+
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(callbacks.length, 1);
+  assert.deepStrictEqual(written, []);
+
+  callbacks.shift()();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(written.length, 1);
+  assert.strictEqual(callbacks.length, 1);
+
+  // Failed sends fail the stream writable
+  callbacks.shift()(new Error('Send failed'));
+  await new Promise(resolve => writable.once('error', resolve));
+  assert.strictEqual(written[1].message, 'Send failed');
+
+  // Unsynchronized streams report the message they drop
+  const unsynced = new Stream(session);
+  await new Promise(resolve => unsynced.sendMessage({ timestamp: 0, commands: [] }, (err) => {
+    assert.strictEqual(err.message, 'Stream is not synchronized');
+    resolve();
+  }));
+
+  // Commands held back for later fail when the session closes
+  const late = new Promise(resolve => session.sendMessage(session.startTime + session.now() + 1e9, [0x90, 61, 100], { callback: resolve }));
+  session.flushQueue();
+  session.end();
+  assert.match((await late).message, /Session closed/);
+});
+
+test('message iterators buffer a bounded number of messages', async () => {
+  const stream = new Stream(createClock(0n));
+  const dropping = stream.messages({ maxQueued: 2 });
+  const failing = stream.messages({ maxQueued: 2, overflow: 'error' });
+
+  [60, 61, 62].forEach(note => stream.emit('message', 0, Buffer.from([0x90, note, 100])));
+
+  assert.deepStrictEqual([(await dropping.next()).value.data[1], (await dropping.next()).value.data[1]], [61, 62]);
+  assert.strictEqual(dropping.dropped, 1);
+  await assert.rejects(failing.next(), { code: 'ERR_BUFFER_OVERFLOW' });
+  assert.strictEqual(stream.listenerCount('message'), 1);
+  dropping.return();
+
+  assert.throws(() => stream.messages({ overflow: 'block' }), TypeError);
+});
+
+test('commands can be sent to some streams only', () => {
+  const session = new Session(5004, 'local', 'local');
+  const sent = new Map();
+  const streams = [1, 2, 3].map((ssrc) => {
+    const stream = new Stream(session);
+    stream.ssrc = ssrc;
+    stream.isConnected = true;
+    stream.sendMessage = message => sent.set(ssrc, (sent.get(ssrc) || []).concat([message]));
+    return stream;
+  });
+  session.streams.push(...streams);
+  session.queueFlush = () => {};
+
+  session.sendMessage(Buffer.from([0x90, 60, 100]));
+  streams[0].send([0x90, 61, 100]);
+  session.sendMessage(session.now() + session.startTime, [0x90, 62, 100], { to: [2, 3] });
+  session.sendMessage([0x90, 63, 100], { to: [4] });
+  assert.deepStrictEqual(session.queue.map(message => message.to), [null, [1], [2, 3], [4]]);
+  session.flushQueue();
+
+  const keys = ssrc => sent.get(ssrc).map(message => message.commands.map(command => command.data[1]));
+  assert.deepStrictEqual(keys(1), [[60, 61]]);
+  assert.deepStrictEqual(keys(2), [[60, 62]]);
+  assert.strictEqual(sent.get(2)[0], sent.get(3)[0]);
+});
+
+test('typed arrays are sent as command data', () => {
+  const session = new Session(5004, 'local', 'local');
+  session.queueFlush = () => {};
+
+  session.sendMessage(session.startTime + 1234, new Uint8Array([0x90, 60, 100]));
+  session.sendMessage(new Uint8Array([0x80, 60, 0]), { to: [2] });
+  assert.deepStrictEqual(session.queue.map(({ comexTime, data, to }) => [Math.round(comexTime), data, to]), [
+    [1234, Buffer.from([0x90, 60, 100]), null],
+    [Math.round(session.queue[1].comexTime), Buffer.from([0x80, 60, 0]), [2]],
+  ]);
+});
+
+test('routes forward filtered messages between endpoints', () => {
+  const router = new Router();
+  const session = new Session(5004, 'local', 'local');
+  const keyboard = router.createVirtualEndpoint('keyboard');
+  const synth = router.createVirtualEndpoint('synth');
+  const output = { sent: [], sendMessage(data) { this.sent.push(data); } };
+  const received = [];
+  const changes = [];
+  session.queueFlush = () => {};
+  synth.on('message', (data, comexTime) => received.push([data[0], comexTime]));
+  router.on('routesChanged', ({ routes }) => changes.push(routes.length));
+
+  router.addEndpoint('network', session);
+  router.addEndpoint('port', output);
+  router.connect('keyboard', 'synth', { channels: [1], types: ['noteon', 'noteoff', 'clock'] });
+  router.connect('keyboard', 'network');
+  router.connect('network', 'port', { types: ['controlChange', 'pitch'] });
+  router.connect('keyboard', 'keyboard');
+
+  keyboard.send([0x90, 60, 100], 5);
+  keyboard.send([0x91, 60, 100]);
+  keyboard.send([0xb0, 1, 2]);
+  keyboard.send([0xf8]);
+  session.deliverMessage(0, Buffer.from([0xb3, 7, 100]));
+  session.deliverMessage(0, Buffer.from([0x93, 60, 100]));
+
+  assert.deepStrictEqual(received, [[0x90, 5], [0xf8, undefined]]);
+  assert.deepStrictEqual(session.queue.map(message => message.data[0]), [0x90, 0x91, 0xb0, 0xf8]);
+  assert.deepStrictEqual(output.sent, [[0xb3, 7, 100]]);
+  assert.deepStrictEqual(changes, [1, 2, 3]);
+
+  assert.strictEqual(router.disconnect('keyboard', 'synth'), true);
+  router.removeEndpoint('network');
+  keyboard.send([0x90, 61, 100]);
+  assert.strictEqual(received.length, 2);
+  assert.strictEqual(session.listenerCount('message'), 0);
+  assert.deepStrictEqual(router.toJSON(), {
+    endpoints: ['keyboard', 'synth', 'port'],
+    routes: [
+      { from: 'keyboard', to: 'network', channels: null, types: null },
+      { from: 'network', to: 'port', channels: null, types: ['cc'] },
+    ],
+  });
+});
+
+test('routes are persisted through the storage handler', () => {
+  const manager = require('./src/manager');
+  const stored = {};
+  manager.setStorageHandler((config, callback) => {
+    if (config.method === 'writeRoutes') stored.routes = config.routes;
+    callback(null, config.method === 'readRoutes' ? [{ from: 'a', to: 'b', types: ['noteOn'] }] : undefined);
+  });
+
+  manager.restoreRoutes();
+  assert.deepStrictEqual(manager.router.getRoutes(), [{ from: 'a', to: 'b', channels: null, types: ['noteon'] }]);
+  manager.router.connect('b', 'a');
+  assert.deepStrictEqual(stored.routes.map(route => route.from), ['a', 'b']);
+});
+
+test('commands are decoded into events and encoded back', () => {
+  const cases = [
+    [[0x80, 60, 0], { type: 'noteoff', channel: 1, note: 60, velocity: 0 }],
+    [[0x9f, 61, 100], { type: 'noteon', channel: 16, note: 61, velocity: 100 }],
+    [[0xa2, 62, 50], { type: 'polyaftertouch', channel: 3, note: 62, pressure: 50 }],
+    [[0xb0, 7, 127], { type: 'cc', channel: 1, controller: 7, value: 127 }],
+    [[0xc1, 5], { type: 'program', channel: 2, program: 5 }],
+    [[0xd0, 64], { type: 'channelaftertouch', channel: 1, pressure: 64 }],
+    [[0xe0, 0x00, 0x40], { type: 'pitchbend', channel: 1, value: 8192 }],
+    [[0xf0, 0x7e, 0x7f, 0xf7], { type: 'sysex', data: Buffer.from([0xf0, 0x7e, 0x7f, 0xf7]) }],
+    [[0xf1, 0x35], { type: 'mtc', piece: 3, value: 5 }],
+    [[0xf2, 0x01, 0x02], { type: 'songposition', position: 257 }],
+    [[0xf3, 4], { type: 'songselect', song: 4 }],
+    [[0xf6], { type: 'tunerequest' }],
+    [[0xf8], { type: 'clock' }],
+    [[0xfa], { type: 'start' }],
+    [[0xfb], { type: 'continue' }],
+    [[0xfc], { type: 'stop' }],
+    [[0xfe], { type: 'activesensing' }],
+    [[0xff], { type: 'reset' }],
+  ];
+
+  cases.forEach(([data, event]) => {
+    assert.deepStrictEqual(midiEvents.decode(Buffer.from(data)), event);
+    assert.deepStrictEqual(Array.from(midiEvents.encode(event)), data);
+  });
+  assert.strictEqual(midiEvents.decode(Buffer.from([0x90, 60])), null);
+  assert.strictEqual(midiEvents.encode({ type: 'cc', channel: 17 }), null);
+  assert.strictEqual(midiEvents.encode({ type: 'unknown' }), null);
+});
+
+test('sessions send and emit events', () => {
+  const session = new Session(5004, 'local', 'local');
+  const events = [];
+  session.queueFlush = () => {};
+  session.on('event', (event, comexTime) => events.push([event, Math.round(comexTime - session.startTime)]));
+
+  session.send({ type: 'cc', channel: 2, controller: 1, value: 64 });
+  session.send([0xf8]);
+  session.send({ type: 'bogus' });
+  session.deliverMessage(10, Buffer.from([0x90, 60, 100]));
+  session.deliverMessage(20, Buffer.from([0xf4]));
+
+  assert.deepStrictEqual(session.queue.map(message => Array.from(message.data)), [[0xb1, 1, 64], [0xf8]]);
+  assert.deepStrictEqual(events, [[{ type: 'noteon', channel: 1, note: 60, velocity: 100 }, 10]]);
+});
+
+test('controller pairs and parameter numbers are aggregated and expanded', async () => {
+  const session = new Session(5004, 'local', 'local');
+  const controllers = new ControllerAggregator(session, { timeout: 1, nullTerminate: true });
+  const events = [];
+  const cc = (channel, controller, value) => session.deliverMessage(0, Buffer.from([0xb0 + channel - 1, controller, value]));
+  session.queueFlush = () => {};
+  controllers.on('event', event => events.push(event));
+
+  cc(1, 1, 0x10);
+  cc(1, 33, 0x05);
+  cc(2, 101, 0);
+  cc(2, 100, 0);
+  cc(2, 6, 2);
+  cc(2, 38, 0);
+  cc(2, 38, 1);
+  cc(2, 99, 1);
+  cc(2, 98, 2);
+  cc(2, 6, 3);
+  cc(2, 64, 127);
+  cc(3, 7, 100);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  cc(3, 39, 1);
+  cc(3, 101, 127);
+  cc(3, 100, 127);
+  cc(3, 6, 1);
+  controllers.destroy();
+  session.deliverMessage(0, Buffer.from([0xb0, 1, 1]));
+
+  assert.deepStrictEqual(events, [
+    { type: 'cc14', channel: 1, controller: 1, value: 0x805 },
+    { type: 'rpn', channel: 2, parameter: 0, value: 0x100 },
+    { type: 'rpn', channel: 2, parameter: 0, value: 0x101 },
+    { type: 'nrpn', channel: 2, parameter: 0x82, value: 0x180 },
+    { type: 'cc', channel: 2, controller: 64, value: 127 },
+    { type: 'cc14', channel: 3, controller: 7, value: 0x3200 },
+    { type: 'cc14', channel: 3, controller: 7, value: 0x3201 },
+    { type: 'cc', channel: 3, controller: 6, value: 1 },
+  ]);
+
+  controllers.send({ type: 'cc14', channel: 1, controller: 7, value: 0x3fff });
+  controllers.send({ type: 'rpn', channel: 16, parameter: 0, value: 12 << 7 });
+  controllers.send({ type: 'noteon', channel: 1, note: 60, velocity: 1 });
+  assert.deepStrictEqual(session.queue.map(message => Array.from(message.data)), [
+    [0xb0, 7, 0x7f], [0xb0, 39, 0x7f],
+    [0xbf, 101, 0], [0xbf, 100, 0], [0xbf, 6, 12], [0xbf, 38, 0], [0xbf, 101, 127], [0xbf, 100, 127],
+    [0x90, 60, 1],
+  ]);
+  assert.strictEqual(new Set(session.queue.slice(0, 2).map(message => message.comexTime)).size, 1);
+});
+
+test('time codes convert to frame counts at all MTC rates', () => {
+  const dropFrame = timecode.getFrameRate('29.97df');
+  [[0, '00:00:00:00'], [1799, '00:00:59:29'], [1800, '00:01:00:02'], [17982, '00:10:00:00'], [2589408, '00:00:00:00']]
+    .forEach(([frames, text]) => assert.strictEqual(timecode.formatTimecode(timecode.framesToTimecode(frames, dropFrame)), text));
+  assert.strictEqual(timecode.timecodeToFrames(timecode.parseTimecode('00:01:00;02'), dropFrame), 1800);
+  assert.strictEqual(timecode.timecodeToFrames(timecode.parseTimecode('01:00:00:00'), timecode.getFrameRate(24)), 86400);
+  assert.deepStrictEqual(timecode.FRAME_RATES.map(rate => timecode.getFrameRate(rate.fps).code), [0, 1, 2, 3]);
+  assert.strictEqual(timecode.getFrameRate(50), null);
+});
+
+test('MTC generator sends quarter frames on the session clock and full frames on locate', () => {
+  const session = new Session(5004, 'local', 'local');
+  const generator = new MTCGenerator(session, { frameRate: 25 });
+  let now = 1000;
+  session.now = () => now;
+  session.lookahead = 0;
+  session.queueFlush = () => {};
+  const sent = () => session.queue.splice(0).map(message => [Math.round(message.comexTime), Array.from(message.data)]);
+
+  generator.locate('01:02:03:04');
+  assert.deepStrictEqual(sent(), [[1000, [0xf0, 0x7f, 0x7f, 0x01, 0x01, 0x21, 2, 3, 4, 0xf7]]]);
+
+  generator.run();
+  now += 799;
+  generator.scheduler.tick();
+  assert.deepStrictEqual(sent(), [
+    [1000, [0xf1, 0x04]], [1100, [0xf1, 0x10]], [1200, [0xf1, 0x23]], [1300, [0xf1, 0x30]],
+    [1400, [0xf1, 0x42]], [1500, [0xf1, 0x50]], [1600, [0xf1, 0x61]], [1700, [0xf1, 0x72]],
+  ]);
+  now += 1;
+  generator.scheduler.tick();
+  assert.deepStrictEqual(sent(), [[1800, [0xf1, 0x06]]]);
+  assert.strictEqual(timecode.formatTimecode(generator.getTimecode()), '01:02:03:06');
+
+  generator.stop();
+  now += 10000;
+  assert.strictEqual(timecode.formatTimecode(generator.getTimecode()), '01:02:03:06');
+  assert.strictEqual(generator.scheduler.timeout, null);
+
+  generator.setFrameRate(29.97);
+  generator.locate(1800);
+  assert.deepStrictEqual(sent(), [[now, [0xf0, 0x7f, 0x7f, 0x01, 0x01, 0x40, 1, 0, 2, 0xf7]]]);
+});
+
+test('MTC reader tracks direction, dropouts and locates', async () => {
+  const rate = timecode.getFrameRate(25);
+  const mtc = new MTC({ freewheel: 5 });
+  const events = [];
+  const start = timecode.timecodeToFrames(timecode.parseTimecode('01:00:00:00'), rate);
+  const quarterFrame = (index, time) => {
+    const frames = start + 2 * Math.floor(index / 8);
+    mtc.applyQuarterTime(timecode.createQuarterFrame(timecode.framesToTimecode(frames, rate), rate, ((index % 8) + 8) % 8), time);
+  };
+  ['start', 'stop', 'locate'].forEach(name => mtc.on(name, event => events.push([name, event.position])));
+
+  for (let i = 0; i < 8; i += 1) quarterFrame(i, i * 100);
+  assert.deepStrictEqual(events, [['start', start + 1.75]]);
+  assert.strictEqual(mtc.toString(), '01:00:00:01');
+  assert.strictEqual(mtc.direction, 1);
+  assert.strictEqual(mtc.toFrames(750), start + 1.75 + 0.125);
+  assert.strictEqual(mtc.toSeconds(), 3600 + 1.75 / 25);
+
+  // Pieces 9 and 10 are lost, the position keeps counting
+  quarterFrame(8, 800);
+  quarterFrame(11, 1100);
+  assert.strictEqual(mtc.toFrames(), start + 2.75);
+  for (let i = 12; i < 24; i += 1) quarterFrame(i, i * 100);
+  assert.strictEqual(mtc.toFrames(), start + 5.75);
+
+  // Reverse, the sequence is complete at piece 0
+  for (let i = 22; i >= 8; i -= 1) quarterFrame(i, 4600 - i * 100);
+  assert.strictEqual(mtc.direction, -1);
+  assert.strictEqual(mtc.toFrames(), start + 2);
+  assert.strictEqual(mtc.toString(), '01:00:00:02');
+
+  // Jump forward
+  quarterFrame(7, 3900);
+  for (let i = 48; i < 56; i += 1) quarterFrame(i, i * 100);
+  assert.deepStrictEqual(events.slice(1), [['locate', start + 13.75]]);
+
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.deepStrictEqual(events.slice(2), [['stop', start + 13.75]]);
+  assert.strictEqual(mtc.running, false);
+
+  mtc.applyFullTime(Buffer.from([0xf0, 0x7f, 0x7f, 0x01, 0x01, 0x40, 1, 0, 2, 0xf7]));
+  assert.deepStrictEqual(events.slice(3), [['locate', 1800]]);
+  assert.strictEqual(mtc.toString(), '00:01:00:02');
+  assert.strictEqual(mtc.getFrameRate().dropFrame, true);
+  assert.strictEqual(mtc.toSeconds(), 1800 / (30000 / 1001));
+});
+
+test('clock master sends timing messages at the set tempo', () => {
+  const session = new Session(5004, 'local', 'local');
+  const clock = new Clock(session, { bpm: 125 });
+  const beats = [];
+  let now = 0;
+  session.now = () => now;
+  session.lookahead = 0;
+  session.queueFlush = () => {};
+  clock.on('beat', ({ beat }) => beats.push(beat));
+  const sent = () => session.queue.splice(0).map(message => [Math.round(message.comexTime), message.data[0]]);
+
+  clock.setSongPosition(4);
+  assert.deepStrictEqual(session.queue.splice(0).map(message => Array.from(message.data)), [[0xf2, 4, 0]]);
+  clock.continue();
+  now = 400;
+  clock.scheduler.tick();
+  // 125 bpm is 200 ticks per clock
+  assert.deepStrictEqual(sent(), [[0, 0xfb], [0, 0xf8], [200, 0xf8], [400, 0xf8]]);
+  assert.deepStrictEqual(beats, [1]);
+
+  clock.setBpm(250);
+  now = 600;
+  clock.scheduler.tick();
+  assert.deepStrictEqual(sent(), [[600, 0xf8]]);
+
+  clock.stop();
+  assert.deepStrictEqual(sent(), [[now, 0xfc]]);
+  assert.strictEqual(clock.scheduler.timeout, null);
+  assert.strictEqual(clock.getSongPosition(), 4);
+
+  clock.start();
+  clock.stop();
+  assert.deepStrictEqual(sent().map(([, status]) => status), [0xfa, 0xf8, 0xfc]);
+});
+
+test('clock slave estimates the tempo and tracks the song position', () => {
+  const clock = new Clock(null, { smoothing: 0.5 });
+  const events = [];
+  const message = (status, ...data) => Buffer.from([status, ...data]);
+  ['bpm', 'beat', 'start', 'stop', 'songPosition'].forEach(name => clock.on(name, event => events.push([name, event])));
+
+  clock.handleMessage(message(0xf2, 8, 0), 0);
+  clock.handleMessage(message(0xfb), 0);
+  for (let i = 0; i < 3; i += 1) clock.handleMessage(message(0xf8), i * 250);
+  clock.handleMessage(message(0xf8), 875);
+  clock.handleMessage(message(0xfc), 1000);
+
+  assert.deepStrictEqual(events, [
+    ['songPosition', { songPosition: 8 }],
+    ['beat', { beat: 2, songPosition: 8, bpm: null }],
+    ['bpm', { bpm: 100 }],
+    ['bpm', { bpm: 80 }],
+    ['stop', { songPosition: 8 }],
+  ]);
+  assert.strictEqual(clock.clocks, 52);
+});
+
+test('recorders write session traffic to Standard MIDI Files', () => {
+  const session = new Session(5004, 'local', 'local');
+  const streams = [[1, 'Keys'], [2, 'Drums']].map(([ssrc, name]) => {
+    const stream = new Stream(session);
+    Object.assign(stream, { ssrc, name });
+    return stream;
+  });
+  const sysex = [0xf0, 0x7e, 0x7f, 0xf7];
+  session.now = () => 0;
+  session.addStream(streams[0]);
+
+  const multi = new Recorder({ ppq: 96, bpm: 125 }).attach(session);
+  const single = new Recorder({ format: 0, ppq: 96, bpm: 125 }).attach(streams[1]);
+  multi.start();
+  single.start();
+  session.addStream(streams[1]);
+  session.emit('streamAdded', { stream: streams[1] });
+  session.emit('streamAdded', { stream: streams[1] });
+
+  // 125 bpm at 96 ppq is 200 ticks per second
+  streams[0].emit('message', 10000, Buffer.from([0x90, 60, 100]));
+  streams[1].emit('message', 5000, Buffer.from(sysex));
+  streams[0].emit('message', 7500, Buffer.from([0x80, 60, 0]));
+  multi.stop();
+  streams[0].emit('message', 20000, Buffer.from([0x90, 61, 100]));
+  multi.detach();
+  assert.strictEqual(streams[0].listenerCount('message'), 1);
+
+  const tempo = [0x00, 0xff, 0x51, 0x03, 0x07, 0x53, 0x00, 0x00, 0xff, 0x58, 0x04, 0x04, 0x02, 0x18, 0x08];
+  const end = [0x00, 0xff, 0x2f, 0x00];
+  const chunk = bytes => [0x4d, 0x54, 0x72, 0x6b, 0, 0, 0, bytes.length, ...bytes];
+  const name = text => [0x00, 0xff, 0x03, text.length, ...Buffer.from(text)];
+
+  assert.deepStrictEqual(Array.from(multi.toBuffer()), [
+    0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 1, 0, 3, 0, 96,
+    ...chunk([...tempo, ...end]),
+    ...chunk([...name('Keys (1)'), 0x81, 0x16, 0x80, 60, 0, 0x32, 0x90, 60, 100, ...end]),
+    ...chunk([...name('Drums (2)'), 0x64, 0xf0, 0x03, 0x7e, 0x7f, 0xf7, ...end]),
+  ]);
+  assert.deepStrictEqual(Array.from(single.toBuffer()), [
+    0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, 0, 96,
+    ...chunk([...tempo, 0x64, 0xf0, 0x03, 0x7e, 0x7f, 0xf7, ...end]),
+  ]);
+});
+
+test('recorded system messages are written as escapes', () => {
+  const session = new Session(5004, 'local', 'local');
+  const stream = new Stream(session);
+  Object.assign(stream, { ssrc: 1, name: 'Clock' });
+  session.now = () => 0;
+  session.addStream(stream);
+
+  const recorder = new Recorder({ format: 0, ppq: 96, bpm: 125 }).attach(session);
+  const messages = [[0xfa], [0xf8], [0xf1, 0x21], [0xf2, 0x10, 0x00], [0x90, 60, 100], [0xf8], [0xfc]];
+  recorder.start();
+  messages.forEach((message, index) => stream.emit('message', index * 50, Buffer.from(message)));
+  recorder.detach();
+
+  const file = smf.decodeFile(recorder.toBuffer());
+  assert.notStrictEqual(file, null);
+  assert.deepStrictEqual(file.tracks[0].filter(({ data }) => data[0] !== 0xff).map(({ data }) => Array.from(data)), messages);
+  assert.deepStrictEqual(Array.from(smf.encodeFile({ format: 0, ppq: 96, tracks: [[{ delta: 0, data: Buffer.from([0xf8]) }]] }).subarray(22, 26)), [0x00, 0xf7, 0x01, 0xf8]);
+});
+
+test('Standard MIDI Files are decoded with running status', () => {
+  const file = {
+    format: 1,
+    ppq: 96,
+    tracks: [
+      [{ delta: 0, data: smf.createTempo(120) }],
+      [{ delta: 0, data: Buffer.from([0xc0, 5]) }, { delta: 200, data: Buffer.from([0xf0, 1, 2, 0xf7]) }],
+    ],
+  };
+  assert.deepStrictEqual(smf.decodeFile(smf.encodeFile(file)), file);
+
+  const running = Buffer.from([
+    0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, 0, 96,
+    0x4d, 0x54, 0x72, 0x6b, 0, 0, 0, 12, 0x00, 0x90, 60, 100, 0x60, 60, 0, 0x00, 0xff, 0x2f, 0x00, 0x00,
+  ]);
+  assert.deepStrictEqual(smf.decodeFile(running.subarray(0, running.length - 1)).tracks, [[
+    { delta: 0, data: Buffer.from([0x90, 60, 100]) },
+    { delta: 96, data: Buffer.from([0x90, 60, 0]) },
+  ]]);
+  assert.strictEqual(smf.decodeFile(Buffer.from('RIFF0000000000')), null);
+});
+
+test('players follow the tempo map, loop, chase on seek and follow a clock', () => {
+  const session = new Session(5004, 'local', 'local');
+  const player = new Player(session);
+  const clock = new Clock();
+  const events = [];
+  let now = 0;
+  session.now = () => now;
+  session.lookahead = 0;
+  session.queueFlush = () => {};
+  const sent = () => session.queue.splice(0).map(message => [Math.round(message.comexTime), ...message.data]);
+  ['play', 'pause', 'seek', 'loop', 'end'].forEach(name => player.on(name, () => events.push(name)));
+
+  // 120 bpm for two quarter notes, then 60 bpm
+  player.load(smf.encodeFile({
+    format: 1,
+    ppq: 96,
+    tracks: [
+      [{ delta: 0, data: smf.createTempo(120) }, { delta: 192, data: smf.createTempo(60) }],
+      [
+        { delta: 0, data: [0xb0, 7, 100] },
+        { delta: 0, data: [0xc0, 5] },
+        { delta: 96, data: [0x90, 60, 100] },
+        { delta: 96, data: [0x80, 60, 0] },
+        { delta: 96, data: [0x90, 62, 100] },
+        { delta: 96, data: [0x80, 62, 0] },
+      ],
+    ],
+  }));
+  assert.strictEqual(player.duration, 3);
+
+  player.play();
+  now = 5000;
+  player.scheduler.tick();
+  now = 7500;
+  player.pause();
+  assert.deepStrictEqual(sent(), [[0, 0xb0, 7, 100], [0, 0xc0, 5], [5000, 0x90, 60, 100], [7500, 0x80, 60, 0]]);
+  assert.strictEqual(player.getPosition(), 0.75);
+
+  player.seek(2.5);
+  assert.deepStrictEqual(sent(), [[7500, 0xb0, 7, 100], [7500, 0xc0, 5]]);
+
+  now = 10000;
+  player.setLoop(1.5, 2.5);
+  player.play();
+  now = 20000;
+  player.scheduler.tick();
+  player.stop();
+  assert.deepStrictEqual(sent(), [
+    [15000, 0x90, 62, 100], [20000, 0x80, 62, 0],
+  ]);
+  assert.strictEqual(player.scheduler.timeout, null);
+
+  player.clearLoop();
+  player.follow(clock);
+  clock.handleMessage(Buffer.from([0xf2, 8, 0]), 0);
+  assert.strictEqual(player.getPosition(), 1);
+  player.unfollow();
+  assert.strictEqual(clock.listenerCount('songPosition'), 0);
+
+  player.play();
+  now = 40000;
+  player.scheduler.tick();
+  assert.deepStrictEqual(sent().slice(-2), [[30000, 0x90, 62, 100], [40000, 0x80, 62, 0]]);
+  assert.strictEqual(player.playing, false);
+  assert.deepStrictEqual(events, ['play', 'pause', 'seek', 'play', 'loop', 'loop', 'pause', 'seek', 'seek', 'play', 'end']);
+});
+
+test('players pause, seek and resume after the events sent within the lookahead', () => {
+  const session = new Session(5004, 'local', 'local');
+  const player = new Player(session);
+  let now = 0;
+  session.now = () => now;
+  session.lookahead = 500;
+  session.queueFlush = () => {};
+  const sent = () => session.queue.splice(0).map(message => [Math.round(message.comexTime), ...message.data]);
+  const tick = (time) => {
+    now = time;
+    player.scheduler.tick();
+  };
+
+  player.load(smf.encodeFile({
+    format: 1,
+    ppq: 96,
+    tracks: [
+      [{ delta: 0, data: smf.createTempo(120) }, { delta: 192, data: smf.createTempo(60) }],
+      [
+        { delta: 0, data: [0xb0, 7, 100] },
+        { delta: 0, data: [0xc0, 5] },
+        { delta: 96, data: [0x90, 60, 100] },
+        { delta: 96, data: [0x80, 60, 0] },
+        { delta: 96, data: [0x90, 62, 100] },
+        { delta: 96, data: [0x80, 62, 0] },
+      ],
+    ],
+  }));
+
+  // The note on at 0.5 s is within the 5000 tick lookahead, the note off follows it
+  player.play();
+  now = 1000;
+  player.pause();
+  assert.deepStrictEqual(sent(), [[0, 0xb0, 7, 100], [0, 0xc0, 5], [5000, 0x90, 60, 100], [5000, 0x80, 60, 0]]);
+  assert.strictEqual(player.getPosition(), 0.5);
+
+  // Resuming does not send the note on again
+  now = 2000;
+  player.play();
+  assert.deepStrictEqual(sent(), [[7000, 0x80, 60, 0]]);
+
+  now = 3000;
+  player.seek(1.5);
+  assert.deepStrictEqual(sent(), [[7000, 0xb0, 7, 100], [7000, 0xc0, 5]]);
+
+  tick(8000);
+  now = 8500;
+  player.pause();
+  assert.deepStrictEqual(sent(), [[12000, 0x90, 62, 100], [13000, 0x80, 62, 0]]);
+  assert.strictEqual(player.getPosition(), 2.1);
+
+  now = 20000;
+  player.play();
+  assert.deepStrictEqual(sent(), []);
+  tick(24000);
+  assert.deepStrictEqual(sent(), [[29000, 0x80, 62, 0]]);
+  assert.strictEqual(player.playing, false);
+});
+
+test('pcap datagrams round trip with synthetic IP and UDP headers', () => {
+  const packet = {
+    source: { address: '10.0.0.2', port: 5004 },
+    destination: { address: '192.168.1.20', port: 5005 },
+    payload: Buffer.from('hello'),
+  };
+  const datagram = pcap.createDatagram(packet);
+  assert.strictEqual(datagram.length, 33);
+  assert.deepStrictEqual(pcap.decodeDatagram(datagram), {
+    source: { ...packet.source, family: 'IPv4' },
+    destination: { ...packet.destination, family: 'IPv4' },
+    payload: packet.payload,
+  });
+
+  const v6 = pcap.decodeDatagram(pcap.createDatagram({ ...packet, source: { address: 'fe80::1:2', port: 5004 } }, 6));
+  assert.deepStrictEqual([v6.source.address, v6.destination.address], ['fe80::1:2', '::ffff:c0a8:114']);
+  assert.strictEqual(pcap.decodeFile(Buffer.from([0x0a, 0x0d, 0x0d, 0x0a, ...new Array(24).fill(0)])), null);
+});
+
+test('sessions capture datagrams and replay captures', async () => {
+  const { PassThrough } = require('stream');
+  const session = new Session(5004, 'local', 'local');
+  const output = new PassThrough();
+  const chunks = [];
+  const invitation = new ControlMessage().mixin({
+    command: 'invitation', token: 7, ssrc: 7, name: 'peer',
+  }).generateBuffer().buffer;
+  output.on('data', chunk => chunks.push(chunk));
+  session.offline = true;
+
+  session.startCapture(output);
+  session.controlChannel.emit('message', invitation, { address: '10.0.0.2', port: 5006 });
+  await session.stopCapture();
+  clearTimeout(session.streams[0].livenessTimeout);
+
+  const capture = Buffer.concat(chunks);
+  const packets = pcap.decodeFile(capture);
+  assert.deepStrictEqual(packets.map(({ source, destination }) => [source.port, destination.port]), [[5006, 5004], [5004, 5006]]);
+  assert.deepStrictEqual(packets[0].payload, invitation);
+  assert.strictEqual(new ControlMessage().parseBuffer(packets[1].payload).command, 'invitation_accepted');
+  assert.strictEqual(Math.abs(packets[0].time - Date.now() / 1000) < 60, true);
+
+  const replay = new Session(6004, 'local', 'local');
+  const commands = [];
+  replay.offline = true;
+  replay.on('controlMessage', message => commands.push(message.command));
+  assert.strictEqual(await replay.replayCapture(capture, { port: 5004 }), 1);
+  assert.deepStrictEqual(commands, ['invitation']);
+  assert.deepStrictEqual(replay.streams.map(stream => stream.ssrc), [7]);
+  clearTimeout(replay.streams[0].livenessTimeout);
+});
+
+test('replays skip malformed datagrams', async () => {
+  const invitation = new ControlMessage().mixin({
+    command: 'invitation', token: 8, ssrc: 8, name: 'peer',
+  }).generateBuffer().buffer;
+  const packets = [invitation.slice(0, 6), invitation].map((payload, index) => ({
+    time: 1000 + index / 1000,
+    source: { address: '10.0.0.2', port: 5006 },
+    destination: { address: '10.0.0.1', port: 5004 },
+    payload,
+  }));
+
+  const session = new Session(5004, 'local', 'local');
+  session.offline = true;
+  assert.strictEqual(await session.replayCapture(packets), 2);
+  assert.deepStrictEqual(session.streams.map(stream => stream.ssrc), [8]);
+  clearTimeout(session.streams[0].livenessTimeout);
+
+  const realtime = new Session(5004, 'local', 'local');
+  realtime.offline = true;
+  assert.strictEqual(await realtime.replayCapture(packets, { realtime: true }), 2);
+  assert.deepStrictEqual(realtime.streams.map(stream => stream.ssrc), [8]);
+  clearTimeout(realtime.streams[0].livenessTimeout);
+});
+
+/**
+ * Run the registered tests one after the other
+ */
+async function run() {
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`ok - ${name}`);
+    } catch (err) {
+      failed += 1;
+      console.log(`not ok - ${name}`);
+      console.log(err);
+    }
+  }
+
+  mdns.bonjourService.destroy();
+  process.exitCode = failed ? 1 : 0;
+}
+
+run();